@@ -2,19 +2,83 @@
 /**
  * @author Madeline Shao
  * Date: 6/8/2021
- * API that returns various information about bakery products and records
- * "Contact us" form submissions.
+ * API that returns various information about bakery products, records
+ * "Contact us" form submissions, manages shopping carts, orders, favorites, and customer
+ * accounts, emails customers and staff about messages and orders, and lets administrators
+ * manage the product catalog.
  *
  * This API supports the following Endpoints:
  * GET /featured
  * GET /products
+ * GET /suggestions
  * GET /products/:product
+ * GET /products/:product/reviews
+ * POST /products/:product/reviews
  * GET /flavors/:product
  * GET /macaron-flavors
  * GET /box-decorations
  * GET /faq
+ * GET /pickup-slots
  * POST /custom-description
  * POST /contact-us
+ * POST /orders
+ * GET /orders/:code
+ * GET /orders/:code/receipt
+ * GET /cart
+ * POST /cart/quote
+ * POST /cart/items
+ * PUT /cart/items/:id
+ * DELETE /cart/items/:id
+ * DELETE /cart
+ * POST /account/register
+ * POST /account/login
+ * POST /account/logout
+ * GET /account
+ * PUT /account
+ * POST /account/password
+ * GET /account/orders
+ * POST /account/orders/:code/reorder
+ * GET /favorites
+ * POST /favorites
+ * DELETE /favorites/:id
+ * POST /favorites/cart
+ * POST /products
+ * PUT /products/:product
+ * DELETE /products/:product
+ * POST /products/:product/flavors
+ * PUT /products/:product/flavors
+ * PUT /products/:product/flavors/:flavor
+ * DELETE /products/:product/flavors/:flavor
+ * GET /products/:product/prices
+ * POST /products/:product/prices
+ * DELETE /products/:product/prices/:id
+ * POST /macaron-flavors
+ * PUT /macaron-flavors/:flavor
+ * DELETE /macaron-flavors/:flavor
+ * POST /admin/login
+ * POST /admin/logout
+ * GET /admin/me
+ * POST /admin/password
+ * POST /admin/users
+ * GET /admin/messages
+ * GET /admin/messages/:id
+ * PUT /admin/messages/:id
+ * GET /admin/orders
+ * PUT /admin/orders/:code
+ * GET /admin/orders/:code/tickets
+ * GET /admin/reviews
+ * PUT /admin/reviews/:id
+ * POST /faq
+ * PUT /faq/:id
+ * DELETE /faq/:id
+ * GET /admin/featured
+ * POST /featured
+ * PUT /featured/:id
+ * DELETE /featured/:id
+ * GET /admin/promotions
+ * POST /promotions
+ * PUT /promotions/:code
+ * DELETE /promotions/:code
  * Refer to API documentation at https://documenter.getpostman.com/view/16010970/TzeRpVvG
  * for more information.
  */
@@ -22,57 +86,274 @@ const express = require("express");
 const fs = require("fs/promises");
 const mysql = require("promise-mysql");
 const multer = require("multer");
+const crypto = require("crypto");
+const util = require("util");
+const cookieParser = require("cookie-parser");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
 
 const SERVER_ERROR = "The server encountered an error, please try again later.";
 const PRODUCT_404_ERR = "Product not found";
 const INVALID_QUERY_ERR = "Invalid query parameter(s)";
+const INVALID_ITEM_ERR = "One or more items in the cart are unavailable";
+const SLOT_UNAVAILABLE_ERR = "The selected pickup time is no longer available";
+const SLOT_404_ERR = "Pickup slot not found";
+const SLOT_DUPLICATE_ERR = "Another pickup slot already starts at that date and time";
+const SLOT_TIMES_ERR = "Invalid times. The start time must be before the end time.";
+const SLOT_HAS_ORDERS_ERR = "Orders have been placed for this pickup slot, so its date and " +
+                            "times can't change and it can't be removed";
+const SLOT_CAPACITY_ERR = "More orders are already booked for this pickup slot than that";
+const PICKUP_SLOT_COLUMNS = "id, DATE_FORMAT(date, '%Y-%m-%d') AS date, " +
+                            "TIME_FORMAT(start_time, '%H:%i') AS start, " +
+                            "TIME_FORMAT(end_time, '%H:%i') AS end, max_orders, booked";
+const CART_ITEM_404_ERR = "Cart item not found";
+const FLAVOR_404_ERR = "Flavor not found";
+const DUPLICATE_ERR = "An entry with that name already exists";
+const UNAUTHORIZED_ERR = "You must be logged in to do that";
+const FORBIDDEN_ERR = "You do not have permission to do that";
+const LOGIN_ERR = "Invalid username or password";
+const LOCKED_ERR = "Too many failed login attempts. Please try again later.";
+const MESSAGE_404_ERR = "Message not found";
+const FAQ_404_ERR = "Question not found";
+const INVALID_CATEGORY_ERR = "Invalid category";
+const FEATURED_404_ERR = "Featured item not found";
+const INVALID_IMAGE_ERR = "Invalid image. Must be a JPEG, PNG, GIF, or WebP file.";
+const IMAGE_DIR = "public/imgs/";
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024; // 2 MB, in bytes
+const IMAGE_TYPES = {"image/jpeg": ".jpg", "image/png": ".png", "image/gif": ".gif",
+                     "image/webp": ".webp"};
+const IMAGE_FORM_ROUTES = [["POST", /^\/products\/?$/i], ["PUT", /^\/products\/[^/]+\/?$/i],
+                           ["POST", /^\/macaron-flavors\/?$/i],
+                           ["PUT", /^\/macaron-flavors\/[^/]+\/?$/i]];
+const EMPTY_CART_ERR = "Your cart is empty";
+const INVALID_PRICE_ERR = "Invalid price. Must be a non-negative amount in dollars and cents.";
+const PRICE_404_ERR = "Scheduled price change not found";
+const REVIEW_404_ERR = "Review not found";
+const REVIEW_NOT_ALLOWED_ERR = "Only customers who have picked up an order of this product " +
+                               "can review it";
+const REVIEW_DUPLICATE_ERR = "This order's review of the product was already submitted";
+const ACCOUNT_EXISTS_ERR = "An account with that email already exists";
+const ACCOUNT_LOGIN_ERR = "Invalid email or password";
+const ACCOUNT_UNAUTHORIZED_ERR = "You must be signed in to your account to do that";
+const ACCOUNT_ORDER_404_ERR = "No order found in your account with that confirmation number";
+const FAVORITE_404_ERR = "Favorite not found";
+const FAVORITE_DUPLICATE_ERR = "That item is already in your favorites";
+const NO_FAVORITES_ERR = "You have no favorites yet";
+const PROMO_INVALID_ERR = "Invalid or expired promo code";
+const PROMO_MINIMUM_ERR = "Your order does not meet the minimum subtotal for this promo code";
+const PROMO_NOT_APPLICABLE_ERR = "This promo code does not apply to any items in your cart";
+const PROMO_404_ERR = "Promotion not found";
+const PROMO_TYPES = ["percent", "fixed", "buy_x_get_y"];
+const PROMOTION_COLUMNS = "code, description, type, percent_off, amount_off_cents, " +
+                          "buy_quantity, get_quantity, product, flavor, min_subtotal_cents, " +
+                          "max_uses, times_used, DATE_FORMAT(start_date, '%Y-%m-%d') AS " +
+                          "start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date";
+const TAX_RATE = Number(process.env.TAX_RATE || 9.375); // sales tax, in percent
+const TAX_ROUNDING = process.env.TAX_ROUNDING || "half-up"; // "half-up", "half-even", "up", "down"
+const ORDER_404_ERR = "No order found for that confirmation number and email";
+const ORDER_STATUS_ERR = "The order can't be moved to that status";
+const ORDER_TRANSITIONS = {
+  "received": ["baking", "cancelled"],
+  "baking": ["ready", "cancelled"],
+  "ready": ["picked_up", "cancelled"],
+  "picked_up": [],
+  "cancelled": []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+const DOCUMENT_FORMATS = ["html", "pdf"];
+const PRODUCT_SORTS = ["relevance", "name", "price", "rating"];
+const SEARCH_WEIGHTS = {"name": 3, "flavor": 2, "description": 1};
+const MAX_SUGGESTIONS = 8;
+const DEFAULT_PAGE_SIZE = 20; // products
+const MAX_PAGE_SIZE = 50; // products
+const DIETARY_TAGS = ["gluten-free", "nut-free", "vegan"];
+const PRICE_RANGES = [[0, 499], [500, 999], [1000, 1999], [2000, null]]; // in cents
+const ALLERGENS = ["dairy", "egg", "gluten", "peanuts", "tree nuts", "soy", "sesame"];
+const NUTRITION_FIELDS = ["serving_size", "calories", "fat_grams", "carbs_grams", "sugar_grams",
+                          "protein_grams"];
+const QUANTITY_ERR = "The quantity of one or more products is outside the allowed range";
+const CAPACITY_ERR = "Not enough of one or more products can be made for that day";
+const SESSION_COOKIE = "sid";
+const SESSION_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days, in milliseconds
+const ADMIN_COOKIE = "admin_sid";
+const ADMIN_SESSION_HOURS = 12;
+const CUSTOMER_COOKIE = "customer_sid";
+const CUSTOMER_SESSION_DAYS = 30;
+const PICKUP_PREFERENCES = ["morning", "afternoon"]; // before and after noon
+const ROLE_OWNER = "owner";
+const ROLE_STAFF = "staff";
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const MIN_PASSWORD_LENGTH = 8;
+const MESSAGE_STATUSES = ["unread", "read", "replied"];
+const REVIEW_STATUSES = ["pending", "approved", "hidden"];
+const MAX_REVIEW_LENGTH = 2000; // characters
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "smtp"; // "smtp", "file", or "console"
+const MAIL_FROM = process.env.MAIL_FROM || "Petite Treats <petitetreats.sj@gmail.com>";
+const STAFF_EMAIL = process.env.STAFF_EMAIL || "petitetreats.sj@gmail.com";
+const MAIL_DIR = "outbox";
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_RETRY_MINUTES = 5; // doubled after each failed attempt
+const MAIL_QUEUE_INTERVAL = 60 * 1000; // 1 minute, in milliseconds
+const EMAIL_TEMPLATES = {
+  "contact_ack": {
+    "subject": "We got your message!",
+    "text": "Hi {name},\n\nThank you for contacting Petite Treats! We received your " +
+            "message and will get back to you soon.\n\nYour message:\n{message}\n\n" +
+            "Petite Treats"
+  },
+  "contact_staff": {
+    "subject": "New message from {name}",
+    "text": "{name} ({email}) sent a message through the Contact Us form:\n\n{message}"
+  },
+  "order_confirmation": {
+    "subject": "Your Petite Treats order {code}",
+    "text": "Hi {name},\n\nThank you for your order! Your confirmation number is " +
+            "{code}.\n\n{items}\n\nDiscount: {discount}\nSales tax: {tax}\n" +
+            "Total: {total}\n\nPickup: {pickup}\n\nYou can check on your order at any " +
+            "time on our Order Status page.\n\nPetite Treats"
+  },
+  "order_status": {
+    "subject": "Your Petite Treats order {code} is {status}",
+    "text": "Hi {name},\n\nYour order {code} is now {status}.\n\nPickup: {pickup}\n\n" +
+            "Petite Treats"
+  }
+};
+const ORDER_STATUS_NAMES = {
+  "received": "received",
+  "baking": "being baked",
+  "ready": "ready for pickup",
+  "picked_up": "picked up",
+  "cancelled": "cancelled"
+};
+const DB_POOL_SIZE = Number(process.env.DB_POOL_SIZE || 10); // connections
+const CACHE_SECONDS = 10 * 60; // how long cached responses are kept
+const MAX_CACHE_ENTRIES = 500;
 const DEBUG = false;
 
+const scrypt = util.promisify(crypto.scrypt);
+const requireOwner = requireRole(ROLE_OWNER);
+const requireStaff = requireRole(ROLE_OWNER, ROLE_STAFF);
+const getCustomer = loadCustomer(false);
+const requireCustomer = loadCustomer(true);
+const mailer = createMailTransport(MAIL_TRANSPORT);
+const dbPool = mysql.createPool({
+  host: "localhost",
+  port: "3306",
+  user: "root",
+  password: "rootroot",
+  database: "ptdb",
+  connectionLimit: DB_POOL_SIZE
+});
+const responseCache = new Map();
+let cacheVersion = 0;
+let sendingEmails = false;
 const app = express();
+const parseText = multer().none();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {fileSize: MAX_IMAGE_SIZE, files: 1},
+  fileFilter: filterImage
+});
 
 app.use(express.static("public"));
 app.use(express.json());
-app.use(multer().none());
+app.use(parseTextForm);
+app.use(cookieParser());
 
 /**
- * Returns a list of names of featured products separated by newlines
+ * Returns the products currently featured on the homepage, in display order. Products are
+ * only featured between their start and end dates, if they have them.
+ * By default, returns a list of names of featured products separated by newlines
  * as a plain text response.
  * Example: "Cheesecake\nMini Palmiers\n"
+ * If the "format" query parameter is "json", returns a JSON collection of the featured
+ * products' information instead, each with its promotional blurb (or null).
+ * Example: [{ name: "Cheesecake", price_cents: 700, price_display: "$7.00",
+ *             description: "...", image: "imgs/cheesecake-original.jpg", lead_days: 2,
+ *             blurb: "New flavor: chocolate!" }]
+ * Returns a 400 error if the "format" query parameter is not "text" or "json".
  * Returns a 500 error if something goes wrong on the server.
  */
- app.get("/featured", async (req, res, next) => {
+app.get("/featured", validateFeaturedQuery, async (req, res, next) => {
+  let db;
   try {
-    let contents = await fs.readFile("featured.txt", "utf8");
-    let lines = contents.split("\n");
-    for (let i = 0; i < lines.length; i++) {
-        lines[i] = formatTitleCase(lines[i]);
+    db = await getDB();
+    let featured = await getFeatured(db);
+    db.end();
+    if (req.query.format === "json") {
+      res.json(featured);
+    } else {
+      let contents = "";
+      for (let i = 0; i < featured.length; i++) {
+        contents += featured[i].name + "\n";
+      }
+      res.type("text");
+      res.send(contents);
     }
-    contents = lines.join("\n");
-    res.type("text");
-    res.send(contents);
   } catch (err) {
     res.status(500);
     err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
     next(err);
   }
 });
 
 /**
- * Returns a JSON collection of products that the bakery sells.
+ * Returns a JSON object with a page of the products that the bakery sells, each with its
+ * current price in cents and as a display string (ex: price_cents: 1025,
+ * price_display: "$10.25").
  * Filters and sorts the products based on optional query parameters.
- * "sort" query parameter must be either "name" or "price", and "direction" query
- * parameter must be either "asc" or "desc". Ignores casing.
+ * "contains" searches the product names, descriptions, and flavor names for every word
+ * (separated by dashes), allowing prefixes and small typos. Each product found also has a
+ * relevance "score" and "highlights" with the matching words in <mark> tags. Ex:
+ * { name: "Brownies", ..., score: 6,
+ *   highlights: { name: "Brownies", description: "Two homemade brownies...",
+ *                 flavors: ["<mark>Chocolate</mark>"] } }
+ * "sort" query parameter must be "relevance", "name", "price", or "rating" (defaults to
+ * "relevance" when searching and "name" otherwise), and "direction" query parameter must be
+ * either "asc" or "desc". Ignores casing. Relevance always puts the best matches first.
+ * Sorting by rating lists products without reviews last, in either direction.
+ * Every product has its dietary "tags" (ex: ["gluten-free", "vegan"]), and the average
+ * rating and number of its approved reviews (ex: average_rating: 4.5, review_count: 2; the
+ * average is null without reviews).
+ * Filter query parameters: "flavor" (comma-separated flavor names; products with any of
+ * them), "tags" (comma-separated "gluten-free", "nut-free", or "vegan"; products with all of
+ * them), and "min_price" and "max_price" (in dollars, inclusive).
+ * Paging query parameters: "limit" (a whole number from 1 to MAX_PAGE_SIZE; how many
+ * products to return, defaults to DEFAULT_PAGE_SIZE) and "offset" (a whole number; how many
+ * products to skip, defaults to 0).
+ * The object has the page of products, the total number of products found, and links to
+ * the next and previous pages (null if there are none). If the "facets" query parameter is
+ * "true", it also has the facet counts; each facet's counts apply every filter except its
+ * own. Ex:
+ * { products: [...],
+ *   total: 20, limit: 8, offset: 8,
+ *   next: "/products?sort=price&limit=8&offset=16",
+ *   previous: "/products?sort=price&limit=8&offset=0",
+ *   facets: { flavors: [{ name: "Chocolate", count: 9 }, ...],
+ *             tags: [{ name: "gluten-free", count: 5 }, ...],
+ *             price: { min_cents: 200, min_display: "$2.00", max_cents: 3000,
+ *                      max_display: "$30.00",
+ *                      ranges: [{ min_cents: 0, max_cents: 499, label: "Under $5.00",
+ *                                 count: 6 }, ...] } } }
  * Returns a 400 error if the query parameters are invalid.
  * Returns a 500 error if something goes wrong on the server.
  */
-app.get("/products", validateProductsQuery, async (req, res, next) => {
+app.get("/products", cacheResponse, validateProductsQuery, async (req, res, next) => {
   let db;
   try {
     db = await getDB();
-    let productsData;
-    productsData = await getProductsListFiltered(db, req.query.contains, req.query.sort, req.query.direction);
+    let productsData = await getProductsListFiltered(db, req.query.contains, req.query.sort,
+                                                     req.query.direction, req.filters,
+                                                     req.page, req.query.facets === "true");
+    res.locals.cacheUntil = await getNextPriceChange(db);
     db.end();
-    res.json(productsData);
+    res.json(getProductsPage(req, productsData));
   } catch (err) {
     res.status(500);
     err.message = SERVER_ERROR;
@@ -84,17 +365,61 @@ app.get("/products", validateProductsQuery, async (req, res, next) => {
 });
 
 /**
- * Returns a JSON object of information about the given product.
- * Returns a 400 error if no product found for the given name.
+ * Returns a JSON collection of product and flavor names that complete the search text typed
+ * so far, or are close to it, best matches first. Returns at most 8 suggestions.
+ * Example: [{ text: "Chocolate", type: "flavor" }, { text: "Cheesecake", type: "product" }]
+ * Optional query parameters: q (the search text; no suggestions are returned without it).
  * Returns a 500 error if something goes wrong on the server.
  */
-app.get("/products/:product", async (req, res, next) => {
+app.get("/suggestions", async (req, res, next) => {
   let db;
   try {
     db = await getDB();
-    let product = await getProduct(db, formatTitleCase(req.params.product));
+    let suggestions = await getSearchSuggestions(db, String(req.query.q || ""));
     db.end();
-    res.json(product[0]);
+    res.json(suggestions);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON object of information about the given product, including the minimum and
+ * maximum quantity per order and the number that can be made per day (null if unlimited).
+ * Also returns the allergens in every flavor of the product and its nutrition facts per
+ * serving (null if unknown); GET /flavors/:product has them for each flavor.
+ * If the optional "date" query parameter (YYYY-MM-DD) is given, also returns how many more
+ * can be ordered for pickup on that date as "remaining" (null if unlimited).
+ * Example: { name: "Cake", price_cents: 1000, price_display: "$10.00", description: "...",
+ *            image: "imgs/cake.jpg", lead_days: 2, min_quantity: 1, max_quantity: 2,
+ *            daily_capacity: 4, tags: ["nut-free"], average_rating: 4.5, review_count: 2,
+ *            allergens: ["dairy", "egg", "gluten"],
+ *            nutrition: { serving_size: "1 slice", calories: 350, fat_grams: 16,
+ *                         carbs_grams: 48, sugar_grams: 35, protein_grams: 4 },
+ *            remaining: 3 }
+ * Returns a 400 error if no product found for the given name or the date is invalid.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/products/:product", validateProductDate, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = (await getProduct(db, formatTitleCase(req.params.product)))[0];
+    product.tags = (await getTagsByProduct(db, [product.name]))[product.name] || [];
+    await addRatings(db, [product]);
+    let info = await getDietaryInfo(db, product.name);
+    product.allergens = info.allergens;
+    product.nutrition = info.nutrition;
+    if (req.query.date) {
+      product.remaining = await getRemainingCapacity(db, product, req.query.date);
+    }
+    db.end();
+    res.json(product);
   } catch (err) {
     if (err.message === PRODUCT_404_ERR) {
       res.status(400);
@@ -110,19 +435,90 @@ app.get("/products/:product", async (req, res, next) => {
 });
 
 /**
- * Returns a JSON collection of flavors available for the given product.
+ * Returns a JSON object with the approved reviews of the given product, newest first, and
+ * its average rating (null if it has no reviews). Reviewers are shown by first name and last
+ * initial.
+ * Example: { product: "Cake", average_rating: 4.5, review_count: 2,
+ *            reviews: [{ id: 3, name: "Tony S.", rating: 5, text: "So moist!",
+ *                        created: "2021-06-14T17:04:12.000Z" }, ...] }
  * Returns a 400 error if no product found for the given name.
  * Returns a 500 error if something goes wrong on the server.
  */
-app.get("/flavors/:product", async (req, res, next) => {
+app.get("/products/:product/reviews", async (req, res, next) => {
   let db;
   try {
     db = await getDB();
-    let productFlavors = await getProductFlavors(db, formatTitleCase(req.params.product));
-    let flavors = [];
-    for (let i = 0; i < productFlavors.length; i++) {
-      flavors.push(productFlavors[i].flavor);
+    let reviews = await getProductReviews(db, formatTitleCase(req.params.product));
+    db.end();
+    res.json(reviews);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Submits a review of the given product. Only customers with a picked up order that
+ * included the product can review it, once per order. New reviews are shown after a staff
+ * member approves them.
+ * Returns a JSON object with the new review. Ex:
+ * { id: 3, product: "Cake", rating: 5, text: "So moist!", status: "pending" }
+ * Required POST parameters: code (the order confirmation number), email (the email the order
+ * was placed with, ignores casing), rating (a whole number from 1 to 5), text.
+ * Returns a 400 error if missing or invalid parameters, no product found for the given name,
+ * no picked up order of the product matches the code and email, or the order's review of
+ * the product was already submitted.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/products/:product/reviews", validateReview, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = formatTitleCase(req.params.product);
+    let review = await createReview(db, product, req.fields);
+    db.end();
+    res.json(review);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === REVIEW_NOT_ALLOWED_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = REVIEW_DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
     }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of the flavors of the given product, with each flavor's price
+ * surcharge, whether it is available or sold out, and the allergens and nutrition facts of
+ * the product in that flavor (nutrition is null if unknown). Ex:
+ * [{ name: "Chocolate", price_cents: 100, price_display: "$1.00", available: true,
+ *    allergens: ["dairy", "egg", "gluten"], nutrition: null },
+ *  { name: "Original", price_cents: 0, price_display: "$0.00", available: false,
+ *    allergens: ["dairy", "egg", "gluten"], nutrition: null }]
+ * Returns a 400 error if no product found for the given name.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/flavors/:product", cacheResponse, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let flavors = await getProductFlavors(db, formatTitleCase(req.params.product));
     db.end();
     res.json(flavors);
   } catch (err) {
@@ -143,7 +539,7 @@ app.get("/flavors/:product", async (req, res, next) => {
  * Returns a JSON collection of information about each macaron flavor.
  * Returns a 500 error if something goes wrong on the server.
  */
-app.get("/macaron-flavors", async (req, res, next) => {
+app.get("/macaron-flavors", cacheResponse, async (req, res, next) => {
   let db;
   try {
     db = await getDB();
@@ -161,37 +557,53 @@ app.get("/macaron-flavors", async (req, res, next) => {
 });
 
 /**
- * Returns a list of box decoration styles separated by newlines
- * as a plain text response.
- * Example: "Plain\nBow\nFlower\n"
+ * Returns a JSON collection of box decoration styles, each with its price surcharge and
+ * image url (or null).
+ * Example: [{ name: "Plain", price: 0, image: null },
+ *           { name: "Flower", price: 1.5, image: "imgs/flower-box.jpg" }]
+ * If the optional "product" query parameter is given (words separated by dashes), only the
+ * styles available for that product are returned. Ignores casing.
+ * Returns a 400 error if no product found for the given name.
  * Returns a 500 error if something goes wrong on the server.
  */
 app.get("/box-decorations", async (req, res, next) => {
+  let db;
   try {
-    let contents = await fs.readFile("box-decorations.txt", "utf8");
-    let lines = contents.split("\n");
-    for (let i = 0; i < lines.length; i++) {
-        lines[i] = formatTitleCase(lines[i]);
-    }
-    contents = lines.join("\n");
-    res.type("text");
-    res.send(contents);
+    db = await getDB();
+    let product = req.query.product ? formatTitleCase(String(req.query.product)) : null;
+    let boxes = await getBoxDecorations(db, product);
+    db.end();
+    res.json(boxes);
   } catch (err) {
-    res.status(500);
-    err.message = SERVER_ERROR;
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
     next(err);
   }
 });
 
 /**
- * Returns a JSON collection of commonly asked questions and answers.
+ * Returns a JSON collection of commonly asked questions and answers, grouped by category
+ * and in display order.
+ * Example: [{ id: 2, question: "Where do I pick up my order?",
+ *             answer: "Please pick up your order at 1234 Main Street.",
+ *             category: "Pickup", position: 1 }]
+ * Optional query parameters: "q" to only return questions whose question or answer contains
+ * the given text, and "category" to only return questions in the given category. Ignores
+ * casing.
  * Returns a 500 error if something goes wrong on the server.
  */
-app.get("/faq", async (req, res, next) => {
+app.get("/faq", cacheResponse, async (req, res, next) => {
   let db;
   try {
     db = await getDB();
-    let faq = await getFAQ(db);
+    let faq = await getFAQ(db, req.query.q, req.query.category);
     db.end();
     res.json(faq);
   } catch (err) {
@@ -204,6 +616,41 @@ app.get("/faq", async (req, res, next) => {
   }
 });
 
+/**
+ * Returns a JSON collection of upcoming pickup time slots that still have room for orders.
+ * Example: [{ id: 3, date: "2021-06-12", start: "10:00", end: "12:00", remaining: 4 }]
+ * The optional "products" query parameter is a comma-separated list of product names
+ * (words separated by dashes). If given, only slots far enough in the future to meet the
+ * minimum lead time of every listed product are returned. Ignores casing.
+ * Returns a 400 error if no product found for one of the given names.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/pickup-slots", async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let products = [];
+    if (req.query.products) {
+      products = splitList(req.query.products).map(formatTitleCase);
+    }
+    let leadDays = await getLeadDays(db, products);
+    let slots = await getPickupSlots(db, leadDays);
+    db.end();
+    res.json(slots);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
 /**
  * Returns a description of the given product, customized with the given flavor
  * and box style as a plain text response.
@@ -219,12 +666,16 @@ app.post("/custom-description", validateDescParams, async(req, res, next) =>{
     desc = desc[0].description.split(" ");
     desc.splice(2, 0, req.body.flavor);
     desc.splice(-1, 0, req.body.box);
+    db.end();
     res.type("text");
     res.send(desc.join(" "));
-    db.end();
   } catch (err) {
-    res.status(500);
-    err.message = SERVER_ERROR;
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
     if (db) {
       db.end();
     }
@@ -233,7 +684,8 @@ app.post("/custom-description", validateDescParams, async(req, res, next) =>{
 });
 
 /**
- * Records the submitted form information in the database.
+ * Records the submitted form information in the database, and emails an acknowledgement to
+ * the customer and a copy of the message to the staff.
  * Returns a plain text success message if successful.
  * Required POST parameters: name, email, message.
  * Returns a 400 error if submission parameters are invalid.
@@ -244,6 +696,8 @@ app.post("/contact-us", validateForm, async(req, res, next) => {
   try {
     db = await getDB();
     await recordMessage(db, req.body.name, req.body.email, req.body.message);
+    await logQueueError(queueEmail(db, "contact_ack", req.body.email, req.body));
+    await logQueueError(queueEmail(db, "contact_staff", STAFF_EMAIL, req.body));
     res.type("text");
     res.send("Message successfully submitted! Thank you!");
     db.end();
@@ -258,220 +712,6805 @@ app.post("/contact-us", validateForm, async(req, res, next) => {
 });
 
 /**
- * Returns the collection of product information according to the search/sort parameters
- * as an array of RowDataPackets.
- * @param {Object} db - The database object for connection
- * @param {String} contains - The search parameter. Words should be separated by dashes,
- * not spaces. The returned list of products will only include products that contain this
- * string in their name. If none given, will return all products. Ignores casing
- * @param {String} sort - The attribute to sort by (either "name" or "price"). Must be
- * lowercase.
- * @param {String} direction - The direction in which to sort (either "asc" or "desc"). Must
- * be lowercase.
- * @returns {Object} The collection of product information
+ * Places an order for the items in the session's cart, records it in the database,
+ * empties the cart, and emails an order confirmation to the customer. The price is quoted
+ * the same way as POST /cart/quote, from the current product prices, with the promo code
+ * applied if one is given.
+ * A spot in the chosen pickup slot is reserved for the order; the slot must be far enough in
+ * the future to meet the minimum lead time of every product in the cart. The quantity of
+ * each product must be within its per-order limits and its daily capacity for the pickup
+ * date.
+ * Returns a JSON object with the order confirmation number and total price.
+ * Example: { code: "PT-3F9A1C0B", discount_cents: 170, discount_display: "$1.70",
+ *            tax_cents: 143, tax_display: "$1.43", total_cents: 1673,
+ *            total_display: "$16.73" }
+ * Required POST parameters: name, email, phone, slot. Optional: notes, code (a promo code).
+ * If the customer is signed in, the order is added to their account's order history.
+ * Returns a 400 error if invalid parameters, the cart is empty or contains an item that is
+ * no longer available, a product's quantity is outside its limits or over its capacity for
+ * the pickup date, the pickup slot is full or too soon, or the promo code is invalid or
+ * does not apply to the cart.
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getProductsListFiltered(db, contains, sort, direction) {
-  let query = "SELECT * FROM products WHERE name LIKE ?";
-  let words = contains.split("-");
-  for (let i = 0; i < words.length - 1; i++) {
-    query += " AND name LIKE ?"
-    words[i] = "%" + words[i] + "%";
-  }
-  words[words.length - 1] = "%" + words[words.length - 1] + "%";
-  if (sort === "name") {
-    query += " ORDER BY name"
-  }
-  else if (sort === "price") {
-    query += " ORDER BY price"
-  }
-  if (direction === "asc") {
-    query += " asc"
-  }
-  else if (direction === "desc") {
-    query += " desc"
+app.post("/orders", getSession, getCustomer, validateOrder, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let lines = await getCartLines(db, req.sessionId);
+    if (lines.length === 0) {
+      throw new Error(EMPTY_CART_ERR);
+    }
+    let quote = await getQuote(db, lines, req.body.code);
+    let leadDays = await getLeadDays(db, lines.map(line => line.product));
+    let customerId = req.customer ? req.customer.id : null;
+    let order = await recordOrder(db, req.body, quote, leadDays, req.sessionId, customerId);
+    await logQueueError(notifyOrder(db, order.code, "order_confirmation"));
+    db.end();
+    res.json(order);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === INVALID_ITEM_ERR ||
+        err.message === SLOT_UNAVAILABLE_ERR || err.message === EMPTY_CART_ERR ||
+        err.message === QUANTITY_ERR || err.message === CAPACITY_ERR ||
+        err.message === PROMO_INVALID_ERR || err.message === PROMO_MINIMUM_ERR ||
+        err.message === PROMO_NOT_APPLICABLE_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
   }
-  let rows = await db.query(query, words);
-  return rows;
-}
+});
 
 /**
- * Returns information about the given product as an array of RowDataPackets.
- * Throws an error if the product does not exist in the database.
- * @param {Object} db - The database object for connection
- * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
- * @param {Object} The product information
+ * Returns a JSON object with the status of the given order, for customers checking on an
+ * order. The status is one of "received", "baking", "ready", "picked_up", or "cancelled",
+ * and the history lists when the order reached each status, oldest first.
+ * Example:
+ * { code: "PT-3F9A1C0B", name: "Tony Stark", status: "ready",
+ *   pickup: { date: "2021-06-12", start: "10:00", end: "12:00" },
+ *   items: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2,
+ *             price_cents: 1000, price_display: "$10.00", box_price_cents: 0,
+ *             box_price_display: "$0.00", flavor_price_cents: 0,
+ *             flavor_price_display: "$0.00", discount_cents: 0, discount_display: "$0.00",
+ *             total_cents: 2000, total_display: "$20.00" }],
+ *   subtotal_cents: 2000, subtotal_display: "$20.00",
+ *   discount_cents: 0, discount_display: "$0.00", tax_cents: 188, tax_display: "$1.88",
+ *   total_cents: 2188, total_display: "$21.88",
+ *   history: [{ status: "received", changed: "2021-06-10T17:04:12.000Z" },
+ *             { status: "baking", changed: "2021-06-12T14:30:00.000Z" },
+ *             { status: "ready", changed: "2021-06-12T16:45:00.000Z" }],
+ *   created: "2021-06-10T17:04:12.000Z" }
+ * Required query parameters: email (the email the order was placed with, ignores casing).
+ * Returns a 400 error if the email is missing, or no order found for the given confirmation
+ * number and email.
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getProduct(db, product) {
-  let query = "SELECT * FROM products WHERE name = ?;";
-  let rows = await db.query(query, [product]);
-  if (rows.length === 0) {
-    throw new Error(PRODUCT_404_ERR);
+app.get("/orders/:code", validateOrderLookup, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let order = await getOrder(db, req.params.code);
+    db.end();
+    if (order.email.toLowerCase() !== req.query.email) {
+      throw new Error(ORDER_404_ERR);
+    }
+    delete order.email;
+    delete order.phone;
+    delete order.notes;
+    for (let i = 0; i < order.history.length; i++) {
+      delete order.history[i].changed_by;
+    }
+    res.json(order);
+  } catch (err) {
+    if (err.message === ORDER_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
   }
-  return rows;
-}
+});
 
 /**
- * Returns the flavors available for the given product as an array of RowDataPackets
- * Throws an error if the product does not exist in the database.
- * @param {Object} db - The database object for connection
- * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
- * @returns {Object} The collection of flavors
+ * Returns a printable receipt for the given order, as an HTML page or a PDF. The receipt
+ * lists each item with its flavor and box style, the subtotal, discount, sales tax, and
+ * total, the pickup time, and a QR code of the confirmation number.
+ * Required query parameters: email (the email the order was placed with, ignores casing).
+ * Optional: format ("html" or "pdf", defaults to "html").
+ * Returns a 400 error if invalid parameters, or no order found for the given confirmation
+ * number and email.
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getProductFlavors(db, product) {
-  await getProduct(db, product); //Check if product exists
-  let query = "SELECT * FROM products_flavors WHERE product = ?;";
-  let rows = await db.query(query, [product]);
-  return rows;
-}
+app.get("/orders/:code/receipt", validateOrderLookup, validateDocumentFormat,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let order = await getOrder(db, req.params.code);
+    db.end();
+    if (order.email.toLowerCase() !== req.query.email) {
+      throw new Error(ORDER_404_ERR);
+    }
+    await sendDocument(res, buildReceipt(order), req.query.format, "receipt-" + order.code);
+  } catch (err) {
+    if (err.message === ORDER_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
 
 /**
- * Returns a collection of information about macaron flavors as an array of RowDataPackets.
- * @param {Object} db - The database object for connection
- * @returns {Object} The information about macaron flavors
+ * Returns a JSON object with the items in the session's cart (each with the allergens of its
+ * product and flavor), the number of items, and the price breakdown of the cart without a
+ * promo code, as computed for POST /cart/quote.
+ * Items whose flavor or box style can no longer be ordered are marked "unavailable", have
+ * null prices, and are left out of the price breakdown; they must be removed to check out.
+ * Starts a new session if the request has none.
+ * Example:
+ * { items: [{ id: 4, product: "Cake", flavor: "Chocolate", box: "Bow", quantity: 2,
+ *             min_quantity: 1, max_quantity: 2, box_price_cents: 50,
+ *             box_price_display: "$0.50", flavor_price_cents: 0,
+ *             flavor_price_display: "$0.00", price_cents: 1050, price_display: "$10.50",
+ *             total_cents: 2100, total_display: "$21.00",
+ *             allergens: ["dairy", "egg", "gluten"], unavailable: false }],
+ *   count: 2,
+ *   subtotal_cents: 2000, subtotal_display: "$20.00",
+ *   box_surcharge_cents: 100, box_surcharge_display: "$1.00",
+ *   discount_cents: 0, discount_display: "$0.00",
+ *   tax_rate: 9.375,
+ *   tax_cents: 197, tax_display: "$1.97",
+ *   total_cents: 2297, total_display: "$22.97" }
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getMacaronFlavors(db) {
-  let query = "SELECT * FROM macaron_flavors;";
-  let rows = await db.query(query);
-  return rows;
-}
+app.get("/cart", getSession, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    res.json(cart);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
 
 /**
- * Returns a collection of common questions and answers as an array of RowDataPackets.
- * @param {Object} db - The database object for connection
- * @returns {Object} The collection of questions and answers
+ * Adds an item to the session's cart. If the cart already has the same product with the
+ * same flavor and box style, the quantities are combined.
+ * Returns the updated cart as a JSON object, in the same format as GET /cart.
+ * Required POST parameters: product, flavor, box. Optional: quantity (defaults to 1).
+ * Returns a 400 error if invalid parameters, if the product does not exist or the flavor
+ * or box style is not available for it, or if the cart's total quantity of the product would
+ * be outside its per-order limits or over its daily capacity.
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getFAQ(db) {
-  let query = "SELECT question, answer FROM faq;";
-  let rows = await db.query(query);
-  return rows;
-}
+app.post("/cart/items", getSession, validateCartItem, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let line = {"product": formatTitleCase(req.body.product), "flavor": req.body.flavor,
+                "box": req.body.box, "quantity": req.body.quantity};
+    await addCartLine(db, req.sessionId, line);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    res.json(cart);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === INVALID_ITEM_ERR ||
+        err.message === QUANTITY_ERR || err.message === CAPACITY_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
 
 /**
- * Returns the description about the given product as an array of RowDataPackets.
- * Throws an error if the product does not exist in the database.
- * @param {Object} db - The database object for connection
- * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
- * @returns {Object} The product description
+ * Returns a JSON object with the price of a cart, with the given promo code applied. The
+ * cart is the list of items given, or the session's cart if none are given.
+ * Each item has its discount, and the quote has the subtotal (without box surcharges), the
+ * total box surcharges and discount, the sales tax rate (in percent) and tax on the
+ * discounted price, and the grand total. Placing an order computes its price the same way.
+ * Example:
+ * { items: [{ product: "Cookies", flavor: "Snickerdoodle", box: "Plain", quantity: 3,
+ *             price_cents: 200, price_display: "$2.00", total_cents: 600,
+ *             total_display: "$6.00", discount_cents: 200, discount_display: "$2.00" }],
+ *   code: "COOKIES3FOR2",
+ *   description: "Buy 2 cookie sets, get 1 free",
+ *   subtotal_cents: 600, subtotal_display: "$6.00",
+ *   box_surcharge_cents: 0, box_surcharge_display: "$0.00",
+ *   discount_cents: 200, discount_display: "$2.00",
+ *   tax_rate: 9.375,
+ *   tax_cents: 38, tax_display: "$0.38",
+ *   total_cents: 438, total_display: "$4.38" }
+ * Optional POST parameters: code (a promo code, ignores casing), items (an array of objects
+ * with a product, flavor, box, and quantity, in the same format as POST /cart/items).
+ * Returns a 400 error if invalid parameters, the cart is empty or contains an item that is
+ * no longer available, or the promo code is invalid or does not apply to the cart.
+ * Returns a 500 error if something goes wrong on the server.
  */
-async function getDescription(db, product) {
-  let query = "SELECT description FROM products WHERE name=?;";
-  let rows = await db.query(query, [product]);
+app.post("/cart/quote", getSession, validateQuote, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let lines = req.body.items || await getCartLines(db, req.sessionId);
+    if (lines.length === 0) {
+      throw new Error(EMPTY_CART_ERR);
+    }
+    let quote = await getQuote(db, lines, req.body.code);
+    db.end();
+    res.json(quote);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === INVALID_ITEM_ERR ||
+        err.message === EMPTY_CART_ERR || err.message === PROMO_INVALID_ERR ||
+        err.message === PROMO_MINIMUM_ERR || err.message === PROMO_NOT_APPLICABLE_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Changes the quantity of the given item in the session's cart.
+ * Returns the updated cart as a JSON object, in the same format as GET /cart.
+ * Required PUT parameters: quantity.
+ * Returns a 400 error if invalid parameters, no item found in the cart for the given id, or
+ * the cart's total quantity of the product would be outside its per-order limits or over
+ * its daily capacity.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/cart/items/:id", getSession, validateCartQuantity, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updateCartLine(db, req.sessionId, req.params.id, req.body.quantity);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    res.json(cart);
+  } catch (err) {
+    if (err.message === CART_ITEM_404_ERR || err.message === QUANTITY_ERR ||
+        err.message === CAPACITY_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given item from the session's cart.
+ * Returns the updated cart as a JSON object, in the same format as GET /cart.
+ * Returns a 400 error if no item found in the cart for the given id.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/cart/items/:id", getSession, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await removeCartLine(db, req.sessionId, req.params.id);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    res.json(cart);
+  } catch (err) {
+    if (err.message === CART_ITEM_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes every item from the session's cart.
+ * Returns the empty cart as a JSON object, in the same format as GET /cart.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/cart", getSession, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await clearCart(db, req.sessionId);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    res.json(cart);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Creates a customer account and signs in to it. The session's cart becomes the account's
+ * cart, so it is kept on every device the customer signs in on, unless it already belongs
+ * to another account; then the new account starts with an empty cart.
+ * Favorites saved before registering are moved into the account.
+ * Returns a JSON object with the customer's saved details, in the same format as
+ * GET /account.
+ * Required POST parameters: email, password, name. Optional: phone, pickup_preference
+ * ("morning" or "afternoon").
+ * Returns a 400 error if invalid parameters or an account with the email already exists.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/account/register", getSession, validateRegistration, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let cartId = await isAccountCart(db, req.sessionId) ? createSessionId() : req.sessionId;
+    let customerId = await createCustomer(db, req.fields, req.body.password, cartId);
+    await mergeGuestFavorites(db, req.sessionId, customerId);
+    let token = await createCustomerSession(db, customerId);
+    db.end();
+    setCustomerCookies(res, token, cartId);
+    res.json(formatCustomer(req.fields));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = ACCOUNT_EXISTS_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Signs in to a customer account, merges the session's cart into the account's cart, and
+ * moves the favorites saved by the session into the account.
+ * Items that can't be added to the account's cart, such as products that are no longer
+ * sold, are left out and listed in "skipped". After MAX_FAILED_LOGINS failed attempts in a
+ * row, the account is locked for LOCKOUT_MINUTES minutes.
+ * Returns a JSON object with the customer's saved details and the skipped items.
+ * Example: { email: "tony@stark.com", name: "Tony Stark", phone: "408-555-0123",
+ *            pickup_preference: "morning",
+ *            skipped: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 3,
+ *                        reason: "The quantity of one or more products is outside the
+ *                        allowed range" }] }
+ * Required POST parameters: email, password.
+ * Returns a 400 error if missing parameters.
+ * Returns a 401 error if the email or password is wrong or the account is locked.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/account/login", getSession, validateAccountLogin, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let customer = await checkCustomerLogin(db, req.body.email, req.body.password);
+    let token = await createCustomerSession(db, customer.id);
+    let cart = await mergeGuestCart(db, req.sessionId, customer);
+    await mergeGuestFavorites(db, req.sessionId, customer.id);
+    db.end();
+    setCustomerCookies(res, token, cart.session_id);
+    let result = formatCustomer(customer);
+    result.skipped = cart.skipped;
+    res.json(result);
+  } catch (err) {
+    if (err.message === ACCOUNT_LOGIN_ERR || err.message === LOCKED_ERR) {
+      res.status(401);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Signs out of the current customer account. The account's cart stays with the account,
+ * and the browser starts over with an empty guest cart.
+ * Returns a plain text success message if successful.
+ * Returns a 401 error if not signed in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/account/logout", requireCustomer, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteCustomerSession(db, req.customer.token);
+    db.end();
+    res.clearCookie(CUSTOMER_COOKIE);
+    res.clearCookie(SESSION_COOKIE);
+    res.type("text");
+    res.send("Successfully signed out.");
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON object with the saved details of the signed in customer. The pickup
+ * preference is "morning", "afternoon", or null.
+ * Example: { email: "tony@stark.com", name: "Tony Stark", phone: "408-555-0123",
+ *            pickup_preference: "morning" }
+ * Returns a 401 error if not signed in.
+ */
+app.get("/account", requireCustomer, (req, res) => {
+  res.json(formatCustomer(req.customer));
+});
+
+/**
+ * Changes the saved details of the signed in customer.
+ * Returns a JSON object with the updated details, in the same format as GET /account.
+ * Required PUT parameters: name. Optional: phone, pickup_preference ("morning" or
+ * "afternoon"); leaving either out or empty clears it.
+ * Returns a 400 error if invalid parameters.
+ * Returns a 401 error if not signed in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/account", requireCustomer, validateProfile, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updateCustomer(db, req.customer.id, req.fields);
+    db.end();
+    req.fields.email = req.customer.email;
+    res.json(formatCustomer(req.fields));
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Changes the password of the signed in customer and ends all of their other sessions.
+ * Returns a plain text success message if successful.
+ * Required POST parameters: current_password, new_password.
+ * Returns a 400 error if missing parameters or the new password is too short.
+ * Returns a 401 error if not signed in or the current password is wrong.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/account/password", requireCustomer, validatePasswordChange, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await checkCustomerLogin(db, req.customer.email, req.body.current_password);
+    await setCustomerPassword(db, req.customer.id, req.body.new_password);
+    await deleteOtherCustomerSessions(db, req.customer.id, req.customer.token);
+    db.end();
+    res.type("text");
+    res.send("Password successfully changed.");
+  } catch (err) {
+    if (err.message === ACCOUNT_LOGIN_ERR || err.message === LOCKED_ERR) {
+      res.status(401);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of the orders the signed in customer placed while signed in,
+ * newest first, with the items of each.
+ * Example: [{ code: "PT-3F9A1C0B", status: "picked_up",
+ *             pickup: { date: "2021-06-12", start: "10:00", end: "12:00" },
+ *             items: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }],
+ *             total_cents: 2188, total_display: "$21.88",
+ *             created: "2021-06-10T17:04:12.000Z" }]
+ * Returns a 401 error if not signed in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/account/orders", requireCustomer, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let orders = await getCustomerOrders(db, req.customer.id);
+    db.end();
+    res.json(orders);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds every item of one of the signed in customer's past orders to the session's cart, at
+ * today's prices. Items that can't be added, such as products that are no longer sold or
+ * flavors that are sold out, are left out and listed in "skipped".
+ * Returns the updated cart as a JSON object, in the same format as GET /cart, with the
+ * skipped items in the same format as POST /account/login.
+ * Returns a 400 error if the customer has no order with the given confirmation number.
+ * Returns a 401 error if not signed in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/account/orders/:code/reorder", requireCustomer, getSession,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let lines = await getCustomerOrderLines(db, req.customer.id, req.params.code);
+    let skipped = await addCartLines(db, req.sessionId, lines);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    cart.skipped = skipped;
+    res.json(cart);
+  } catch (err) {
+    if (err.message === ACCOUNT_ORDER_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of the favorites of the signed in customer, or of the session if
+ * not signed in, oldest first. Each favorite has its current price, including the flavor
+ * and box surcharges, and whether it can be ordered right now (false if the flavor is sold
+ * out or the box style is no longer offered for the product).
+ * Example: [{ id: 3, product: "Macarons (6 Pcs)", flavor: "Rose", box: "Flower",
+ *             image: "imgs/macarons.jpg", price_cents: 1175, price_display: "$11.75",
+ *             available: true }]
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/favorites", getSession, getCustomer, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let favorites = await getFavorites(db, getFavoritesOwner(req));
+    db.end();
+    res.json(favorites);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a product with the given flavor and box style to the favorites of the signed in
+ * customer, or of the session if not signed in.
+ * Returns the updated favorites as a JSON collection, in the same format as GET /favorites.
+ * Required POST parameters: product, flavor, box.
+ * Returns a 400 error if missing parameters, if the product does not exist or the flavor or
+ * box style is not available for it, or if the favorite was already added.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/favorites", getSession, getCustomer, validateFavorite, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let owner = getFavoritesOwner(req);
+    let line = {"product": formatTitleCase(req.body.product), "flavor": req.body.flavor,
+                "box": req.body.box};
+    await addFavorite(db, owner, line);
+    let favorites = await getFavorites(db, owner);
+    db.end();
+    res.json(favorites);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === INVALID_ITEM_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = FAVORITE_DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given favorite from the favorites of the signed in customer, or of the
+ * session if not signed in.
+ * Returns the updated favorites as a JSON collection, in the same format as GET /favorites.
+ * Returns a 400 error if no favorite found for the given id.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/favorites/:id", getSession, getCustomer, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let owner = getFavoritesOwner(req);
+    await removeFavorite(db, owner, req.params.id);
+    let favorites = await getFavorites(db, owner);
+    db.end();
+    res.json(favorites);
+  } catch (err) {
+    if (err.message === FAVORITE_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds every favorite of the signed in customer, or of the session if not signed in, to
+ * the session's cart, in the smallest quantity that can be ordered of its product.
+ * Favorites that can't be added, such as flavors that are sold out, are left out and listed
+ * in "skipped".
+ * Returns the updated cart as a JSON object, in the same format as GET /cart, with the
+ * skipped items in the same format as POST /account/login.
+ * Returns a 400 error if there are no favorites.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/favorites/cart", getSession, getCustomer, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let lines = await getFavoriteLines(db, getFavoritesOwner(req));
+    if (lines.length === 0) {
+      throw new Error(NO_FAVORITES_ERR);
+    }
+    let skipped = await addCartLines(db, req.sessionId, lines);
+    let cart = await getCart(db, req.sessionId);
+    db.end();
+    cart.skipped = skipped;
+    res.json(cart);
+  } catch (err) {
+    if (err.message === NO_FAVORITES_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a new product to the catalog.
+ * Returns a JSON object of information about the new product, in the same format as
+ * GET /products/:product.
+ * Requires an owner login.
+ * Required POST parameters: name, price (in dollars, ex: "10.25"), description, image (an
+ * image file upload). The price takes effect today.
+ * Optional: lead_days (defaults to 1), min_quantity (defaults to 1), max_quantity (defaults
+ * to 10), daily_capacity (defaults to unlimited), tags (comma-separated dietary tags from
+ * "gluten-free", "nut-free", and "vegan"), allergens (comma-separated allergens in every
+ * flavor, from "dairy", "egg", "gluten", "peanuts", "tree nuts", "soy", and "sesame"),
+ * serving_size, calories, fat_grams, carbs_grams, sugar_grams, protein_grams (nutrition
+ * facts per serving).
+ * Returns a 400 error if invalid parameters or a product with the same name already exists.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/products", requireOwner, parseImageForm, invalidateCache, validateProduct,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let fields = req.fields;
+    fields.image = await saveImage(req.file, formatDashes(fields.name));
+    await createProduct(db, fields);
+    let product = await getProduct(db, fields.name);
+    db.end();
+    res.json(product[0]);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given product. Only the given fields are changed. If an image file is
+ * uploaded, it replaces the product's image.
+ * Returns a JSON object of information about the updated product, in the same format as
+ * GET /products/:product.
+ * Requires an owner login.
+ * Optional PUT parameters (at least one required): name, price (in dollars, takes effect
+ * today), description, lead_days, min_quantity, max_quantity, daily_capacity (empty for
+ * unlimited), tags (comma-separated dietary tags, empty for none), allergens
+ * (comma-separated, empty for none), serving_size, calories, fat_grams, carbs_grams,
+ * sugar_grams, protein_grams (empty for unknown), image (an image file upload).
+ * Returns a 400 error if invalid parameters, no product found for the given name, or the new
+ * name is taken by another product.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/products/:product", requireOwner, parseImageForm, invalidateCache, validateProduct,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let name = formatTitleCase(req.params.product);
+    let fields = req.fields;
+    await getProduct(db, name); // Check if product exists
+    if (req.file) {
+      fields.image = await saveImage(req.file, formatDashes(fields.name || name));
+    }
+    await updateProduct(db, name, fields);
+    let product = await getProduct(db, fields.name || name);
+    db.end();
+    res.json(product[0]);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given product and its flavors from the catalog. Past orders of the product
+ * are kept.
+ * Returns a plain text success message if successful.
+ * Requires an owner login.
+ * Returns a 400 error if no product found for the given name.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/products/:product", requireOwner, invalidateCache, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteProduct(db, formatTitleCase(req.params.product));
+    db.end();
+    res.type("text");
+    res.send("Product successfully deleted.");
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a new flavor to the given product.
+ * Returns the updated JSON collection of flavors of the product, in the same format as
+ * GET /flavors/:product.
+ * Requires an owner login.
+ * Required POST parameters: flavor.
+ * Optional POST parameters: price (the flavor's surcharge in dollars, defaults to 0), available
+ * ("true" or "false", defaults to "true"), allergens (comma-separated allergens the flavor
+ * adds to the product's), serving_size, calories, fat_grams, carbs_grams, sugar_grams,
+ * protein_grams (nutrition facts that replace the product's for this flavor).
+ * Returns a 400 error if missing or invalid parameters, no product found for the given name,
+ * or the product already has the flavor.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/products/:product/flavors", requireOwner, invalidateCache, validateProductFlavor,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = formatTitleCase(req.params.product);
+    await addProductFlavor(db, product, req.fields);
+    let flavors = await getProductFlavors(db, product);
+    db.end();
+    res.json(flavors);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Replaces the flavors of the given product with the given list. Flavors the product already
+ * has keep their surcharge and availability; new flavors have no surcharge and are available.
+ * Returns the updated JSON collection of flavors of the product, in the same format as
+ * GET /flavors/:product.
+ * Requires an owner login.
+ * Required PUT parameters: flavors (an array of flavor names, or a comma-separated string).
+ * Returns a 400 error if missing parameters or no product found for the given name.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/products/:product/flavors", requireOwner, invalidateCache, validateFlavorList,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = formatTitleCase(req.params.product);
+    await setProductFlavors(db, product, req.body.flavors);
+    let flavors = await getProductFlavors(db, product);
+    db.end();
+    res.json(flavors);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Changes the surcharge, availability, allergens, or nutrition facts of the given flavor of
+ * the given product, for example to mark it as sold out.
+ * Returns the updated JSON collection of flavors of the product, in the same format as
+ * GET /flavors/:product.
+ * Requires an owner login.
+ * PUT parameters (at least one is required): price (the flavor's surcharge in dollars), available
+ * ("true" or "false"), allergens (comma-separated, replaces the flavor's allergens; empty for
+ * none), serving_size, calories, fat_grams, carbs_grams, sugar_grams, protein_grams (empty for
+ * unknown).
+ * Returns a 400 error if missing or invalid parameters, no product found for the given name,
+ * or the product does not have the flavor.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/products/:product/flavors/:flavor", requireOwner, invalidateCache,
+        validateProductFlavor, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = formatTitleCase(req.params.product);
+    await updateProductFlavor(db, product, formatTitleCase(req.params.flavor), req.fields);
+    let flavors = await getProductFlavors(db, product);
+    db.end();
+    res.json(flavors);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === FLAVOR_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given flavor from the given product.
+ * Returns the updated JSON collection of flavors of the product, in the same format as
+ * GET /flavors/:product.
+ * Requires an owner login.
+ * Returns a 400 error if no product found for the given name or the product does not have
+ * the flavor.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/products/:product/flavors/:flavor", requireOwner, invalidateCache,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = formatTitleCase(req.params.product);
+    await removeProductFlavor(db, product, formatTitleCase(req.params.flavor));
+    let flavors = await getProductFlavors(db, product);
+    db.end();
+    res.json(flavors);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === FLAVOR_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of the given product's price history, newest first, including
+ * scheduled future prices. Each price's "scheduled" value says whether it has yet to take
+ * effect.
+ * Example: [{ id: 16, price_cents: 800, price_display: "$8.00", effective_from: "2021-07-01",
+ *             scheduled: true },
+ *           { id: 1, price_cents: 700, price_display: "$7.00", effective_from: "2021-06-08",
+ *             scheduled: false }]
+ * Requires an owner login.
+ * Returns a 400 error if no product found for the given name.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/products/:product/prices", requireOwner, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let prices = await getPriceHistory(db, formatTitleCase(req.params.product));
+    db.end();
+    res.json(prices);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Sets the price of the given product from the given date on, replacing any price already
+ * set for that date. Dates after today schedule a future price change.
+ * Returns the updated JSON collection of the product's price history, in the same format as
+ * GET /products/:product/prices.
+ * Requires an owner login.
+ * Required POST parameters: price (in dollars, ex: "10.25"), effective_from (YYYY-MM-DD,
+ * today or later).
+ * Returns a 400 error if invalid parameters or no product found for the given name.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/products/:product/prices", requireOwner, invalidateCache, validatePriceChange,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = (await getProduct(db, formatTitleCase(req.params.product)))[0];
+    await setProductPrice(db, product.name, req.fields.price_cents, req.fields.effective_from);
+    let prices = await getPriceHistory(db, product.name);
+    db.end();
+    res.json(prices);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Cancels the given scheduled price change of the given product. Prices that have already
+ * taken effect can't be removed.
+ * Returns the updated JSON collection of the product's price history, in the same format as
+ * GET /products/:product/prices.
+ * Requires an owner login.
+ * Returns a 400 error if no product found for the given name or no scheduled price change
+ * found for the given id.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/products/:product/prices/:id", requireOwner, invalidateCache,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let product = (await getProduct(db, formatTitleCase(req.params.product)))[0];
+    await cancelPriceChange(db, product.name, req.params.id);
+    let prices = await getPriceHistory(db, product.name);
+    db.end();
+    res.json(prices);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === PRICE_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a new macaron flavor.
+ * Returns a JSON object of information about the new flavor, in the same format as an entry
+ * of GET /macaron-flavors.
+ * Requires an owner login.
+ * Required POST parameters: name, description, image (an image file upload).
+ * Returns a 400 error if invalid parameters or a flavor with the same name already exists.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/macaron-flavors", requireOwner, parseImageForm, invalidateCache,
+        validateMacaronFlavor, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let fields = req.fields;
+    fields.image = await saveImage(req.file, formatDashes(fields.name) + "-macaron");
+    await createMacaronFlavor(db, fields);
+    let flavor = await getMacaronFlavor(db, fields.name);
+    db.end();
+    res.json(flavor);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given macaron flavor. Only the given fields are changed. If an image file is
+ * uploaded, it replaces the flavor's image.
+ * Returns a JSON object of information about the updated flavor, in the same format as an
+ * entry of GET /macaron-flavors.
+ * Requires an owner login.
+ * Optional PUT parameters (at least one required): name, description, image (an image file
+ * upload).
+ * Returns a 400 error if invalid parameters, no flavor found for the given name, or the new
+ * name is taken by another flavor.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/macaron-flavors/:flavor", requireOwner, parseImageForm, invalidateCache,
+        validateMacaronFlavor, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let name = formatTitleCase(req.params.flavor);
+    let fields = req.fields;
+    await getMacaronFlavor(db, name); // Check if flavor exists
+    if (req.file) {
+      fields.image = await saveImage(req.file, formatDashes(fields.name || name) + "-macaron");
+    }
+    await updateMacaronFlavor(db, name, fields);
+    let flavor = await getMacaronFlavor(db, fields.name || name);
+    db.end();
+    res.json(flavor);
+  } catch (err) {
+    if (err.message === FLAVOR_404_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given macaron flavor.
+ * Returns a plain text success message if successful.
+ * Requires an owner login.
+ * Returns a 400 error if no flavor found for the given name.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/macaron-flavors/:flavor", requireOwner, invalidateCache, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteMacaronFlavor(db, formatTitleCase(req.params.flavor));
+    db.end();
+    res.type("text");
+    res.send("Flavor successfully deleted.");
+  } catch (err) {
+    if (err.message === FLAVOR_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Logs in an administrator. Sets the administrator session cookie and returns a JSON
+ * object with the user's name, role, and session token. The token can be sent in an
+ * "Authorization: Bearer <token>" header instead of the cookie.
+ * Example: { username: "madeline", role: "owner", token: "9f86d081..." }
+ * After MAX_FAILED_LOGINS failed attempts in a row, the account is locked for
+ * LOCKOUT_MINUTES minutes.
+ * Required POST parameters: username, password.
+ * Returns a 400 error if missing parameters.
+ * Returns a 401 error if the username or password is wrong or the account is locked.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/admin/login", validateLogin, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let user = await checkLogin(db, req.body.username, req.body.password);
+    let token = await createAdminSession(db, user.username);
+    db.end();
+    res.cookie(ADMIN_COOKIE, token, {maxAge: ADMIN_SESSION_HOURS * 60 * 60 * 1000,
+                                     httpOnly: true, sameSite: "strict"});
+    res.json({"username": user.username, "role": user.role, "token": token});
+  } catch (err) {
+    if (err.message === LOGIN_ERR || err.message === LOCKED_ERR) {
+      res.status(401);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Logs out the current administrator, ending their session.
+ * Returns a plain text success message if successful.
+ * Requires an owner or staff login.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/admin/logout", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteAdminSession(db, req.user.token);
+    db.end();
+    res.clearCookie(ADMIN_COOKIE);
+    res.type("text");
+    res.send("Successfully logged out.");
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON object with the name and role of the logged in administrator.
+ * Example: { username: "madeline", role: "owner" }
+ * Requires an owner or staff login.
+ * Returns a 401 error if not logged in.
+ */
+app.get("/admin/me", requireStaff, (req, res) => {
+  res.json({"username": req.user.username, "role": req.user.role});
+});
+
+/**
+ * Changes the password of the logged in administrator and ends all of their other
+ * sessions.
+ * Returns a plain text success message if successful.
+ * Requires an owner or staff login.
+ * Required POST parameters: current_password, new_password.
+ * Returns a 400 error if missing parameters or the new password is too short.
+ * Returns a 401 error if not logged in or the current password is wrong.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/admin/password", requireStaff, validatePasswordChange, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await checkLogin(db, req.user.username, req.body.current_password);
+    await setPassword(db, req.user.username, req.body.new_password);
+    await deleteOtherAdminSessions(db, req.user.username, req.user.token);
+    db.end();
+    res.type("text");
+    res.send("Password successfully changed.");
+  } catch (err) {
+    if (err.message === LOGIN_ERR || err.message === LOCKED_ERR) {
+      res.status(401);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Creates a new administrator account.
+ * Returns a JSON object with the new user's name and role.
+ * Example: { username: "maggie", role: "staff" }
+ * Requires an owner login.
+ * Required POST parameters: username, password, role ("owner" or "staff").
+ * Returns a 400 error if invalid parameters or the username is taken.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/admin/users", requireOwner, validateNewUser, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await createUser(db, req.body.username, req.body.password, req.body.role);
+    db.end();
+    res.json({"username": req.body.username, "role": req.body.role});
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of "Contact us" messages, newest first, without their text.
+ * Example: [{ id: 7, name: "Tony Stark", email: "tony@stark.com", status: "unread",
+ *             archived: false, created: "2021-06-10T17:04:12.000Z" }]
+ * Requires an owner or staff login.
+ * Optional query parameters: "status" ("unread", "read", or "replied") to only return
+ * messages with that status, and "archived" ("true" or "false", defaults to "false") to
+ * return archived or unarchived messages.
+ * Returns a 400 error if the query parameters are invalid.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/messages", requireStaff, validateMessagesQuery, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let messages = await getMessages(db, req.query.status, req.query.archived === "true");
+    db.end();
+    res.json(messages);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON object with the given "Contact us" message, including its text. Viewing
+ * an unread message marks it as read.
+ * Example: { id: 7, name: "Tony Stark", email: "tony@stark.com", message: "Hi!",
+ *            status: "read", archived: false, created: "2021-06-10T17:04:12.000Z" }
+ * Requires an owner or staff login.
+ * Returns a 400 error if no message found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/messages/:id", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let message = await getMessage(db, req.params.id);
+    if (message.status === "unread") {
+      await updateMessage(db, req.params.id, {"status": "read"});
+      message.status = "read";
+    }
+    db.end();
+    res.json(message);
+  } catch (err) {
+    if (err.message === MESSAGE_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Changes the status of the given "Contact us" message and/or archives or unarchives it.
+ * Returns a JSON object with the updated message, in the same format as
+ * GET /admin/messages/:id.
+ * Requires an owner or staff login.
+ * Optional PUT parameters (at least one required): status ("unread", "read", or "replied"),
+ * archived ("true" or "false").
+ * Returns a 400 error if invalid parameters or no message found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/admin/messages/:id", requireStaff, validateMessageUpdate, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updateMessage(db, req.params.id, req.fields);
+    let message = await getMessage(db, req.params.id);
+    db.end();
+    res.json(message);
+  } catch (err) {
+    if (err.message === MESSAGE_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of orders, ordered by pickup time, without their items.
+ * Example: [{ code: "PT-3F9A1C0B", name: "Tony Stark", email: "tony@stark.com",
+ *             phone: "408-555-0123", status: "received", date: "2021-06-12",
+ *             start: "10:00", end: "12:00", total_cents: 2188, total_display: "$21.88",
+ *             created: "2021-06-10T17:04:12.000Z" }]
+ * Requires an owner or staff login.
+ * Optional query parameters: "status" ("received", "baking", "ready", "picked_up", or
+ * "cancelled") to only return orders with that status, and "date" (in YYYY-MM-DD format)
+ * to only return orders picked up that day.
+ * Returns a 400 error if the query parameters are invalid.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/orders", requireStaff, validateOrdersQuery, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let orders = await getOrders(db, req.query.status, req.query.date);
+    db.end();
+    res.json(orders);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Moves the given order to its next status. Orders go from "received" to "baking" to
+ * "ready" to "picked_up", and can be "cancelled" at any point before they are picked up.
+ * Cancelling an order frees its spot in the pickup slot and its production capacity, and
+ * gives back its use of the promo code. The customer is emailed the new status.
+ * Returns a JSON object with the updated order, in the same format as GET /orders/:code
+ * but also including the customer's email, phone, and notes, and who made each change.
+ * Requires an owner or staff login.
+ * Required PUT parameters: status.
+ * Returns a 400 error if invalid parameters, no order found for the given confirmation
+ * number, or the order can't move from its current status to the given one.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/admin/orders/:code", requireStaff, validateOrderStatus, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await changeOrderStatus(db, req.params.code, req.body.status, req.user.username);
+    await logQueueError(notifyOrder(db, req.params.code, "order_status"));
+    let order = await getOrder(db, req.params.code);
+    db.end();
+    res.json(order);
+  } catch (err) {
+    if (err.message === ORDER_404_ERR || err.message === ORDER_STATUS_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns the kitchen pickup tickets for the given order, as an HTML page or a PDF, with one
+ * 4x6 inch ticket for each box to stick on it. Each ticket has the confirmation number and
+ * its QR code, the customer's name, the pickup time, what goes in the box, and the order
+ * notes.
+ * Requires an owner or staff login.
+ * Optional query parameters: format ("html" or "pdf", defaults to "html").
+ * Returns a 400 error if invalid parameters or no order found for the given confirmation
+ * number.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/orders/:code/tickets", requireStaff, validateDocumentFormat,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let order = await getOrder(db, req.params.code);
+    db.end();
+    await sendDocument(res, buildTickets(order), req.query.format, "tickets-" + order.code);
+  } catch (err) {
+    if (err.message === ORDER_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of reviews with the given moderation status, oldest first, so
+ * the reviews waiting the longest are moderated first.
+ * Example: [{ id: 3, product: "Cake", code: "PT-3F9A1C0B", name: "Tony Stark", rating: 5,
+ *             text: "So moist!", status: "pending", created: "2021-06-14T17:04:12.000Z",
+ *             moderated: null, moderated_by: null }]
+ * Requires an owner or staff login.
+ * Optional query parameters: "status" ("pending", "approved", or "hidden", defaults to
+ * "pending").
+ * Returns a 400 error if the query parameters are invalid.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/reviews", requireStaff, validateReviewsQuery, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let reviews = await getReviews(db, req.query.status);
+    db.end();
+    res.json(reviews);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Approves or hides the given review, or returns it to the moderation queue. Only approved
+ * reviews are shown to customers and counted in ratings.
+ * Returns a JSON object with the updated review, in the same format as GET /admin/reviews.
+ * Requires an owner or staff login.
+ * Required PUT parameters: status ("pending", "approved", or "hidden").
+ * Returns a 400 error if invalid parameters or no review found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/admin/reviews/:id", requireStaff, invalidateCache, validateReviewStatus,
+        async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await moderateReview(db, req.params.id, req.body.status, req.user.username);
+    let review = await getReview(db, req.params.id);
+    db.end();
+    res.json(review);
+  } catch (err) {
+    if (err.message === REVIEW_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a new question and answer to the FAQ.
+ * Returns a JSON object with the new question, in the same format as an entry of GET /faq.
+ * Requires an owner or staff login.
+ * Required POST parameters: question, answer, category. Optional: position (defaults to
+ * the end of the category).
+ * Returns a 400 error if invalid parameters or the category does not exist.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/faq", requireStaff, invalidateCache, validateFAQ, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let id = await createFAQ(db, req.fields);
+    let faq = await getFAQEntry(db, id);
+    db.end();
+    res.json(faq);
+  } catch (err) {
+    if (err.code === "ER_NO_REFERENCED_ROW_2") {
+      res.status(400);
+      err.message = INVALID_CATEGORY_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given FAQ question. Only the given fields are changed.
+ * Returns a JSON object with the updated question, in the same format as an entry of
+ * GET /faq.
+ * Requires an owner or staff login.
+ * Optional PUT parameters (at least one required): question, answer, category, position.
+ * Returns a 400 error if invalid parameters, the category does not exist, or no question
+ * found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/faq/:id", requireStaff, invalidateCache, validateFAQ, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updateFAQ(db, req.params.id, req.fields);
+    let faq = await getFAQEntry(db, req.params.id);
+    db.end();
+    res.json(faq);
+  } catch (err) {
+    if (err.message === FAQ_404_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_NO_REFERENCED_ROW_2") {
+      res.status(400);
+      err.message = INVALID_CATEGORY_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given question from the FAQ.
+ * Returns a plain text success message if successful.
+ * Requires an owner or staff login.
+ * Returns a 400 error if no question found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/faq/:id", requireStaff, invalidateCache, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteFAQ(db, req.params.id);
+    db.end();
+    res.type("text");
+    res.send("Question successfully deleted.");
+  } catch (err) {
+    if (err.message === FAQ_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of every featured item, including ones scheduled for the future
+ * or past their end date, in display order.
+ * Example: [{ id: 1, product: "Cheesecake", position: 1, start_date: "2021-06-01",
+ *             end_date: null, blurb: "New flavor: chocolate!" }]
+ * Requires an owner or staff login.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/featured", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let featured = await getFeaturedEntries(db);
+    db.end();
+    res.json(featured);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Features a product on the homepage.
+ * Returns a JSON object with the new featured item, in the same format as an entry of
+ * GET /admin/featured.
+ * Requires an owner or staff login.
+ * Required POST parameters: product. Optional: position (defaults to last), start_date and
+ * end_date (in YYYY-MM-DD format), blurb.
+ * Returns a 400 error if invalid parameters or no product found for the given name.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/featured", requireStaff, validateFeatured, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let id = await createFeatured(db, req.fields);
+    let featured = await getFeaturedEntry(db, id);
+    db.end();
+    res.json(featured);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given featured item. Only the given fields are changed; send an empty
+ * start_date, end_date, or blurb to clear it.
+ * Returns a JSON object with the updated featured item, in the same format as an entry of
+ * GET /admin/featured.
+ * Requires an owner or staff login.
+ * Optional PUT parameters (at least one required): product, position, start_date, end_date,
+ * blurb.
+ * Returns a 400 error if invalid parameters, no product found for the given name, or no
+ * featured item found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/featured/:id", requireStaff, validateFeatured, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updateFeatured(db, req.params.id, req.fields);
+    let featured = await getFeaturedEntry(db, req.params.id);
+    db.end();
+    res.json(featured);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === FEATURED_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Stops featuring the given featured item.
+ * Returns a plain text success message if successful.
+ * Requires an owner or staff login.
+ * Returns a 400 error if no featured item found for the given id.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/featured/:id", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deleteFeatured(db, req.params.id);
+    db.end();
+    res.type("text");
+    res.send("Featured item successfully deleted.");
+  } catch (err) {
+    if (err.message === FEATURED_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of every pickup slot from today on, including full ones, ordered
+ * by date and time.
+ * Example: [{ id: 3, date: "2021-06-12", start: "10:00", end: "12:00", max_orders: 6,
+ *             booked: 2 }]
+ * Requires an owner or staff login.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/pickup-slots", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let slots = await getPickupSlotEntries(db);
+    db.end();
+    res.json(slots);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a pickup slot customers can choose at checkout.
+ * Returns a JSON object with the new pickup slot, in the same format as an entry of
+ * GET /admin/pickup-slots.
+ * Requires an owner or staff login.
+ * Required POST parameters: date (YYYY-MM-DD), start and end (24-hour HH:MM), max_orders.
+ * Returns a 400 error if invalid parameters or another slot starts at the same date and time.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/pickup-slots", requireStaff, validatePickupSlot, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let id = await createPickupSlot(db, req.fields);
+    let slot = await getPickupSlotEntry(db, id);
+    db.end();
+    res.json(slot);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = SLOT_DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given pickup slot. Only the given fields are changed. The date and times of a
+ * slot can't change once orders have been placed for it, and max_orders can't drop below the
+ * number of orders booked.
+ * Returns a JSON object with the updated pickup slot, in the same format as an entry of
+ * GET /admin/pickup-slots.
+ * Requires an owner or staff login.
+ * Optional PUT parameters (at least one required): date, start, end, max_orders.
+ * Returns a 400 error if invalid parameters, no pickup slot found for the given id, another
+ * slot starts at the new date and time, or the change conflicts with the slot's orders.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/pickup-slots/:id", requireStaff, validatePickupSlot, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updatePickupSlot(db, req.params.id, req.fields);
+    let slot = await getPickupSlotEntry(db, req.params.id);
+    db.end();
+    res.json(slot);
+  } catch (err) {
+    if (err.message === SLOT_404_ERR || err.message === SLOT_TIMES_ERR ||
+        err.message === SLOT_HAS_ORDERS_ERR || err.message === SLOT_CAPACITY_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = SLOT_DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given pickup slot. Slots that orders have been placed for are kept.
+ * Returns a plain text success message if successful.
+ * Requires an owner or staff login.
+ * Returns a 400 error if no pickup slot found for the given id or it has orders.
+ * Returns a 401 error if not logged in.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/pickup-slots/:id", requireStaff, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deletePickupSlot(db, req.params.id);
+    db.end();
+    res.type("text");
+    res.send("Pickup slot successfully deleted.");
+  } catch (err) {
+    if (err.message === SLOT_404_ERR || err.message === SLOT_HAS_ORDERS_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns a JSON collection of every promotion, including expired ones, newest first.
+ * Example: [{ code: "SUMMER10", description: "10% off orders of $20 or more",
+ *             type: "percent", percent_off: 10, amount_off_cents: null, buy_quantity: null,
+ *             get_quantity: null, product: null, flavor: null, min_subtotal_cents: 2000,
+ *             min_subtotal_display: "$20.00", max_uses: null, times_used: 3,
+ *             start_date: null, end_date: "2021-08-31" }]
+ * Requires an owner login.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.get("/admin/promotions", requireOwner, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    let promotions = await getPromotions(db);
+    db.end();
+    res.json(promotions);
+  } catch (err) {
+    res.status(500);
+    err.message = SERVER_ERROR;
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Adds a promotion with a promo code customers can enter at checkout.
+ * Returns a JSON object with the new promotion, in the same format as an entry of
+ * GET /admin/promotions.
+ * Requires an owner login.
+ * Required POST parameters: code, description, type ("percent", "fixed", or "buy_x_get_y"),
+ * and the type's amount: percent_off for "percent", amount_off (in dollars) for "fixed",
+ * and buy_quantity and get_quantity for "buy_x_get_y" (whose percent_off defaults to 100,
+ * making the extra items free).
+ * Optional: product and flavor (to only discount matching items), min_subtotal (in dollars),
+ * max_uses, start_date and end_date (in YYYY-MM-DD format).
+ * Returns a 400 error if invalid parameters, no product found for the given name, or a
+ * promotion with the same code already exists.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.post("/promotions", requireOwner, validatePromotion, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await createPromotion(db, req.fields);
+    let promotion = await getPromotionEntry(db, req.fields.code);
+    db.end();
+    res.json(promotion);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR) {
+      res.status(400);
+    } else if (err.code === "ER_DUP_ENTRY") {
+      res.status(400);
+      err.message = DUPLICATE_ERR;
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Updates the given promotion. Only the given fields are changed; send an empty product,
+ * flavor, max_uses, start_date, or end_date to clear it.
+ * Returns a JSON object with the updated promotion, in the same format as an entry of
+ * GET /admin/promotions.
+ * Requires an owner login.
+ * Optional PUT parameters (at least one required): description, type, percent_off,
+ * amount_off, buy_quantity, get_quantity, product, flavor, min_subtotal, max_uses,
+ * start_date, end_date.
+ * Returns a 400 error if invalid parameters, no product found for the given name, or no
+ * promotion found for the given code.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.put("/promotions/:code", requireOwner, validatePromotion, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await updatePromotion(db, req.params.code, req.fields);
+    let promotion = await getPromotionEntry(db, req.params.code);
+    db.end();
+    res.json(promotion);
+  } catch (err) {
+    if (err.message === PRODUCT_404_ERR || err.message === PROMO_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Removes the given promotion. Orders that used its promo code are kept.
+ * Returns a plain text success message if successful.
+ * Requires an owner login.
+ * Returns a 400 error if no promotion found for the given code.
+ * Returns a 401 error if not logged in, or a 403 error if not an owner.
+ * Returns a 500 error if something goes wrong on the server.
+ */
+app.delete("/promotions/:code", requireOwner, async (req, res, next) => {
+  let db;
+  try {
+    db = await getDB();
+    await deletePromotion(db, req.params.code);
+    db.end();
+    res.type("text");
+    res.send("Promotion successfully deleted.");
+  } catch (err) {
+    if (err.message === PROMO_404_ERR) {
+      res.status(400);
+    } else {
+      res.status(500);
+      err.message = SERVER_ERROR;
+    }
+    if (db) {
+      db.end();
+    }
+    next(err);
+  }
+});
+
+/**
+ * Returns every promotion, newest first, as an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The collection of promotions
+ */
+async function getPromotions(db) {
+  let query = "SELECT " + PROMOTION_COLUMNS + " FROM promotions ORDER BY created DESC;";
+  let rows = await db.query(query);
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns the given promotion as a RowDataPacket.
+ * Throws an error if the promotion does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The promo code. Ignores casing
+ * @returns {Object} The promotion
+ */
+async function getPromotionEntry(db, code) {
+  let query = "SELECT " + PROMOTION_COLUMNS + " FROM promotions WHERE code = ?;";
+  let rows = await db.query(query, [code]);
+  if (rows.length === 0) {
+    throw new Error(PROMO_404_ERR);
+  }
+  return formatPrices(rows[0]);
+}
+
+/**
+ * Adds a promotion with the given information to the promotions table.
+ * Throws an error if the promotion's product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The promotion information
+ */
+async function createPromotion(db, fields) {
+  if (fields.product) {
+    fields.product = (await getProduct(db, fields.product))[0].name;
+  }
+  let query = "INSERT INTO promotions SET ?;";
+  await db.query(query, [fields]);
+}
+
+/**
+ * Changes the given fields of the given promotion.
+ * Throws an error if the promotion or new product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The promo code. Ignores casing
+ * @param {Object} fields - The columns to change and their new values. Ex: { max_uses: 100 }
+ */
+async function updatePromotion(db, code, fields) {
+  if (fields.product) {
+    fields.product = (await getProduct(db, fields.product))[0].name;
+  }
+  let query = "UPDATE promotions SET ? WHERE code = ?;";
+  let result = await db.query(query, [fields, code]);
+  if (result.affectedRows === 0) {
+    throw new Error(PROMO_404_ERR);
+  }
+}
+
+/**
+ * Removes the given promotion from the promotions table.
+ * Throws an error if the promotion does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The promo code. Ignores casing
+ */
+async function deletePromotion(db, code) {
+  let query = "DELETE FROM promotions WHERE code = ?;";
+  let result = await db.query(query, [code]);
+  if (result.affectedRows === 0) {
+    throw new Error(PROMO_404_ERR);
+  }
+}
+
+/**
+ * Returns information about the products featured today, in display order, each with its
+ * promotional blurb, as an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The collection of featured products
+ */
+async function getFeatured(db) {
+  let query = "SELECT p.*, f.blurb FROM featured f JOIN product_prices p " +
+              "ON f.product = p.name " +
+              "WHERE (f.start_date IS NULL OR f.start_date <= CURDATE()) " +
+              "AND (f.end_date IS NULL OR f.end_date >= CURDATE()) " +
+              "ORDER BY f.position, f.id;";
+  let rows = await db.query(query);
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns every featured item, including inactive ones, in display order, as an array of
+ * RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The collection of featured items
+ */
+async function getFeaturedEntries(db) {
+  let query = "SELECT id, product, position, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, " +
+              "DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, blurb FROM featured " +
+              "ORDER BY position, id;";
+  let rows = await db.query(query);
+  return rows;
+}
+
+/**
+ * Returns the given featured item as a RowDataPacket.
+ * Throws an error if the featured item does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The featured item id
+ * @returns {Object} The featured item
+ */
+async function getFeaturedEntry(db, id) {
+  let query = "SELECT id, product, position, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, " +
+              "DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, blurb FROM featured WHERE id = ?;";
+  let rows = await db.query(query, [id]);
+  if (rows.length === 0) {
+    throw new Error(FEATURED_404_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Adds the given featured item to the featured table. If no position is given, it is
+ * placed last.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The product name and optional position, start_date, end_date,
+ * and blurb
+ * @returns {Number} The id of the new featured item
+ */
+async function createFeatured(db, fields) {
+  fields.product = (await getProduct(db, fields.product))[0].name;
+  if (fields.position === undefined) {
+    let rows = await db.query("SELECT COALESCE(MAX(position), 0) + 1 AS next FROM featured;");
+    fields.position = rows[0].next;
+  }
+  let query = "INSERT INTO featured SET ?;";
+  let result = await db.query(query, [fields]);
+  return result.insertId;
+}
+
+/**
+ * Changes the given fields of the given featured item.
+ * Throws an error if the featured item or new product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The featured item id
+ * @param {Object} fields - The columns to change and their new values. Ex: { position: 2 }
+ */
+async function updateFeatured(db, id, fields) {
+  if (fields.product) {
+    fields.product = (await getProduct(db, fields.product))[0].name;
+  }
+  let query = "UPDATE featured SET ? WHERE id = ?;";
+  let result = await db.query(query, [fields, id]);
+  if (result.affectedRows === 0) {
+    throw new Error(FEATURED_404_ERR);
+  }
+}
+
+/**
+ * Removes the given featured item from the featured table.
+ * Throws an error if the featured item does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The featured item id
+ */
+async function deleteFeatured(db, id) {
+  let query = "DELETE FROM featured WHERE id = ?;";
+  let result = await db.query(query, [id]);
+  if (result.affectedRows === 0) {
+    throw new Error(FEATURED_404_ERR);
+  }
+}
+/**
+ * Returns every pickup slot from today on, including full ones, ordered by date and time, as
+ * an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The collection of pickup slots
+ */
+async function getPickupSlotEntries(db) {
+  let query = "SELECT " + PICKUP_SLOT_COLUMNS + " FROM pickup_slots WHERE date >= CURDATE() " +
+              "ORDER BY date, start_time;";
+  let rows = await db.query(query);
+  return rows;
+}
+
+/**
+ * Returns the given pickup slot as a RowDataPacket.
+ * Throws an error if the pickup slot does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The pickup slot id
+ * @returns {Object} The pickup slot
+ */
+async function getPickupSlotEntry(db, id) {
+  let query = "SELECT " + PICKUP_SLOT_COLUMNS + " FROM pickup_slots WHERE id = ?;";
+  let rows = await db.query(query, [id]);
+  if (rows.length === 0) {
+    throw new Error(SLOT_404_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Adds the given pickup slot to the pickup_slots table.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The date, start_time, end_time, and max_orders
+ * @returns {Number} The id of the new pickup slot
+ */
+async function createPickupSlot(db, fields) {
+  let query = "INSERT INTO pickup_slots SET ?;";
+  let result = await db.query(query, [fields]);
+  return result.insertId;
+}
+
+/**
+ * Changes the given fields of the given pickup slot. The checks against the slot's orders
+ * happen in the update statement itself, so an order placed at the same time can't slip past
+ * them.
+ * Throws an error if the pickup slot does not exist in the database, the start time would not
+ * be before the end time, the date or times change after orders were placed for the slot, or
+ * max_orders is below the number of orders booked.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The pickup slot id
+ * @param {Object} fields - The columns to change and their new values. Ex: { max_orders: 8 }
+ */
+async function updatePickupSlot(db, id, fields) {
+  let slot = await getPickupSlotEntry(db, id);
+  let start = fields.start_time || slot.start;
+  let end = fields.end_time || slot.end;
+  if (start >= end) {
+    throw new Error(SLOT_TIMES_ERR);
+  }
+  let query = "UPDATE pickup_slots SET ? WHERE id = ?";
+  let params = [fields, id];
+  if (fields.date || fields.start_time || fields.end_time) {
+    query += " AND NOT EXISTS (SELECT * FROM orders WHERE slot_id = ?)";
+    params.push(id);
+  }
+  if (fields.max_orders !== undefined) {
+    query += " AND booked <= ?";
+    params.push(fields.max_orders);
+  }
+  let result = await db.query(query + ";", params);
+  if (result.affectedRows === 0) {
+    slot = await getPickupSlotEntry(db, id);
+    throw new Error(slot.booked > fields.max_orders ? SLOT_CAPACITY_ERR : SLOT_HAS_ORDERS_ERR);
+  }
+}
+
+/**
+ * Removes the given pickup slot from the pickup_slots table, unless orders have been placed
+ * for it.
+ * Throws an error if the pickup slot does not exist in the database or has orders.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The pickup slot id
+ */
+async function deletePickupSlot(db, id) {
+  let query = "DELETE FROM pickup_slots WHERE id = ? AND " +
+              "NOT EXISTS (SELECT * FROM orders WHERE slot_id = ?);";
+  let result = await db.query(query, [id, id]);
+  if (result.affectedRows === 0) {
+    await getPickupSlotEntry(db, id);
+    throw new Error(SLOT_HAS_ORDERS_ERR);
+  }
+}
+
+
+/**
+ * Returns one page of product information according to the search, filter, and sort
+ * parameters, with the total number of products found and, if asked for, facet counts for
+ * the filter options. The filters, sorting, paging, and counts are done by the database.
+ * Searching matches each word against the words of the product names, descriptions, and
+ * flavor names, allowing prefixes and small typos, and only returns products that match
+ * every word. Each product found also has a relevance "score" and "highlights": its name,
+ * description, and matching flavors as HTML, with the matching words in <mark> tags.
+ * Every product has its dietary "tags", "average_rating", and "review_count".
+ * @param {Object} db - The database object for connection
+ * @param {String} contains - The search text. Words should be separated by dashes, not
+ * spaces. If none given, will return all products. Ignores casing
+ * @param {String} sort - The attribute to sort by ("relevance", "name", "price", or
+ * "rating"). Must be lowercase. Sorting by relevance without search text sorts by name
+ * @param {String} direction - The direction in which to sort (either "asc" or "desc"). Must
+ * be lowercase. Ignored when sorting by relevance, which puts the best matches first
+ * @param {Object} filters - The filters, as described in getProductConditions
+ * @param {Object} page - How many products to return and how many to skip. Ex:
+ * { limit: 8, offset: 16 }
+ * @param {Boolean} withFacets - True to also count the facets, false otherwise
+ * @returns {Object} The page of products, the total number found, and the facets (if asked
+ * for), as described in getProductFacets. Ex: { products: [...], total: 20, facets: {...} }
+ */
+async function getProductsListFiltered(db, contains, sort, direction, filters, page,
+                                       withFacets) {
+  let words = contains.toLowerCase().match(/[a-z0-9]+/g) || [];
+  let matches = words.length > 0 ? await searchProducts(db, words) : null;
+  let where = getProductConditions(filters, matches);
+  let result = {};
+  if (matches && sort === "relevance") {
+    let found = await db.query("SELECT p.name FROM product_prices p" + where.sql + ";",
+                               where.params);
+    let names = found.map(row => row.name)
+      .sort((a, b) => matches[b].score - matches[a].score || a.localeCompare(b))
+      .slice(page.offset, page.offset + page.limit);
+    result.total = found.length;
+    let rows = names.length === 0 ? [] : await getProductRows(db, {
+      "sql": " WHERE p.name IN (?)",
+      "params": [names]
+    }, "p.name");
+    result.products = rows.sort((a, b) => names.indexOf(a.name) - names.indexOf(b.name));
+  } else {
+    let count = await db.query("SELECT COUNT(*) AS total FROM product_prices p" + where.sql +
+                               ";", where.params);
+    result.total = count[0].total;
+    let columns = sort === "price" ? ["p.price_cents"] : sort === "rating" ?
+      ["r.average_rating", "r.review_count"] : [];
+    let order = columns.concat(["p.name"])
+      .map(column => column + " " + direction.toUpperCase()).join(", ");
+    if (sort === "rating") {
+      order = "r.average_rating IS NULL, " + order; // Unrated products last in either direction
+    }
+    result.products = await getProductRows(db, where, order, page);
+  }
+  let tags = await getTagsByProduct(db, result.products.map(row => row.name));
+  for (let i = 0; i < result.products.length; i++) {
+    let row = result.products[i];
+    row.tags = tags[row.name] || [];
+    if (matches) {
+      Object.assign(row, matches[row.name]);
+    }
+  }
+  result.products = result.products.map(formatPrices);
+  if (withFacets) {
+    result.facets = await getProductFacets(db, filters, matches);
+  }
+  return result;
+}
+
+/**
+ * Returns the products matching the given conditions, in the given order, with their
+ * average rating (rounded to one decimal place, or null without reviews) and number of
+ * approved reviews.
+ * @param {Object} db - The database object for connection
+ * @param {Object} where - The WHERE clause and its parameters, as returned by
+ * getProductConditions. The products table is "p" and the ratings are "r"
+ * @param {String} order - The ORDER BY expressions. Ex: "p.price_cents DESC, p.name DESC"
+ * @param {Object} page - How many products to return and how many to skip (ex:
+ * { limit: 8, offset: 16 }), or undefined to return every matching product
+ * @returns {Object} The products, as RowDataPackets
+ */
+async function getProductRows(db, where, order, page) {
+  let query = "SELECT p.*, r.average_rating, COALESCE(r.review_count, 0) AS review_count " +
+              "FROM product_prices p LEFT JOIN (" +
+              "SELECT product, ROUND(AVG(rating), 1) AS average_rating, " +
+              "COUNT(*) AS review_count FROM reviews WHERE status = 'approved' " +
+              "GROUP BY product) r ON r.product = p.name" + where.sql + " ORDER BY " + order;
+  let params = where.params;
+  if (page) {
+    query += " LIMIT ? OFFSET ?";
+    params = params.concat([page.limit, page.offset]);
+  }
+  let rows = await db.query(query + ";", params);
+  for (let i = 0; i < rows.length; i++) {
+    rows[i].average_rating = rows[i].average_rating === null ? null :
+      Number(rows[i].average_rating);
+  }
+  return rows;
+}
+
+/**
+ * Returns the WHERE clause that finds the products passing the given filters, for a query
+ * on the product_prices view named "p".
+ * @param {Object} filters - The filters. Ex:
+ * { flavors: ["chocolate"], tags: ["nut-free"], min_price_cents: 500,
+ *   max_price_cents: null }
+ * The product must have at least one of the flavors (ignoring casing), every one of the
+ * tags, and a price within the range. Empty lists and null prices don't filter.
+ * @param {Object} matches - The products matching the search text, keyed by name, as
+ * returned by searchProducts, or null if not searching
+ * @param {String} skip - The name of a facet ("flavors", "tags", or "price") whose filter is
+ * left out, or undefined to use every filter
+ * @returns {Object} The clause (empty without conditions) and its parameters. Ex:
+ * { sql: " WHERE p.price_cents >= ?", params: [500] }
+ */
+function getProductConditions(filters, matches, skip) {
+  let conditions = [];
+  let params = [];
+  if (matches) {
+    let names = Object.keys(matches);
+    conditions.push(names.length > 0 ? "p.name IN (?)" : "FALSE");
+    if (names.length > 0) {
+      params.push(names);
+    }
+  }
+  if (skip !== "flavors" && filters.flavors.length > 0) {
+    conditions.push("EXISTS (SELECT * FROM products_flavors pf WHERE pf.product = p.name " +
+                    "AND LOWER(pf.flavor) IN (?))");
+    params.push(filters.flavors);
+  }
+  if (skip !== "tags") {
+    for (let i = 0; i < filters.tags.length; i++) {
+      conditions.push("EXISTS (SELECT * FROM products_tags pt WHERE pt.product = p.name " +
+                      "AND pt.tag = ?)");
+      params.push(filters.tags[i]);
+    }
+  }
+  if (skip !== "price" && filters.min_price_cents !== null) {
+    conditions.push("p.price_cents >= ?");
+    params.push(filters.min_price_cents);
+  }
+  if (skip !== "price" && filters.max_price_cents !== null) {
+    conditions.push("p.price_cents <= ?");
+    params.push(filters.max_price_cents);
+  }
+  return {"sql": conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "",
+          "params": params};
+}
+
+/**
+ * Returns the products whose name, description, or flavor names match every one of the
+ * given search words, with their relevance score and highlighted matches. Matching allows
+ * typos, which SQL can't, so this reads the names, descriptions, and flavors of every
+ * product, but nothing else.
+ * @param {Object} db - The database object for connection
+ * @param {Object} words - The lowercase search words
+ * @returns {Object} The matching products, keyed by name, as described in scoreProduct. Ex:
+ * { "Brownies": { score: 6, highlights: { name: "Brownies", ... } } }
+ */
+async function searchProducts(db, words) {
+  let products = await db.query("SELECT name, description FROM products;");
+  let flavors = await getFlavorsByProduct(db);
+  let matches = {};
+  for (let i = 0; i < products.length; i++) {
+    let product = products[i];
+    if (scoreProduct(product, flavors[product.name] || [], words)) {
+      matches[product.name] = {"score": product.score, "highlights": product.highlights};
+    }
+  }
+  return matches;
+}
+
+/**
+ * Returns the page of products asked for by the "limit" and "offset" query parameters of
+ * the given GET /products request, with the total number of products and links to the
+ * next and previous pages. The facets are included if they were counted.
+ * @param {Object} req - The request, with its paging parameters in req.page
+ * @param {Object} productsData - The page of products, the total, and the facets, as
+ * returned by getProductsListFiltered
+ * @returns {Object} The page, as described for GET /products
+ */
+function getProductsPage(req, productsData) {
+  let limit = req.page.limit;
+  let offset = req.page.offset;
+  let page = {
+    "products": productsData.products,
+    "total": productsData.total,
+    "limit": limit,
+    "offset": offset,
+    "next": offset + limit < productsData.total ? getPageLink(req, offset + limit) : null,
+    "previous": offset > 0 ? getPageLink(req, Math.max(offset - limit, 0)) : null
+  };
+  if (productsData.facets) {
+    page.facets = productsData.facets;
+  }
+  return page;
+}
+
+/**
+ * Returns a link to the given request's URL with the "offset" query parameter changed to
+ * the given offset, keeping every other query parameter.
+ * @param {Object} req - The request
+ * @param {Number} offset - The new offset
+ * @returns {String} The link, as a path and query string. Ex: "/products?limit=8&offset=16"
+ */
+function getPageLink(req, offset) {
+  let url = new URL(req.originalUrl, "http://localhost");
+  url.searchParams.set("offset", offset);
+  return url.pathname + url.search;
+}
+
+/**
+ * Returns the dietary tags of the given products.
+ * @param {Object} db - The database object for connection
+ * @param {Object} names - The product names
+ * @returns {Object} The tags, keyed by product name. Ex: { "Wagashi": ["gluten-free", "vegan"] }
+ */
+async function getTagsByProduct(db, names) {
+  if (names.length === 0) {
+    return {};
+  }
+  let query = "SELECT product, tag FROM products_tags WHERE product IN (?) ORDER BY tag;";
+  let rows = await db.query(query, [names]);
+  let tags = {};
+  for (let i = 0; i < rows.length; i++) {
+    tags[rows[i].product] = tags[rows[i].product] || [];
+    tags[rows[i].product].push(rows[i].tag);
+  }
+  return tags;
+}
+
+/**
+ * Counts how many products would be found with each filter option. Each facet's counts use
+ * every filter except its own, so choosing another option in the same facet shows how many
+ * products it would add.
+ * @param {Object} db - The database object for connection
+ * @param {Object} filters - The filters, as described in getProductConditions
+ * @param {Object} matches - The products matching the search text, as returned by
+ * searchProducts, or null if not searching
+ * @returns {Object} The facets, with options sorted by name. Ex:
+ * { flavors: [{ name: "Chocolate", count: 9 }, ...],
+ *   tags: [{ name: "gluten-free", count: 4 }, { name: "nut-free", count: 12 }, ...],
+ *   price: { min_cents: 200, min_display: "$2.00", max_cents: 3000,
+ *            max_display: "$30.00", ranges: [{ min_cents: 0, max_cents: 499, count: 5,
+ *            label: "Under $5.00" }, ...] } }
+ */
+async function getProductFacets(db, filters, matches) {
+  let where = getProductConditions(filters, matches, "flavors");
+  let flavors = await db.query("SELECT f.flavor AS name, COUNT(*) AS count " +
+                               "FROM products_flavors f JOIN product_prices p " +
+                               "ON f.product = p.name" + where.sql +
+                               " GROUP BY f.flavor ORDER BY f.flavor;", where.params);
+  where = getProductConditions(filters, matches, "tags");
+  let tagRows = await db.query("SELECT t.tag, COUNT(*) AS count FROM products_tags t " +
+                               "JOIN product_prices p ON t.product = p.name" + where.sql +
+                               " GROUP BY t.tag;", where.params);
+  let tagCounts = {};
+  for (let i = 0; i < tagRows.length; i++) {
+    tagCounts[tagRows[i].tag] = tagRows[i].count;
+  }
+  where = getProductConditions(filters, matches, "price");
+  let sums = PRICE_RANGES.map((range, i) => "SUM(p.price_cents BETWEEN ? AND " +
+                                            "COALESCE(?, p.price_cents)) AS range" + i);
+  let prices = (await db.query("SELECT MIN(p.price_cents) AS min_cents, " +
+                               "MAX(p.price_cents) AS max_cents, " + sums.join(", ") +
+                               " FROM product_prices p" + where.sql + ";",
+                               [].concat(...PRICE_RANGES, where.params)))[0];
+  return {
+    "flavors": flavors.map(row => ({"name": row.name, "count": row.count})),
+    "tags": DIETARY_TAGS.map(tag => ({"name": tag, "count": tagCounts[tag] || 0})),
+    "price": formatPrices({
+      "min_cents": prices.min_cents,
+      "max_cents": prices.max_cents,
+      "ranges": PRICE_RANGES.map((range, i) => ({
+        "min_cents": range[0],
+        "max_cents": range[1],
+        "label": range[1] === null ? formatCents(range[0]) + " and up" :
+          range[0] === 0 ? "Under " + formatCents(range[1] + 1) :
+            formatCents(range[0]) + " to " + formatCents(range[1]),
+        "count": Number(prices["range" + i])
+      }))
+    })
+  };
+}
+
+/**
+ * Returns the names of every product's flavors.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The flavor names, keyed by product name. Ex:
+ * { "Cheesecake": ["Chocolate", "Original"], ... }
+ */
+async function getFlavorsByProduct(db) {
+  let rows = await db.query("SELECT product, flavor FROM products_flavors ORDER BY flavor;");
+  let flavors = {};
+  for (let i = 0; i < rows.length; i++) {
+    flavors[rows[i].product] = flavors[rows[i].product] || [];
+    flavors[rows[i].product].push(rows[i].flavor);
+  }
+  return flavors;
+}
+
+/**
+ * Scores how well the given product matches the given search words, and sets the product's
+ * "score" and "highlights". Name matches count the most, then flavor matches, then
+ * description matches, and exact words count more than prefixes and typos.
+ * @param {Object} product - The product information, as a RowDataPacket
+ * @param {Object} flavors - The names of the product's flavors
+ * @param {Object} words - The lowercase search words
+ * @returns {Boolean} True if every search word matches the product, false otherwise
+ */
+function scoreProduct(product, flavors, words) {
+  let fields = [{"text": product.name, "weight": SEARCH_WEIGHTS.name}]
+    .concat(flavors.map(flavor => ({"text": flavor, "weight": SEARCH_WEIGHTS.flavor})))
+    .concat([{"text": product.description, "weight": SEARCH_WEIGHTS.description}]);
+  let score = 0;
+  for (let word of words) {
+    let best = 0;
+    for (let field of fields) {
+      for (let token of field.text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        best = Math.max(best, matchWord(token, word) * field.weight);
+      }
+    }
+    if (best === 0) {
+      return false;
+    }
+    score += best;
+  }
+  product.score = score;
+  product.highlights = {
+    "name": highlightMatches(product.name, words),
+    "description": highlightMatches(product.description, words),
+    "flavors": flavors.filter(flavor => highlightMatches(flavor, words) !== escapeHtml(flavor))
+      .map(flavor => highlightMatches(flavor, words))
+  };
+  return true;
+}
+
+/**
+ * Returns how closely the given word of a product matches the given search word: an exact
+ * match scores 3, a prefix of at least two letters scores 2, and a word within the allowed
+ * number of typos scores 1. One typo is allowed in search words of four to seven letters,
+ * and two in longer words.
+ * @param {String} token - The lowercase word from the product
+ * @param {String} word - The lowercase search word
+ * @returns {Number} The match score, or 0 if the words don't match
+ */
+function matchWord(token, word) {
+  if (token === word) {
+    return 3;
+  } else if (word.length >= 2 && token.startsWith(word)) {
+    return 2;
+  }
+  let typos = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  if (typos > 0 && editDistance(token.slice(0, word.length + typos), word) <= typos) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Returns the number of single letter insertions, deletions, and substitutions needed to
+ * turn one word into the other (their Levenshtein distance).
+ * @param {String} a - The first word
+ * @param {String} b - The second word
+ * @returns {Number} The edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({"length": b.length + 1}, (value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns the given text as HTML, with the words that match any of the given search words
+ * wrapped in <mark> tags.
+ * Example: highlightMatches("Chocolate Chip", ["choc"]) returns "<mark>Chocolate</mark> Chip".
+ * @param {String} text - The text to highlight
+ * @param {Object} words - The lowercase search words
+ * @returns {String} The highlighted HTML
+ */
+function highlightMatches(text, words) {
+  return text.split(/([A-Za-z0-9]+)/).map((part, i) => {
+    if (i % 2 === 1 && words.some(word => matchWord(part.toLowerCase(), word) > 0)) {
+      return "<mark>" + escapeHtml(part) + "</mark>";
+    }
+    return escapeHtml(part);
+  }).join("");
+}
+
+/**
+ * Returns up to MAX_SUGGESTIONS product and flavor names that complete the given search
+ * text, or are close to it, best matches first. Names are matched on the last word of the
+ * search text, and must also match the words before it.
+ * @param {Object} db - The database object for connection
+ * @param {String} text - The search text typed so far
+ * @returns {Object} The suggestions. Ex:
+ * [{ text: "Chocolate", type: "flavor" }, { text: "Cheesecake", type: "product" }]
+ */
+async function getSearchSuggestions(db, text) {
+  let words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  if (words.length === 0) {
+    return [];
+  }
+  let products = await db.query("SELECT name FROM products;");
+  let flavors = await db.query("SELECT DISTINCT flavor AS name FROM products_flavors;");
+  let candidates = products.map(row => ({"text": row.name, "type": "product"}))
+    .concat(flavors.map(row => ({"text": row.name, "type": "flavor"})));
+  let scored = [];
+  for (let candidate of candidates) {
+    let tokens = candidate.text.toLowerCase().match(/[a-z0-9]+/g) || [];
+    let score = 0;
+    for (let word of words) {
+      let best = Math.max(0, ...tokens.map(token => matchWord(token, word)));
+      if (best === 0) {
+        score = 0;
+        break;
+      }
+      score += best;
+    }
+    if (score > 0) {
+      scored.push({"text": candidate.text, "type": candidate.type, "score": score});
+    }
+  }
+  scored.sort((a, b) => b.score - a.score || a.text.localeCompare(b.text));
+  return scored.slice(0, MAX_SUGGESTIONS).map(item => ({"text": item.text, "type": item.type}));
+}
+
+/**
+ * Returns information about the given product, including its current price, as an array of
+ * RowDataPackets.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {Object} The product information
+ */
+async function getProduct(db, product) {
+  let query = "SELECT * FROM product_prices WHERE name = ?;";
+  let rows = await db.query(query, [product]);
+  if (rows.length === 0) {
+    throw new Error(PRODUCT_404_ERR);
+  }
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns the flavors of the given product, with each flavor's price surcharge, whether it
+ * is available, and the product's allergens and nutrition facts in that flavor.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @returns {Object} The collection of flavors. Ex:
+ * [{ name: "Chocolate", price_cents: 100, price_display: "$1.00", available: true,
+ *    allergens: ["dairy", "soy"], nutrition: null }]
+ */
+async function getProductFlavors(db, product) {
+  let name = (await getProduct(db, product))[0].name;
+  let query = "SELECT flavor AS name, price_cents, available FROM products_flavors " +
+              "WHERE product = ?;";
+  let rows = await db.query(query, [name]);
+  let info = await getDietaryInfo(db, name);
+  for (let i = 0; i < rows.length; i++) {
+    rows[i].available = rows[i].available === 1;
+    Object.assign(rows[i], mergeDietaryInfo(info, info.flavors[rows[i].name]));
+  }
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns a collection of information about macaron flavors as an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The information about macaron flavors
+ */
+async function getMacaronFlavors(db) {
+  let query = "SELECT * FROM macaron_flavors;";
+  let rows = await db.query(query);
+  return rows;
+}
+
+/**
+ * Returns a collection of common questions and answers, ordered by category and then by
+ * position within the category, as an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @param {String} search - If given, only questions whose question or answer contains this
+ * text are returned. Ignores casing
+ * @param {String} category - If given, only questions in this category are returned.
+ * Ignores casing
+ * @returns {Object} The collection of questions and answers
+ */
+async function getFAQ(db, search, category) {
+  let query = "SELECT f.id, f.question, f.answer, f.category, f.position FROM faq f " +
+              "JOIN faq_categories c ON f.category = c.name WHERE 1 = 1";
+  let params = [];
+  if (search) {
+    let pattern = "%" + escapeLike(search) + "%";
+    query += " AND (f.question LIKE ? OR f.answer LIKE ?)";
+    params.push(pattern, pattern);
+  }
+  if (category) {
+    query += " AND f.category = ?";
+    params.push(category);
+  }
+  query += " ORDER BY c.position, f.position, f.id;";
+  let rows = await db.query(query, params);
+  return rows;
+}
+
+/**
+ * Returns the given FAQ question as a RowDataPacket.
+ * Throws an error if the question does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The question id
+ * @returns {Object} The question, its answer, category, and position
+ */
+async function getFAQEntry(db, id) {
+  let query = "SELECT id, question, answer, category, position FROM faq WHERE id = ?;";
+  let rows = await db.query(query, [id]);
+  if (rows.length === 0) {
+    throw new Error(FAQ_404_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Adds the given question to the faq table. If no position is given, it is placed at the
+ * end of its category.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The question, answer, category, and optional position
+ * @returns {Number} The id of the new question
+ */
+async function createFAQ(db, fields) {
+  if (fields.position === undefined) {
+    let query = "SELECT COALESCE(MAX(position), 0) + 1 AS next FROM faq WHERE category = ?;";
+    let rows = await db.query(query, [fields.category]);
+    fields.position = rows[0].next;
+  }
+  let query = "INSERT INTO faq SET ?;";
+  let result = await db.query(query, [fields]);
+  return result.insertId;
+}
+
+/**
+ * Changes the given fields of the given FAQ question.
+ * Throws an error if the question does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The question id
+ * @param {Object} fields - The columns to change and their new values. Ex: { position: 2 }
+ */
+async function updateFAQ(db, id, fields) {
+  let query = "UPDATE faq SET ? WHERE id = ?;";
+  let result = await db.query(query, [fields, id]);
+  if (result.affectedRows === 0) {
+    throw new Error(FAQ_404_ERR);
+  }
+}
+
+/**
+ * Removes the given question from the faq table.
+ * Throws an error if the question does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The question id
+ */
+async function deleteFAQ(db, id) {
+  let query = "DELETE FROM faq WHERE id = ?;";
+  let result = await db.query(query, [id]);
+  if (result.affectedRows === 0) {
+    throw new Error(FAQ_404_ERR);
+  }
+}
+
+/**
+ * Returns the description about the given product as an array of RowDataPackets.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @returns {Object} The product description
+ */
+async function getDescription(db, product) {
+  let query = "SELECT description FROM products WHERE name=?;";
+  let rows = await db.query(query, [product]);
+  if (rows.length === 0) {
+    throw new Error(PRODUCT_404_ERR);
+  }
+  return rows;
+}
+
+/**
+ * Records the given information in the messages database as a new unread message.
+ * @param {Object} db - The database object for connection
+ * @param {String} name - The name to record
+ * @param {String} email - The email to record
+ * @param {String} message - The message to record
+ */
+async function recordMessage(db, name, email, message) {
+  let query = "INSERT INTO messages(name, email, message) VALUES (?, ?, ?);";
+  await db.query(query, [name, email, message]);
+}
+
+/**
+ * Returns the "Contact us" messages with the given status and archived state, newest
+ * first, as an array of RowDataPackets. The message text is left out.
+ * @param {Object} db - The database object for connection
+ * @param {String} status - The status to filter by ("unread", "read", or "replied"), or
+ * undefined for any status
+ * @param {Boolean} archived - Whether to return archived messages instead of unarchived ones
+ * @returns {Object} The collection of messages
+ */
+async function getMessages(db, status, archived) {
+  let query = "SELECT id, name, email, status, archived, created FROM messages " +
+              "WHERE archived = ?";
+  let params = [archived];
+  if (status) {
+    query += " AND status = ?";
+    params.push(status);
+  }
+  query += " ORDER BY created DESC, id DESC;";
+  let rows = await db.query(query, params);
+  for (let i = 0; i < rows.length; i++) {
+    rows[i].archived = rows[i].archived === 1;
+  }
+  return rows;
+}
+
+/**
+ * Returns the given "Contact us" message as a RowDataPacket.
+ * Throws an error if the message does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The message id
+ * @returns {Object} The message
+ */
+async function getMessage(db, id) {
+  let query = "SELECT id, name, email, message, status, archived, created FROM messages " +
+              "WHERE id = ?;";
+  let rows = await db.query(query, [id]);
+  if (rows.length === 0) {
+    throw new Error(MESSAGE_404_ERR);
+  }
+  rows[0].archived = rows[0].archived === 1;
+  return rows[0];
+}
+
+/**
+ * Changes the given fields of the given "Contact us" message.
+ * Throws an error if the message does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The message id
+ * @param {Object} fields - The columns to change and their new values.
+ * Ex: { status: "replied", archived: true }
+ */
+async function updateMessage(db, id, fields) {
+  let query = "UPDATE messages SET ? WHERE id = ?;";
+  let result = await db.query(query, [fields, id]);
+  if (result.affectedRows === 0) {
+    throw new Error(MESSAGE_404_ERR);
+  }
+}
+
+/**
+ * Returns the average rating and number of approved reviews of every reviewed product.
+ * @param {Object} db - The database object for connection
+ * @returns {Object} The ratings, keyed by product name, with the average rounded to one
+ * decimal place. Ex: { "Cake": { average_rating: 4.5, review_count: 2 } }
+ */
+async function getRatingsByProduct(db) {
+  let query = "SELECT product, AVG(rating) AS average, COUNT(*) AS count FROM reviews " +
+              "WHERE status = 'approved' GROUP BY product;";
+  let rows = await db.query(query);
+  let ratings = {};
+  for (let i = 0; i < rows.length; i++) {
+    ratings[rows[i].product] = {"average_rating": Math.round(Number(rows[i].average) * 10) / 10,
+                                "review_count": rows[i].count};
+  }
+  return ratings;
+}
+
+/**
+ * Adds the average rating and number of approved reviews to each of the given products.
+ * Products without reviews have an average rating of null.
+ * @param {Object} db - The database object for connection
+ * @param {Object} products - The products, changed in place
+ */
+async function addRatings(db, products) {
+  let ratings = await getRatingsByProduct(db);
+  for (let i = 0; i < products.length; i++) {
+    Object.assign(products[i], ratings[products[i].name] ||
+                               {"average_rating": null, "review_count": 0});
+  }
+}
+
+/**
+ * Returns the approved reviews of the given product, newest first, with its rating.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @returns {Object} The product name, rating, and reviews, as described in
+ * GET /products/:product/reviews
+ */
+async function getProductReviews(db, product) {
+  let info = (await getProduct(db, product))[0];
+  await addRatings(db, [info]);
+  let query = "SELECT id, name, rating, text, created FROM reviews " +
+              "WHERE product = ? AND status = 'approved' ORDER BY created DESC, id DESC;";
+  let reviews = await db.query(query, [info.name]);
+  for (let i = 0; i < reviews.length; i++) {
+    reviews[i].name = formatReviewerName(reviews[i].name);
+  }
+  return {"product": info.name, "average_rating": info.average_rating,
+          "review_count": info.review_count, "reviews": reviews};
+}
+
+/**
+ * Returns the given customer name shortened to a first name and last initial.
+ * Example: formatReviewerName("Tony Stark") returns "Tony S.".
+ * @param {String} name - The customer's full name
+ * @returns {String} The shortened name
+ */
+function formatReviewerName(name) {
+  let words = name.trim().split(/\s+/);
+  if (words.length === 1) {
+    return words[0];
+  }
+  return words[0] + " " + words[words.length - 1].charAt(0).toUpperCase() + ".";
+}
+
+/**
+ * Adds a review of the given product by the customer who placed the given order. The review
+ * waits for moderation.
+ * Throws an error if the product does not exist in the database, or no picked up order that
+ * included the product has the given confirmation number and email.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {Object} fields - The review. Ex:
+ * { code: "PT-3F9A1C0B", email: "tony@stark.com", rating: 5, text: "So moist!" }
+ * @returns {Object} The new review, as described in POST /products/:product/reviews
+ */
+async function createReview(db, product, fields) {
+  let name = (await getProduct(db, product))[0].name;
+  let query = "SELECT o.id, o.name FROM orders o JOIN order_items i ON o.id = i.order_id " +
+              "WHERE o.code = ? AND LOWER(o.email) = ? AND o.status = 'picked_up' AND " +
+              "i.product = ? LIMIT 1;";
+  let rows = await db.query(query, [fields.code, fields.email, name]);
+  if (rows.length === 0) {
+    throw new Error(REVIEW_NOT_ALLOWED_ERR);
+  }
+  query = "INSERT INTO reviews(product, order_id, name, rating, text) VALUES (?, ?, ?, ?, ?);";
+  let result = await db.query(query, [name, rows[0].id, rows[0].name, fields.rating,
+                                      fields.text]);
+  return {"id": result.insertId, "product": name, "rating": fields.rating,
+          "text": fields.text, "status": "pending"};
+}
+
+/**
+ * Returns the reviews with the given moderation status, oldest first, as an array of
+ * RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @param {String} status - The status to filter by ("pending", "approved", or "hidden")
+ * @returns {Object} The collection of reviews, as described in GET /admin/reviews
+ */
+async function getReviews(db, status) {
+  let query = "SELECT r.id, r.product, o.code, r.name, r.rating, r.text, r.status, " +
+              "r.created, r.moderated, r.moderated_by FROM reviews r " +
+              "JOIN orders o ON r.order_id = o.id WHERE r.status = ? ORDER BY r.created, r.id;";
+  return await db.query(query, [status]);
+}
+
+/**
+ * Returns the given review as a RowDataPacket, in the same format as getReviews.
+ * Throws an error if the review does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The review id
+ * @returns {Object} The review
+ */
+async function getReview(db, id) {
+  let query = "SELECT r.id, r.product, o.code, r.name, r.rating, r.text, r.status, " +
+              "r.created, r.moderated, r.moderated_by FROM reviews r " +
+              "JOIN orders o ON r.order_id = o.id WHERE r.id = ?;";
+  let rows = await db.query(query, [id]);
+  if (rows.length === 0) {
+    throw new Error(REVIEW_404_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Changes the moderation status of the given review, recording who changed it and when.
+ * Throws an error if the review does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Number} id - The review id
+ * @param {String} status - The new status ("pending", "approved", or "hidden")
+ * @param {String} username - The username of the staff member moderating the review
+ */
+async function moderateReview(db, id, status, username) {
+  let query = "UPDATE reviews SET status = ?, moderated = NOW(), moderated_by = ? " +
+              "WHERE id = ?;";
+  let result = await db.query(query, [status, username, id]);
+  if (result.affectedRows === 0) {
+    throw new Error(REVIEW_404_ERR);
+  }
+}
+
+/**
+ * Looks up the price of each order line in the products table and replaces the product,
+ * flavor, and box names with the names stored on the server.
+ * Throws an error if a product does not exist, or if a flavor or box style is not
+ * available for its product.
+ * @param {Object} db - The database object for connection
+ * @param {Object} lines - The order lines. Ex:
+ * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }]
+ * @returns {Object} The order lines, each with its unit "price_cents" (including the box and
+ * flavor surcharges), "box_price_cents" and "flavor_price_cents" surcharges, and line
+ * "total_cents"
+ */
+async function priceOrderLines(db, lines) {
+  for (let i = 0; i < lines.length; i++) {
+    let product = await checkOrderLine(db, lines[i]);
+    lines[i].price_cents = product.price_cents + lines[i].box_price_cents +
+                           lines[i].flavor_price_cents;
+    lines[i].total_cents = lines[i].price_cents * lines[i].quantity;
+  }
+  return lines;
+}
+
+/**
+ * Checks that the given order line is for an existing product with a flavor and box style
+ * available for it, replaces the product, flavor, and box names with the names stored
+ * on the server, and sets the line's "box_price_cents" and "flavor_price_cents" to the box
+ * style's and flavor's surcharges.
+ * Throws an error if the product does not exist, or if the flavor or box style is not
+ * available for the product (including flavors that are sold out).
+ * @param {Object} db - The database object for connection
+ * @param {Object} line - The order line, with a product, flavor, and box
+ * @returns {Object} The product information, as a RowDataPacket
+ */
+async function checkOrderLine(db, line) {
+  let product = (await getProduct(db, line.product))[0];
+  let query = "SELECT flavor, price_cents FROM products_flavors " +
+              "WHERE product = ? AND flavor = ? AND available;";
+  let flavors = await db.query(query, [product.name, line.flavor]);
+  query = "SELECT b.name, b.price_cents FROM products_boxes pb JOIN box_decorations b " +
+          "ON pb.box = b.name WHERE pb.product = ? AND pb.box = ?;";
+  let boxes = await db.query(query, [product.name, line.box]);
+  if (flavors.length === 0 || boxes.length === 0) {
+    throw new Error(INVALID_ITEM_ERR);
+  }
+  line.product = product.name;
+  line.flavor = flavors[0].flavor;
+  line.box = boxes[0].name;
+  line.box_price_cents = boxes[0].price_cents;
+  line.flavor_price_cents = flavors[0].price_cents;
+  return product;
+}
+
+/**
+ * Records an order and its lines in the database, reserves a spot in its pickup slot and
+ * the production capacity it needs on the pickup date, and empties the cart the order was
+ * placed from, all in a single transaction.
+ * Throws an error if the pickup slot is full or does not meet the given lead time, if a
+ * product's quantity is outside its per-order limits or over its remaining capacity, or if
+ * the quote's promo code has run out of uses.
+ * @param {Object} db - The database object for connection
+ * @param {Object} details - The order details: name, email, phone, slot id, and optional notes
+ * @param {Object} quote - The order's price, as returned by getQuote
+ * @param {Number} leadDays - The minimum number of days between today and the pickup date
+ * @param {String} sessionId - The id of the session whose cart the order was placed from
+ * @param {Number} customerId - The id of the signed in customer's account, or null
+ * @returns {Object} The order confirmation number, discount, tax, and total price. Ex:
+ * { code: "PT-3F9A1C0B", discount_cents: 170, discount_display: "$1.70", tax_cents: 143,
+ *   tax_display: "$1.43", total_cents: 1673, total_display: "$16.73" }
+ */
+async function recordOrder(db, details, quote, leadDays, sessionId, customerId) {
+  let lines = quote.items;
+  let code = "PT-" + crypto.randomBytes(4).toString("hex").toUpperCase();
+  await db.beginTransaction();
+  try {
+    await reserveSlot(db, details.slot, leadDays);
+    await reserveCapacity(db, details.slot, lines);
+    if (quote.code) {
+      await redeemPromotion(db, quote.code);
+    }
+    let query = "INSERT INTO orders(code, customer_id, name, email, phone, slot_id, notes, " +
+                "promo_code, discount_cents, tax_cents, total_cents) " +
+                "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);";
+    let result = await db.query(query, [code, customerId, details.name, details.email,
+                                        details.phone, details.slot, details.notes || "",
+                                        quote.code, quote.discount_cents, quote.tax_cents,
+                                        quote.total_cents]);
+    query = "INSERT INTO order_status_history(order_id, status) VALUES (?, 'received');";
+    await db.query(query, [result.insertId]);
+    for (let i = 0; i < lines.length; i++) {
+      query = "INSERT INTO order_items(order_id, product, flavor, box, quantity, " +
+              "price_cents, box_price_cents, flavor_price_cents, discount_cents) " +
+              "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);";
+      await db.query(query, [result.insertId, lines[i].product, lines[i].flavor, lines[i].box,
+                             lines[i].quantity, lines[i].price_cents, lines[i].box_price_cents,
+                             lines[i].flavor_price_cents, lines[i].discount_cents]);
+    }
+    await clearCart(db, sessionId);
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+  return formatPrices({"code": code, "discount_cents": quote.discount_cents,
+                       "tax_cents": quote.tax_cents, "total_cents": quote.total_cents});
+}
+
+/**
+ * Returns the given order with its items, pickup slot, and status history.
+ * Throws an error if the order does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The order confirmation number. Ignores casing
+ * @returns {Object} The order, with prices in cents and display strings. Ex:
+ * { code: "PT-3F9A1C0B", name: "Tony Stark", email: "tony@stark.com", phone: "408-555-0123",
+ *   notes: "", status: "received", pickup: { date: "2021-06-12", start: "10:00",
+ *   end: "12:00" }, items: [...], subtotal_cents: 2000, discount_cents: 0, tax_cents: 188,
+ *   total_cents: 2188,
+ *   history: [{ status: "received", changed: "2021-06-10T17:04:12.000Z",
+ *               changed_by: null }],
+ *   created: "2021-06-10T17:04:12.000Z" }
+ */
+async function getOrder(db, code) {
+  let query = "SELECT o.id, o.code, o.name, o.email, o.phone, o.notes, o.status, " +
+              "DATE_FORMAT(s.date, '%Y-%m-%d') AS date, " +
+              "TIME_FORMAT(s.start_time, '%H:%i') AS start, " +
+              "TIME_FORMAT(s.end_time, '%H:%i') AS end, o.discount_cents, o.tax_cents, " +
+              "o.total_cents, o.created FROM orders o JOIN pickup_slots s ON o.slot_id = s.id " +
+              "WHERE o.code = ?;";
+  let rows = await db.query(query, [String(code).trim()]);
+  if (rows.length === 0) {
+    throw new Error(ORDER_404_ERR);
+  }
+  let order = rows[0];
+  query = "SELECT product, flavor, box, quantity, price_cents, box_price_cents, " +
+          "flavor_price_cents, discount_cents, price_cents * quantity AS total_cents " +
+          "FROM order_items WHERE order_id = ? ORDER BY id;";
+  let items = await db.query(query, [order.id]);
+  let subtotal = 0;
+  for (let i = 0; i < items.length; i++) {
+    subtotal += items[i].total_cents;
+  }
+  query = "SELECT status, changed, changed_by FROM order_status_history WHERE order_id = ? " +
+          "ORDER BY changed, id;";
+  let history = await db.query(query, [order.id]);
+  return formatPrices({
+    "code": order.code,
+    "name": order.name,
+    "email": order.email,
+    "phone": order.phone,
+    "notes": order.notes,
+    "status": order.status,
+    "pickup": {"date": order.date, "start": order.start, "end": order.end},
+    "items": items.map(formatPrices),
+    "subtotal_cents": subtotal,
+    "discount_cents": order.discount_cents,
+    "tax_cents": order.tax_cents,
+    "total_cents": order.total_cents,
+    "history": history,
+    "created": order.created
+  });
+}
+
+/**
+ * Returns the orders with the given status and pickup date, ordered by pickup time, as an
+ * array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @param {String} status - The order status, or undefined for every status
+ * @param {String} date - The pickup date in YYYY-MM-DD format, or undefined for every date
+ * @returns {Object} The collection of orders
+ */
+async function getOrders(db, status, date) {
+  let query = "SELECT o.code, o.name, o.email, o.phone, o.status, " +
+              "DATE_FORMAT(s.date, '%Y-%m-%d') AS date, " +
+              "TIME_FORMAT(s.start_time, '%H:%i') AS start, " +
+              "TIME_FORMAT(s.end_time, '%H:%i') AS end, o.total_cents, o.created " +
+              "FROM orders o JOIN pickup_slots s ON o.slot_id = s.id WHERE TRUE";
+  let params = [];
+  if (status) {
+    query += " AND o.status = ?";
+    params.push(status);
+  }
+  if (date) {
+    query += " AND s.date = ?";
+    params.push(date);
+  }
+  query += " ORDER BY s.date, s.start_time, o.created;";
+  let rows = await db.query(query, params);
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns the orders placed from the given customer account, newest first, with the items
+ * of each.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @returns {Object} The orders, with total prices in cents and display strings. Ex:
+ * [{ code: "PT-3F9A1C0B", status: "picked_up",
+ *    pickup: { date: "2021-06-12", start: "10:00", end: "12:00" },
+ *    items: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }],
+ *    total_cents: 2188, total_display: "$21.88", created: "2021-06-10T17:04:12.000Z" }]
+ */
+async function getCustomerOrders(db, customerId) {
+  let query = "SELECT o.id, o.code, o.status, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, " +
+              "TIME_FORMAT(s.start_time, '%H:%i') AS start, " +
+              "TIME_FORMAT(s.end_time, '%H:%i') AS end, o.total_cents, o.created " +
+              "FROM orders o JOIN pickup_slots s ON o.slot_id = s.id " +
+              "WHERE o.customer_id = ? ORDER BY o.created DESC, o.id DESC;";
+  let orders = await db.query(query, [customerId]);
+  query = "SELECT i.order_id, i.product, i.flavor, i.box, i.quantity FROM order_items i " +
+          "JOIN orders o ON i.order_id = o.id WHERE o.customer_id = ? ORDER BY i.id;";
+  let items = await db.query(query, [customerId]);
+  return orders.map(order => formatPrices({
+    "code": order.code,
+    "status": order.status,
+    "pickup": {"date": order.date, "start": order.start, "end": order.end},
+    "items": items.filter(item => item.order_id === order.id).map(item => {
+      return {"product": item.product, "flavor": item.flavor, "box": item.box,
+              "quantity": item.quantity};
+    }),
+    "total_cents": order.total_cents,
+    "created": order.created
+  }));
+}
+
+/**
+ * Returns the lines of the given order placed from the given customer account.
+ * Throws an error if the account has no order with the given confirmation number.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @param {String} code - The order confirmation number. Ignores casing
+ * @returns {Object} The order lines. Ex:
+ * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }]
+ */
+async function getCustomerOrderLines(db, customerId, code) {
+  let query = "SELECT id FROM orders WHERE code = ? AND customer_id = ?;";
+  let rows = await db.query(query, [String(code).trim(), customerId]);
+  if (rows.length === 0) {
+    throw new Error(ACCOUNT_ORDER_404_ERR);
+  }
+  query = "SELECT product, flavor, box, quantity FROM order_items WHERE order_id = ? " +
+          "ORDER BY id;";
+  return await db.query(query, [rows[0].id]);
+}
+
+/**
+ * Moves the given order to the given status and records when and by whom it was changed,
+ * in a single transaction. Cancelling an order also frees its spot in its pickup slot and
+ * its use of its promo code; its production capacity is freed because cancelled orders are
+ * not counted.
+ * Throws an error if the order does not exist, or if ORDER_TRANSITIONS does not allow it to
+ * move from its current status to the given one.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The order confirmation number. Ignores casing
+ * @param {String} status - The new status
+ * @param {String} username - The username of the staff member making the change
+ */
+async function changeOrderStatus(db, code, status, username) {
+  await db.beginTransaction();
+  try {
+    let query = "SELECT id, status, slot_id, promo_code FROM orders WHERE code = ? FOR UPDATE;";
+    let rows = await db.query(query, [String(code).trim()]);
+    if (rows.length === 0) {
+      throw new Error(ORDER_404_ERR);
+    }
+    let order = rows[0];
+    if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+      throw new Error(ORDER_STATUS_ERR);
+    }
+    await db.query("UPDATE orders SET status = ? WHERE id = ?;", [status, order.id]);
+    query = "INSERT INTO order_status_history(order_id, status, changed_by) VALUES (?, ?, ?);";
+    await db.query(query, [order.id, status, username]);
+    if (status === "cancelled") {
+      query = "UPDATE pickup_slots SET booked = booked - 1 WHERE id = ? AND booked > 0;";
+      await db.query(query, [order.slot_id]);
+      query = "UPDATE promotions SET times_used = times_used - 1 " +
+              "WHERE code = ? AND times_used > 0;";
+      await db.query(query, [order.promo_code]);
+    }
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Prices the given order lines and applies the given promo code to them.
+ * Throws an error if a line's product does not exist or its flavor or box style is not
+ * available, or if the promo code is invalid or does not apply to the lines.
+ * @param {Object} db - The database object for connection
+ * @param {Object} lines - The order lines. Ex:
+ * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }]
+ * @param {String} code - The promo code, or a falsy value for none. Ignores casing
+ * @returns {Object} The quote: the priced lines, each with its "discount_cents", the promo
+ * code and its description (null if none), and the price breakdown from quoteLines
+ */
+async function getQuote(db, lines, code) {
+  lines = await priceOrderLines(db, lines);
+  let promotion = null;
+  let discount = 0;
+  for (let i = 0; i < lines.length; i++) {
+    lines[i].discount_cents = 0;
+  }
+  if (code) {
+    promotion = await getPromotion(db, code);
+    discount = applyPromotion(promotion, lines);
+  }
+  let quote = quoteLines(lines, discount);
+  quote.items = lines.map(formatPrices);
+  quote.code = promotion ? promotion.code : null;
+  quote.description = promotion ? promotion.description : null;
+  return quote;
+}
+
+/**
+ * Returns the price breakdown of the given priced lines: the subtotal without box
+ * surcharges, the total box surcharges, the given discount, the sales tax on the
+ * discounted price (at TAX_RATE, rounded to the cent with TAX_ROUNDING), and the grand
+ * total. The cart and every order are priced with this function, so they always match.
+ * @param {Object} lines - The priced lines, each with a "quantity", "box_price_cents", and
+ * "total_cents"
+ * @param {Number} discount - The total discount, in cents
+ * @returns {Object} The price breakdown, in cents with display strings. Ex:
+ * { subtotal_cents: 2000, subtotal_display: "$20.00", box_surcharge_cents: 100,
+ *   box_surcharge_display: "$1.00", discount_cents: 0, discount_display: "$0.00",
+ *   tax_rate: 9.375, tax_cents: 197, tax_display: "$1.97", total_cents: 2297,
+ *   total_display: "$22.97" }
+ */
+function quoteLines(lines, discount) {
+  let subtotal = 0;
+  let boxes = 0;
+  for (let i = 0; i < lines.length; i++) {
+    boxes += lines[i].box_price_cents * lines[i].quantity;
+    subtotal += lines[i].total_cents;
+  }
+  subtotal -= boxes;
+  let tax = calculateTax(subtotal + boxes - discount);
+  return formatPrices({
+    "subtotal_cents": subtotal,
+    "box_surcharge_cents": boxes,
+    "discount_cents": discount,
+    "tax_rate": TAX_RATE,
+    "tax_cents": tax,
+    "total_cents": subtotal + boxes - discount + tax
+  });
+}
+
+/**
+ * Returns the sales tax on the given amount at TAX_RATE, rounded to a whole number of
+ * cents with TAX_ROUNDING:
+ * - "half-up" rounds half a cent up.
+ * - "half-even" rounds half a cent to the nearest even cent.
+ * - "up" and "down" round any fraction of a cent up or down.
+ * The tax is computed with whole numbers, so it is exact to a millionth of a percent.
+ * @param {Number} cents - The taxable amount, in cents
+ * @returns {Number} The tax, in cents
+ */
+function calculateTax(cents) {
+  const scale = 100000000; // 100 percent, in millionths of a percent
+  let product = cents * Math.round(TAX_RATE * 1000000);
+  let tax = Math.floor(product / scale);
+  let remainder = product % scale;
+  if (remainder === 0) {
+    return tax;
+  } else if (TAX_ROUNDING === "up") {
+    return tax + 1;
+  } else if (TAX_ROUNDING === "down") {
+    return tax;
+  } else if (TAX_ROUNDING === "half-even" && remainder * 2 === scale) {
+    return tax + tax % 2;
+  }
+  return remainder * 2 >= scale ? tax + 1 : tax;
+}
+
+/**
+ * Returns the promotion with the given promo code as a RowDataPacket, if it can be used
+ * today.
+ * Throws an error if no promotion has the code, or it has not started, has expired, or has
+ * run out of uses.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The promo code. Ignores casing
+ * @returns {Object} The promotion
+ */
+async function getPromotion(db, code) {
+  let query = "SELECT * FROM promotions WHERE code = ? " +
+              "AND (start_date IS NULL OR start_date <= CURDATE()) " +
+              "AND (end_date IS NULL OR end_date >= CURDATE()) " +
+              "AND (max_uses IS NULL OR times_used < max_uses);";
+  let rows = await db.query(query, [String(code).trim()]);
+  if (rows.length === 0) {
+    throw new Error(PROMO_INVALID_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Applies the given promotion to the given priced order lines, setting each line's
+ * "discount_cents". Only lines for the promotion's product and flavor (if it has them) are
+ * discounted:
+ * - "percent" promotions take percent_off off each line.
+ * - "fixed" promotions take amount_off_cents off the lines, split in proportion to their
+ *   totals and never more than the lines cost.
+ * - "buy_x_get_y" promotions take percent_off off the cheapest get_quantity items of every
+ *   buy_quantity + get_quantity items.
+ * Throws an error if the lines' subtotal is under the promotion's minimum, or no line can be
+ * discounted.
+ * @param {Object} promotion - The promotion, as returned by getPromotion
+ * @param {Object} lines - The priced order lines, as returned by priceOrderLines
+ * @returns {Number} The total discount, in cents
+ */
+function applyPromotion(promotion, lines) {
+  let subtotal = 0;
+  for (let i = 0; i < lines.length; i++) {
+    subtotal += lines[i].total_cents;
+  }
+  if (subtotal < promotion.min_subtotal_cents) {
+    throw new Error(PROMO_MINIMUM_ERR);
+  }
+  let eligible = lines.filter(line =>
+    (!promotion.product || line.product.toLowerCase() === promotion.product.toLowerCase()) &&
+    (!promotion.flavor || line.flavor.toLowerCase() === promotion.flavor.toLowerCase()));
+  if (promotion.type === "percent") {
+    for (let line of eligible) {
+      line.discount_cents = Math.round(line.total_cents * promotion.percent_off / 100);
+    }
+  } else if (promotion.type === "fixed") {
+    splitDiscount(eligible, promotion.amount_off_cents);
+  } else {
+    let units = [];
+    for (let line of eligible) {
+      for (let i = 0; i < line.quantity; i++) {
+        units.push(line);
+      }
+    }
+    units.sort((a, b) => a.price_cents - b.price_cents);
+    let groupSize = promotion.buy_quantity + promotion.get_quantity;
+    let free = Math.floor(units.length / groupSize) * promotion.get_quantity;
+    for (let i = 0; i < free; i++) {
+      units[i].discount_cents += Math.round(units[i].price_cents * promotion.percent_off / 100);
+    }
+  }
+  let discount = 0;
+  for (let line of eligible) {
+    discount += line.discount_cents;
+  }
+  if (discount === 0) {
+    throw new Error(PROMO_NOT_APPLICABLE_ERR);
+  }
+  return discount;
+}
+
+/**
+ * Splits the given discount between the given order lines in proportion to their totals,
+ * setting each line's "discount_cents". No line is discounted by more than its total, and
+ * leftover cents from rounding go to the first lines.
+ * @param {Object} lines - The priced order lines
+ * @param {Number} amount - The discount to split, in cents
+ */
+function splitDiscount(lines, amount) {
+  let total = 0;
+  for (let line of lines) {
+    total += line.total_cents;
+  }
+  amount = Math.min(amount, total);
+  let given = 0;
+  for (let line of lines) {
+    line.discount_cents = Math.floor(amount * line.total_cents / total);
+    given += line.discount_cents;
+  }
+  for (let i = 0; given < amount; i++) {
+    if (lines[i].discount_cents < lines[i].total_cents) {
+      lines[i].discount_cents++;
+      given++;
+    }
+  }
+}
+
+/**
+ * Counts one use of the given promo code. The check and the update happen in a single
+ * statement, so a promo code can never be used more than its limit.
+ * Throws an error if the promo code has run out of uses.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The promo code
+ */
+async function redeemPromotion(db, code) {
+  let query = "UPDATE promotions SET times_used = times_used + 1 WHERE code = ? " +
+              "AND (max_uses IS NULL OR times_used < max_uses);";
+  let result = await db.query(query, [code]);
+  if (result.affectedRows === 0) {
+    throw new Error(PROMO_INVALID_ERR);
+  }
+}
+
+/**
+ * Checks that the order lines' total quantity of each product is within the product's
+ * per-order limits and its remaining capacity on the given pickup slot's date. Each product
+ * row is locked until the end of the transaction, so two orders can never both take the
+ * last of a day's capacity.
+ * Must be called inside a transaction.
+ * Throws an error if a quantity is outside its product's limits or over its capacity.
+ * @param {Object} db - The database object for connection
+ * @param {Number} slotId - The id of the pickup slot
+ * @param {Object} lines - The order lines
+ */
+async function reserveCapacity(db, slotId, lines) {
+  let quantities = {};
+  for (let i = 0; i < lines.length; i++) {
+    quantities[lines[i].product] = (quantities[lines[i].product] || 0) + lines[i].quantity;
+  }
+  let query = "SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date FROM pickup_slots WHERE id = ?;";
+  let date = (await db.query(query, [slotId]))[0].date;
+  for (let name in quantities) {
+    let product = (await db.query("SELECT * FROM products WHERE name = ? FOR UPDATE;",
+                                  [name]))[0];
+    checkQuantity(product, quantities[name]);
+    let remaining = await getRemainingCapacity(db, product, date);
+    if (remaining !== null && quantities[name] > remaining) {
+      throw new Error(CAPACITY_ERR);
+    }
+  }
+}
+
+/**
+ * Returns how many more of the given product can be ordered for pickup on the given date.
+ * @param {Object} db - The database object for connection
+ * @param {Object} product - The product information, as a RowDataPacket
+ * @param {String} date - The pickup date, in YYYY-MM-DD format
+ * @returns {Number} The remaining capacity, or null if the product has no daily capacity
+ */
+async function getRemainingCapacity(db, product, date) {
+  if (product.daily_capacity === null) {
+    return null;
+  }
+  let query = "SELECT COALESCE(SUM(oi.quantity), 0) AS ordered FROM order_items oi " +
+              "JOIN orders o ON oi.order_id = o.id JOIN pickup_slots s ON o.slot_id = s.id " +
+              "WHERE oi.product = ? AND s.date = ? AND o.status <> 'cancelled';";
+  let ordered = Number((await db.query(query, [product.name, date]))[0].ordered);
+  return Math.max(product.daily_capacity - ordered, 0);
+}
+
+/**
+ * Checks that the given quantity of the given product can be ordered at once: it must be
+ * within the product's per-order limits and no more than can be made in a day.
+ * Throws an error if the quantity is outside the limits or over the daily capacity.
+ * @param {Object} product - The product information, as a RowDataPacket
+ * @param {Number} quantity - The total quantity of the product
+ */
+function checkQuantity(product, quantity) {
+  if (quantity < product.min_quantity || quantity > product.max_quantity) {
+    throw new Error(QUANTITY_ERR);
+  }
+  if (product.daily_capacity !== null && quantity > product.daily_capacity) {
+    throw new Error(CAPACITY_ERR);
+  }
+}
+
+/**
+ * Takes one spot in the given pickup slot. The check and the update happen in a single
+ * statement, so two orders can never both take the last spot.
+ * Throws an error if the slot does not exist, is full, or is sooner than the lead time.
+ * @param {Object} db - The database object for connection
+ * @param {Number} slotId - The id of the pickup slot
+ * @param {Number} leadDays - The minimum number of days between today and the pickup date
+ */
+async function reserveSlot(db, slotId, leadDays) {
+  let query = "UPDATE pickup_slots SET booked = booked + 1 WHERE id = ? AND " +
+              "booked < max_orders AND date >= CURDATE() + INTERVAL ? DAY;";
+  let result = await db.query(query, [slotId, leadDays]);
+  if (result.affectedRows === 0) {
+    throw new Error(SLOT_UNAVAILABLE_ERR);
+  }
+}
+
+/**
+ * Returns the minimum number of days of notice needed to make all of the given products.
+ * Throws an error if one of the products does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {Object} products - The product names. Words should be separated by spaces.
+ * Ignores casing
+ * @returns {Number} The largest lead time of the given products, or 0 if none given
+ */
+async function getLeadDays(db, products) {
+  let leadDays = 0;
+  for (let i = 0; i < products.length; i++) {
+    let product = (await getProduct(db, products[i]))[0];
+    leadDays = Math.max(leadDays, product.lead_days);
+  }
+  return leadDays;
+}
+
+/**
+ * Returns the pickup slots that still have room for orders and are at least the given
+ * number of days away, ordered by date and time, as an array of RowDataPackets.
+ * @param {Object} db - The database object for connection
+ * @param {Number} leadDays - The minimum number of days between today and the pickup date
+ * @returns {Object} The collection of pickup slots
+ */
+async function getPickupSlots(db, leadDays) {
+  let query = "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, " +
+              "TIME_FORMAT(start_time, '%H:%i') AS start, TIME_FORMAT(end_time, '%H:%i') AS end, " +
+              "max_orders - booked AS remaining FROM pickup_slots " +
+              "WHERE booked < max_orders AND date >= CURDATE() + INTERVAL ? DAY " +
+              "ORDER BY date, start_time;";
+  let rows = await db.query(query, [leadDays]);
+  return rows;
+}
+
+/**
+ * Returns the items in the given session's cart, along with the number of items and the
+ * cart's price breakdown from quoteLines, without a discount. Prices are in cents, from the
+ * current product prices and the box_decorations and products_flavors tables; each item's
+ * unit "price_cents" includes its "box_price_cents" and "flavor_price_cents" surcharges.
+ * Each price also has a display string. Each item lists the allergens of its product and
+ * flavor.
+ * Items whose flavor is sold out or no longer offered, or whose box style is no longer
+ * offered for the product, are "unavailable": they can't be ordered, so their prices are
+ * null and they are left out of the price breakdown.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @returns {Object} The cart. Ex:
+ * { items: [{ id: 4, product: "Cake", flavor: "Chocolate", box: "Flower", quantity: 2,
+ *             min_quantity: 1, max_quantity: 2, box_price_cents: 150,
+ *             box_price_display: "$1.50", flavor_price_cents: 0,
+ *             flavor_price_display: "$0.00", price_cents: 1150, price_display: "$11.50",
+ *             total_cents: 2300, total_display: "$23.00",
+ *             allergens: ["dairy", "egg", "gluten"], unavailable: false }],
+ *   count: 2,
+ *   subtotal_cents: 2000, subtotal_display: "$20.00", box_surcharge_cents: 300,
+ *   box_surcharge_display: "$3.00", discount_cents: 0, discount_display: "$0.00",
+ *   tax_rate: 9.375, tax_cents: 216, tax_display: "$2.16", total_cents: 2516,
+ *   total_display: "$25.16" }
+ */
+async function getCart(db, sessionId) {
+  let query = "SELECT c.id, c.product, c.flavor, c.box, c.quantity, p.min_quantity, " +
+              "p.max_quantity, b.price_cents AS box_price_cents, " +
+              "pf.price_cents AS flavor_price_cents, p.price_cents, " +
+              "NOT (COALESCE(pf.available, FALSE) AND pb.box IS NOT NULL) AS unavailable " +
+              "FROM cart_items c JOIN product_prices p ON c.product = p.name " +
+              "LEFT JOIN products_flavors pf ON c.product = pf.product AND " +
+              "c.flavor = pf.flavor " +
+              "LEFT JOIN products_boxes pb ON c.product = pb.product AND c.box = pb.box " +
+              "LEFT JOIN box_decorations b ON pb.box = b.name " +
+              "WHERE c.session_id = ? ORDER BY c.id;";
+  let items = await db.query(query, [sessionId]);
+  query = "SELECT c.id, a.allergen FROM cart_items c " +
+          "JOIN products_allergens a ON c.product = a.product WHERE c.session_id = ? " +
+          "UNION SELECT c.id, a.allergen FROM cart_items c " +
+          "JOIN flavors_allergens a ON c.product = a.product AND c.flavor = a.flavor " +
+          "WHERE c.session_id = ?;";
+  let allergens = await db.query(query, [sessionId, sessionId]);
+  let count = 0;
+  for (let i = 0; i < items.length; i++) {
+    items[i].allergens = ALLERGENS.filter(allergen => allergens.some(row =>
+      row.id === items[i].id && row.allergen === allergen));
+    items[i].unavailable = Boolean(items[i].unavailable);
+    if (items[i].unavailable) {
+      items[i].box_price_cents = null;
+      items[i].flavor_price_cents = null;
+      items[i].price_cents = null;
+      items[i].total_cents = null;
+    } else {
+      items[i].price_cents += items[i].box_price_cents + items[i].flavor_price_cents;
+      items[i].total_cents = items[i].price_cents * items[i].quantity;
+    }
+    count += items[i].quantity;
+  }
+  let cart = quoteLines(items.filter(item => !item.unavailable), 0);
+  cart.items = items.map(formatPrices);
+  cart.count = count;
+  return cart;
+}
+
+/**
+ * Returns the items in the given session's cart as order lines.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @returns {Object} The order lines. Ex:
+ * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }]
+ */
+async function getCartLines(db, sessionId) {
+  let query = "SELECT product, flavor, box, quantity FROM cart_items WHERE session_id = ? " +
+              "ORDER BY id;";
+  let rows = await db.query(query, [sessionId]);
+  return rows;
+}
+
+/**
+ * Adds the given line to the given session's cart, combining it with an existing line for
+ * the same product, flavor, and box style.
+ * Throws an error if the product does not exist, if the flavor or box style is not
+ * available for the product, or if the cart's total quantity of the product would be
+ * outside its per-order limits or over its daily capacity.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @param {Object} line - The line to add. Ex:
+ * { product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }
+ */
+async function addCartLine(db, sessionId, line) {
+  let product = await checkOrderLine(db, line);
+  let quantity = await getCartQuantity(db, sessionId, product.name);
+  checkQuantity(product, quantity + line.quantity);
+  let query = "INSERT INTO cart_items(session_id, product, flavor, box, quantity) " +
+              "VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?;";
+  await db.query(query, [sessionId, line.product, line.flavor, line.box, line.quantity,
+                         line.quantity]);
+}
+
+/**
+ * Sets the quantity of the given item in the given session's cart.
+ * Throws an error if the cart has no item with the given id, or if the cart's total
+ * quantity of the item's product would be outside its per-order limits or over its daily
+ * capacity.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @param {Number} itemId - The id of the cart item
+ * @param {Number} quantity - The new quantity
+ */
+async function updateCartLine(db, sessionId, itemId, quantity) {
+  let query = "SELECT product FROM cart_items WHERE id = ? AND session_id = ?;";
+  let rows = await db.query(query, [itemId, sessionId]);
   if (rows.length === 0) {
+    throw new Error(CART_ITEM_404_ERR);
+  }
+  let product = (await getProduct(db, rows[0].product))[0];
+  let otherQuantity = await getCartQuantity(db, sessionId, product.name, itemId);
+  checkQuantity(product, otherQuantity + quantity);
+  query = "UPDATE cart_items SET quantity = ? WHERE id = ? AND session_id = ?;";
+  await db.query(query, [quantity, itemId, sessionId]);
+}
+
+/**
+ * Returns the total quantity of the given product in the given session's cart.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @param {String} product - The product name
+ * @param {Number} excludeId - If given, the id of a cart item to leave out of the total
+ * @returns {Number} The total quantity
+ */
+async function getCartQuantity(db, sessionId, product, excludeId) {
+  let query = "SELECT COALESCE(SUM(quantity), 0) AS quantity FROM cart_items " +
+              "WHERE session_id = ? AND product = ? AND id != ?;";
+  let rows = await db.query(query, [sessionId, product, excludeId || 0]);
+  return Number(rows[0].quantity);
+}
+
+/**
+ * Removes the given item from the given session's cart.
+ * Throws an error if the cart has no item with the given id.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @param {Number} itemId - The id of the cart item
+ */
+async function removeCartLine(db, sessionId, itemId) {
+  let query = "DELETE FROM cart_items WHERE id = ? AND session_id = ?;";
+  let result = await db.query(query, [itemId, sessionId]);
+  if (result.affectedRows === 0) {
+    throw new Error(CART_ITEM_404_ERR);
+  }
+}
+
+/**
+ * Removes every item from the given session's cart.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ */
+async function clearCart(db, sessionId) {
+  let query = "DELETE FROM cart_items WHERE session_id = ?;";
+  await db.query(query, [sessionId]);
+}
+
+/**
+ * Adds the given lines to the given session's cart, one at a time, leaving out the lines
+ * that can't be added.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the session that owns the cart
+ * @param {Object} lines - The lines to add, in the format taken by addCartLine
+ * @returns {Object} The lines left out, each with the reason it couldn't be added. Ex:
+ * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 3,
+ *    reason: "The quantity of one or more products is outside the allowed range" }]
+ */
+async function addCartLines(db, sessionId, lines) {
+  let skipped = [];
+  for (let i = 0; i < lines.length; i++) {
+    let line = {"product": lines[i].product, "flavor": lines[i].flavor, "box": lines[i].box,
+                "quantity": lines[i].quantity};
+    try {
+      await addCartLine(db, sessionId, line);
+    } catch (err) {
+      if (err.message !== PRODUCT_404_ERR && err.message !== INVALID_ITEM_ERR &&
+          err.message !== QUANTITY_ERR && err.message !== CAPACITY_ERR) {
+        throw err;
+      }
+      line.reason = err.message;
+      skipped.push(line);
+    }
+  }
+  return skipped;
+}
+
+/**
+ * Moves the items in the given guest session's cart into the cart of the given customer's
+ * account, and empties the guest cart. If the account has no cart yet, the guest cart
+ * becomes the account's cart. A cart that belongs to another account is left alone.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the guest session
+ * @param {Object} customer - The customer, with their id and cart_session_id
+ * @returns {Object} The id of the session that owns the account's cart, and the guest cart
+ * lines that couldn't be moved, as returned by addCartLines. Ex:
+ * { session_id: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822c", skipped: [] }
+ */
+async function mergeGuestCart(db, sessionId, customer) {
+  let isGuest = !(await isAccountCart(db, sessionId));
+  let cartId = customer.cart_session_id;
+  let skipped = [];
+  if (!cartId) {
+    cartId = isGuest ? sessionId : createSessionId();
+    let query = "UPDATE customers SET cart_session_id = ? WHERE id = ?;";
+    await db.query(query, [cartId, customer.id]);
+  } else if (isGuest) {
+    skipped = await addCartLines(db, cartId, await getCartLines(db, sessionId));
+    await clearCart(db, sessionId);
+  }
+  return {"session_id": cartId, "skipped": skipped};
+}
+
+/**
+ * Returns whether the given session's cart is the cart of a customer account.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The session id
+ * @returns {Boolean} True if a customer account owns the cart, false otherwise
+ */
+async function isAccountCart(db, sessionId) {
+  let query = "SELECT id FROM customers WHERE cart_session_id = ?;";
+  let rows = await db.query(query, [sessionId]);
+  return rows.length > 0;
+}
+
+/**
+ * Returns who the favorites of the given request belong to: the signed in customer, or the
+ * session if not signed in.
+ * @param {Object} req - The request, with req.sessionId and req.customer set
+ * @returns {Object} The owner, with either a customer_id or a session_id and the other
+ * null. Ex: { customer_id: 12, session_id: null }
+ */
+function getFavoritesOwner(req) {
+  if (req.customer) {
+    return {"customer_id": req.customer.id, "session_id": null};
+  }
+  return {"customer_id": null, "session_id": req.sessionId};
+}
+
+/**
+ * Returns the given owner's favorites, oldest first, with their current prices and whether
+ * each can be ordered right now.
+ * @param {Object} db - The database object for connection
+ * @param {Object} owner - The owner of the favorites, as returned by getFavoritesOwner
+ * @returns {Object} The favorites, with prices in cents and display strings. Ex:
+ * [{ id: 3, product: "Macarons (6 Pcs)", flavor: "Rose", box: "Flower",
+ *    image: "imgs/macarons.jpg", price_cents: 1175, price_display: "$11.75",
+ *    available: true }]
+ */
+async function getFavorites(db, owner) {
+  let query = "SELECT f.id, f.product, f.flavor, f.box, p.image, p.price_cents + " +
+              "COALESCE(pf.price_cents, 0) + COALESCE(b.price_cents, 0) AS price_cents, " +
+              "COALESCE(pf.available, FALSE) AND pb.box IS NOT NULL AS available " +
+              "FROM favorites f JOIN product_prices p ON f.product = p.name " +
+              "LEFT JOIN products_flavors pf ON f.product = pf.product AND " +
+              "f.flavor = pf.flavor " +
+              "LEFT JOIN products_boxes pb ON f.product = pb.product AND f.box = pb.box " +
+              "LEFT JOIN box_decorations b ON pb.box = b.name " +
+              "WHERE f.customer_id <=> ? AND f.session_id <=> ? ORDER BY f.created, f.id;";
+  let rows = await db.query(query, [owner.customer_id, owner.session_id]);
+  return rows.map(row => {
+    row.available = Boolean(row.available);
+    return formatPrices(row);
+  });
+}
+
+/**
+ * Returns the given owner's favorites as cart lines, each in the smallest quantity that can
+ * be ordered of its product.
+ * @param {Object} db - The database object for connection
+ * @param {Object} owner - The owner of the favorites, as returned by getFavoritesOwner
+ * @returns {Object} The cart lines. Ex:
+ * [{ product: "Macarons (6 Pcs)", flavor: "Rose", box: "Flower", quantity: 1 }]
+ */
+async function getFavoriteLines(db, owner) {
+  let query = "SELECT f.product, f.flavor, f.box, p.min_quantity AS quantity " +
+              "FROM favorites f JOIN products p ON f.product = p.name " +
+              "WHERE f.customer_id <=> ? AND f.session_id <=> ? ORDER BY f.created, f.id;";
+  return await db.query(query, [owner.customer_id, owner.session_id]);
+}
+
+/**
+ * Adds the given product, flavor, and box style to the given owner's favorites.
+ * Throws an error if the product does not exist or the flavor or box style is not
+ * available for it.
+ * @param {Object} db - The database object for connection
+ * @param {Object} owner - The owner of the favorites, as returned by getFavoritesOwner
+ * @param {Object} line - The favorite. Ex:
+ * { product: "Macarons (6 Pcs)", flavor: "Rose", box: "Flower" }
+ */
+async function addFavorite(db, owner, line) {
+  await checkOrderLine(db, line);
+  let query = "INSERT INTO favorites(customer_id, session_id, product, flavor, box) " +
+              "VALUES (?, ?, ?, ?, ?);";
+  await db.query(query, [owner.customer_id, owner.session_id, line.product, line.flavor,
+                         line.box]);
+}
+
+/**
+ * Removes the given favorite from the given owner's favorites.
+ * Throws an error if the owner has no favorite with the given id.
+ * @param {Object} db - The database object for connection
+ * @param {Object} owner - The owner of the favorites, as returned by getFavoritesOwner
+ * @param {Number} favoriteId - The id of the favorite
+ */
+async function removeFavorite(db, owner, favoriteId) {
+  let query = "DELETE FROM favorites WHERE id = ? AND customer_id <=> ? AND session_id <=> ?;";
+  let result = await db.query(query, [favoriteId, owner.customer_id, owner.session_id]);
+  if (result.affectedRows === 0) {
+    throw new Error(FAVORITE_404_ERR);
+  }
+}
+
+/**
+ * Moves the favorites saved by the given guest session into the given customer's account,
+ * leaving out any the account already has.
+ * @param {Object} db - The database object for connection
+ * @param {String} sessionId - The id of the guest session
+ * @param {Number} customerId - The id of the customer's account
+ */
+async function mergeGuestFavorites(db, sessionId, customerId) {
+  let query = "UPDATE IGNORE favorites SET customer_id = ?, session_id = NULL " +
+              "WHERE session_id = ?;";
+  await db.query(query, [customerId, sessionId]);
+  query = "DELETE FROM favorites WHERE session_id = ?;";
+  await db.query(query, [sessionId]);
+}
+
+/**
+ * Returns the box decoration styles, in display order, as an array of RowDataPackets.
+ * Throws an error if a product is given and does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - If given, only the styles available for this product are
+ * returned. Words should be separated by spaces. Ignores casing
+ * @returns {Object} The collection of box decoration styles
+ */
+async function getBoxDecorations(db, product) {
+  let rows;
+  if (product) {
+    await getProduct(db, product); // Check if product exists
+    let query = "SELECT b.name, b.price_cents, b.image FROM box_decorations b " +
+                "JOIN products_boxes pb ON b.name = pb.box WHERE pb.product = ? " +
+                "ORDER BY b.position;";
+    rows = await db.query(query, [product]);
+  } else {
+    let query = "SELECT name, price_cents, image FROM box_decorations ORDER BY position;";
+    rows = await db.query(query);
+  }
+  return rows.map(formatPrices);
+}
+
+/**
+ * Adds a product with the given information to the products table with its price in effect
+ * from today and its dietary tags, and makes every box decoration style available for it.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The product information: name, price_cents, description, image,
+ * and optional lead_days, min_quantity, max_quantity, daily_capacity, tags, allergens, and
+ * nutrition
+ */
+async function createProduct(db, fields) {
+  let price = fields.price_cents;
+  let tags = fields.tags || [];
+  let allergens = fields.allergens;
+  let nutrition = fields.nutrition;
+  delete fields.price_cents;
+  delete fields.tags;
+  delete fields.allergens;
+  delete fields.nutrition;
+  await db.beginTransaction();
+  try {
+    await db.query("INSERT INTO products SET ?;", [fields]);
+    await setProductPrice(db, fields.name, price, null);
+    await setProductTags(db, fields.name, tags);
+    await setDietaryInfo(db, fields.name, null, allergens, nutrition);
+    let query = "INSERT INTO products_boxes(product, box) SELECT ?, name FROM box_decorations;";
+    await db.query(query, [fields.name]);
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Changes the given fields of the given product, in a single transaction. A new price takes
+ * effect today, new tags and allergens replace the old ones, and the given nutrition facts
+ * are changed.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {Object} fields - The columns to change and their new values. Ex: { price_cents: 800 }
+ */
+async function updateProduct(db, product, fields) {
+  let price = fields.price_cents;
+  let tags = fields.tags;
+  let allergens = fields.allergens;
+  let nutrition = fields.nutrition;
+  delete fields.price_cents;
+  delete fields.tags;
+  delete fields.allergens;
+  delete fields.nutrition;
+  await db.beginTransaction();
+  try {
+    if (Object.keys(fields).length > 0) {
+      let query = "UPDATE products SET ? WHERE name = ?;";
+      let result = await db.query(query, [fields, product]);
+      if (result.affectedRows === 0) {
+        throw new Error(PRODUCT_404_ERR);
+      }
+    }
+    if (price !== undefined) {
+      await setProductPrice(db, fields.name || product, price, null);
+    }
+    if (tags !== undefined) {
+      await setProductTags(db, fields.name || product, tags);
+    }
+    await setDietaryInfo(db, fields.name || product, null, allergens, nutrition);
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Replaces the dietary tags of the given product with the given tags.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name
+ * @param {Object} tags - The tags, each one of DIETARY_TAGS
+ */
+async function setProductTags(db, product, tags) {
+  await db.query("DELETE FROM products_tags WHERE product = ?;", [product]);
+  for (let i = 0; i < tags.length; i++) {
+    let query = "INSERT IGNORE INTO products_tags(product, tag) VALUES (?, ?);";
+    await db.query(query, [product, tags[i]]);
+  }
+}
+
+/**
+ * Returns the allergens and nutrition facts of the given product, and those that each of its
+ * flavors adds.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name
+ * @returns {Object} The information, with allergens in the order of ALLERGENS and nutrition
+ * facts as described in formatNutrition. Ex:
+ * { allergens: ["dairy", "gluten"], nutrition: { serving_size: "1 cookie", calories: 220, ... },
+ *   flavors: { "Chocolate Chip": { allergens: ["soy"], nutrition: null } } }
+ */
+async function getDietaryInfo(db, product) {
+  let info = {"allergens": [], "nutrition": null, "flavors": {}};
+  let rows = await db.query("SELECT flavor FROM products_flavors WHERE product = ?;",
+                            [product]);
+  for (let i = 0; i < rows.length; i++) {
+    info.flavors[rows[i].flavor] = {"allergens": [], "nutrition": null};
+  }
+  let query = "SELECT NULL AS flavor, allergen FROM products_allergens WHERE product = ? " +
+              "UNION ALL SELECT flavor, allergen FROM flavors_allergens WHERE product = ? " +
+              "ORDER BY allergen;";
+  rows = await db.query(query, [product, product]);
+  for (let i = 0; i < rows.length; i++) {
+    let target = rows[i].flavor === null ? info : info.flavors[rows[i].flavor];
+    target.allergens.push(rows[i].allergen);
+  }
+  rows = await db.query("SELECT * FROM products_nutrition WHERE product = ?;", [product]);
+  if (rows.length > 0) {
+    info.nutrition = formatNutrition(rows[0]);
+  }
+  rows = await db.query("SELECT * FROM flavors_nutrition WHERE product = ?;", [product]);
+  for (let i = 0; i < rows.length; i++) {
+    info.flavors[rows[i].flavor].nutrition = formatNutrition(rows[i]);
+  }
+  return info;
+}
+
+/**
+ * Returns the nutrition facts in the given row, with the amounts as numbers.
+ * @param {Object} row - The row from the products_nutrition or flavors_nutrition table
+ * @returns {Object} The nutrition facts, with null for the unknown ones. Ex:
+ * { serving_size: "1 macaron", calories: 90, fat_grams: 4.5, carbs_grams: 11,
+ *   sugar_grams: 10, protein_grams: 1.5 }
+ */
+function formatNutrition(row) {
+  let nutrition = {};
+  for (let i = 0; i < NUTRITION_FIELDS.length; i++) {
+    let value = row[NUTRITION_FIELDS[i]];
+    if (value !== null && NUTRITION_FIELDS[i] !== "serving_size") {
+      value = Number(value);
+    }
+    nutrition[NUTRITION_FIELDS[i]] = value;
+  }
+  return nutrition;
+}
+
+/**
+ * Combines the allergens and nutrition facts of a product with those of one of its flavors.
+ * The allergens are those of either one, and each known nutrition fact of the flavor replaces
+ * the product's.
+ * @param {Object} product - The product's allergens and nutrition, from getDietaryInfo
+ * @param {Object} flavor - The flavor's allergens and nutrition, from getDietaryInfo
+ * @returns {Object} The combined information. Ex:
+ * { allergens: ["dairy", "soy"], nutrition: { serving_size: "1 cookie", calories: 200, ... } }
+ */
+function mergeDietaryInfo(product, flavor) {
+  let allergens = ALLERGENS.filter(allergen => product.allergens.includes(allergen) ||
+                                               flavor.allergens.includes(allergen));
+  let nutrition = product.nutrition || flavor.nutrition ? {} : null;
+  if (nutrition) {
+    for (let i = 0; i < NUTRITION_FIELDS.length; i++) {
+      let name = NUTRITION_FIELDS[i];
+      let value = flavor.nutrition ? flavor.nutrition[name] : null;
+      if (value === null && product.nutrition) {
+        value = product.nutrition[name];
+      }
+      nutrition[name] = value;
+    }
+  }
+  return {"allergens": allergens, "nutrition": nutrition};
+}
+
+/**
+ * Replaces the allergens and changes the nutrition facts of the given product, or of the
+ * given flavor of it.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name
+ * @param {String} flavor - The flavor name, or null to change the product's own information
+ * @param {Object} allergens - The allergens, each one of ALLERGENS, or undefined to keep them
+ * @param {Object} nutrition - The nutrition facts to change and their new values (null if
+ * unknown), or undefined to keep them. Ex: { calories: 90, sugar_grams: null }
+ */
+async function setDietaryInfo(db, product, flavor, allergens, nutrition) {
+  let key = {"product": product};
+  let table = "products";
+  if (flavor !== null) {
+    key.flavor = flavor;
+    table = "flavors";
+  }
+  let where = Object.keys(key).map(column => column + " = ?").join(" AND ");
+  if (allergens !== undefined) {
+    await db.query("DELETE FROM " + table + "_allergens WHERE " + where + ";",
+                   Object.values(key));
+    for (let i = 0; i < allergens.length; i++) {
+      await db.query("INSERT IGNORE INTO " + table + "_allergens SET ?;",
+                     [Object.assign({"allergen": allergens[i]}, key)]);
+    }
+  }
+  if (nutrition !== undefined && Object.keys(nutrition).length > 0) {
+    let query = "INSERT INTO " + table + "_nutrition SET ? ON DUPLICATE KEY UPDATE ?;";
+    await db.query(query, [Object.assign({}, key, nutrition), nutrition]);
+  }
+}
+
+/**
+ * Returns the given product's price history, newest first, including scheduled future
+ * prices.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @returns {Object} The collection of prices. Ex:
+ * [{ id: 1, price_cents: 700, price_display: "$7.00", effective_from: "2021-06-08",
+ *    scheduled: false }]
+ */
+async function getPriceHistory(db, product) {
+  await getProduct(db, product); // Check if product exists
+  let query = "SELECT id, price_cents, DATE_FORMAT(effective_from, '%Y-%m-%d') " +
+              "AS effective_from, effective_from > CURDATE() AS scheduled FROM price_history " +
+              "WHERE product = ? ORDER BY effective_from DESC;";
+  let rows = await db.query(query, [product]);
+  for (let i = 0; i < rows.length; i++) {
+    rows[i].scheduled = rows[i].scheduled === 1;
+  }
+  return rows.map(formatPrices);
+}
+
+/**
+ * Returns when the next scheduled price change of any product takes effect, at the start
+ * of its day in the database's time zone.
+ * @param {Object} db - The database object for connection
+ * @returns {Number} The time, in milliseconds since the epoch, or null if no price change
+ * is scheduled
+ */
+async function getNextPriceChange(db) {
+  let query = "SELECT TIMESTAMPDIFF(SECOND, NOW(), MIN(effective_from)) AS seconds " +
+              "FROM price_history WHERE effective_from > CURDATE();";
+  let seconds = (await db.query(query))[0].seconds;
+  return seconds === null ? null : Date.now() + seconds * 1000;
+}
+
+/**
+ * Removes the given scheduled price change of the given product.
+ * Throws an error if the product has no price change with the given id that has yet to
+ * take effect.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name
+ * @param {Number} id - The id of the price change
+ */
+async function cancelPriceChange(db, product, id) {
+  let query = "DELETE FROM price_history WHERE id = ? AND product = ? " +
+              "AND effective_from > CURDATE();";
+  let result = await db.query(query, [id, product]);
+  if (result.affectedRows === 0) {
+    throw new Error(PRICE_404_ERR);
+  }
+}
+
+/**
+ * Sets the price of the given product from the given date on, replacing any price already
+ * set for that date.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name
+ * @param {Number} price - The price, in cents
+ * @param {String} date - The date the price takes effect, in YYYY-MM-DD format, or null for
+ * today
+ * @returns {Object} The result of the query
+ */
+async function setProductPrice(db, product, price, date) {
+  let query = "INSERT INTO price_history(product, price_cents, effective_from) " +
+              "VALUES (?, ?, COALESCE(?, CURDATE())) " +
+              "ON DUPLICATE KEY UPDATE price_cents = VALUES(price_cents);";
+  let result = await db.query(query, [product, price, date]);
+  return result;
+}
+
+/**
+ * Removes the given product from the products table, along with its flavors and any cart
+ * items for it.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ */
+async function deleteProduct(db, product) {
+  let query = "DELETE FROM products WHERE name = ?;";
+  let result = await db.query(query, [product]);
+  if (result.affectedRows === 0) {
     throw new Error(PRODUCT_404_ERR);
   }
-  return rows;
 }
 
 /**
- * Records the given information in the feedback database.
- * @param {Object} db - The database object for connection
- * @param {String} name - The name to record
- * @param {String} email - The email to record
- * @param {String} message - The message to record
+ * Adds the given flavor to the given product, with the allergens and nutrition facts it
+ * adds, in a single transaction.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {Object} fields - The flavor information. Ex:
+ * { flavor: "Matcha", price_cents: 50, available: true, allergens: ["soy"],
+ *   nutrition: { calories: 95 } }
+ */
+async function addProductFlavor(db, product, fields) {
+  let name = (await getProduct(db, product))[0].name;
+  let allergens = fields.allergens;
+  let nutrition = fields.nutrition;
+  delete fields.allergens;
+  delete fields.nutrition;
+  fields.product = name;
+  await db.beginTransaction();
+  try {
+    let query = "INSERT INTO products_flavors SET ?;";
+    await db.query(query, [fields]);
+    await setDietaryInfo(db, name, fields.flavor, allergens, nutrition);
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Changes the given fields of the given flavor of the given product, in a single
+ * transaction. New allergens replace the old ones, and the given nutrition facts are changed.
+ * Throws an error if the product does not exist in the database or does not have the flavor.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {String} flavor - The flavor name. Ignores casing
+ * @param {Object} fields - The columns to change and their new values. Ex: { available: false }
+ */
+async function updateProductFlavor(db, product, flavor, fields) {
+  await getProduct(db, product); // Check if product exists
+  let allergens = fields.allergens;
+  let nutrition = fields.nutrition;
+  delete fields.allergens;
+  delete fields.nutrition;
+  await db.beginTransaction();
+  try {
+    let query = "SELECT flavor FROM products_flavors WHERE product = ? AND flavor = ?;";
+    if ((await db.query(query, [product, flavor])).length === 0) {
+      throw new Error(FLAVOR_404_ERR);
+    }
+    if (Object.keys(fields).length > 0) {
+      query = "UPDATE products_flavors SET ? WHERE product = ? AND flavor = ?;";
+      await db.query(query, [fields, product, flavor]);
+    }
+    await setDietaryInfo(db, product, flavor, allergens, nutrition);
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Replaces the flavors of the given product with the given flavors, in a single transaction.
+ * Flavors the product already has keep their surcharge and availability.
+ * Throws an error if the product does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {Object} flavors - The flavor names
+ */
+async function setProductFlavors(db, product, flavors) {
+  let name = (await getProduct(db, product))[0].name;
+  await db.beginTransaction();
+  try {
+    let query = "DELETE FROM products_flavors WHERE product = ? AND flavor NOT IN (?);";
+    await db.query(query, [name, flavors]);
+    for (let i = 0; i < flavors.length; i++) {
+      let query = "INSERT IGNORE INTO products_flavors(product, flavor) VALUES (?, ?);";
+      await db.query(query, [name, flavors[i]]);
+    }
+    await db.commit();
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Removes the given flavor from the given product.
+ * Throws an error if the product does not exist in the database or does not have the flavor.
+ * @param {Object} db - The database object for connection
+ * @param {String} product - The product name. Words should be separated by spaces. Ignores casing
+ * @param {String} flavor - The flavor name. Ignores casing
+ */
+async function removeProductFlavor(db, product, flavor) {
+  await getProduct(db, product); // Check if product exists
+  let query = "DELETE FROM products_flavors WHERE product = ? AND flavor = ?;";
+  let result = await db.query(query, [product, flavor]);
+  if (result.affectedRows === 0) {
+    throw new Error(FLAVOR_404_ERR);
+  }
+}
+
+/**
+ * Returns information about the given macaron flavor as a RowDataPacket.
+ * Throws an error if the flavor does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} flavor - The flavor name. Ignores casing
+ * @returns {Object} The flavor information
+ */
+async function getMacaronFlavor(db, flavor) {
+  let query = "SELECT * FROM macaron_flavors WHERE name = ?;";
+  let rows = await db.query(query, [flavor]);
+  if (rows.length === 0) {
+    throw new Error(FLAVOR_404_ERR);
+  }
+  return rows[0];
+}
+
+/**
+ * Adds a macaron flavor with the given information to the macaron_flavors table.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The flavor information: name, description, image
+ */
+async function createMacaronFlavor(db, fields) {
+  let query = "INSERT INTO macaron_flavors SET ?;";
+  await db.query(query, [fields]);
+}
+
+/**
+ * Changes the given fields of the given macaron flavor.
+ * Throws an error if the flavor does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} flavor - The flavor name. Ignores casing
+ * @param {Object} fields - The columns to change and their new values
+ */
+async function updateMacaronFlavor(db, flavor, fields) {
+  let query = "UPDATE macaron_flavors SET ? WHERE name = ?;";
+  let result = await db.query(query, [fields, flavor]);
+  if (result.affectedRows === 0) {
+    throw new Error(FLAVOR_404_ERR);
+  }
+}
+
+/**
+ * Removes the given macaron flavor from the macaron_flavors table.
+ * Throws an error if the flavor does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} flavor - The flavor name. Ignores casing
+ */
+async function deleteMacaronFlavor(db, flavor) {
+  let query = "DELETE FROM macaron_flavors WHERE name = ?;";
+  let result = await db.query(query, [flavor]);
+  if (result.affectedRows === 0) {
+    throw new Error(FLAVOR_404_ERR);
+  }
+}
+
+/**
+ * Saves the given uploaded image to the public images folder, replacing any image with the
+ * same name.
+ * @param {Object} file - The image file uploaded through multer
+ * @param {String} name - The file name to use, without an extension. Ex: "mini-palmiers"
+ * @returns {String} The image url to store in the database. Ex: "imgs/mini-palmiers.jpg"
+ */
+async function saveImage(file, name) {
+  let fileName = name.replace(/[^a-z0-9()-]/g, "") + IMAGE_TYPES[file.mimetype];
+  await fs.writeFile(IMAGE_DIR + fileName, file.buffer);
+  return "imgs/" + fileName;
+}
+
+/**
+ * Checks the given username and password against the users table, keeping count of failed
+ * attempts. After MAX_FAILED_LOGINS failures in a row, the account is locked for
+ * LOCKOUT_MINUTES minutes; a successful login resets the count.
+ * Throws an error if the username or password is wrong or the account is locked.
+ * @param {Object} db - The database object for connection
+ * @param {String} username - The username
+ * @param {String} password - The password to check
+ * @returns {Object} The user's name and role
+ */
+async function checkLogin(db, username, password) {
+  let query = "SELECT username, role, password_hash, locked_until > NOW() AS locked " +
+              "FROM users WHERE username = ?;";
+  let rows = await db.query(query, [username]);
+  if (rows.length === 0) {
+    await hashPassword(password); // Take as long as a real check
+    throw new Error(LOGIN_ERR);
+  }
+  let user = rows[0];
+  if (user.locked) {
+    throw new Error(LOCKED_ERR);
+  }
+  if (!(await verifyPassword(password, user.password_hash))) {
+    query = "UPDATE users SET locked_until = IF(failed_logins + 1 >= ?, " +
+            "NOW() + INTERVAL ? MINUTE, NULL), failed_logins = IF(failed_logins + 1 >= ?, 0, " +
+            "failed_logins + 1) WHERE username = ?;";
+    await db.query(query, [MAX_FAILED_LOGINS, LOCKOUT_MINUTES, MAX_FAILED_LOGINS, username]);
+    throw new Error(LOGIN_ERR);
+  }
+  query = "UPDATE users SET failed_logins = 0, locked_until = NULL WHERE username = ?;";
+  await db.query(query, [username]);
+  return {"username": user.username, "role": user.role};
+}
+
+/**
+ * Adds a user with the given name, password, and role to the users table.
+ * @param {Object} db - The database object for connection
+ * @param {String} username - The username
+ * @param {String} password - The password, which is stored hashed
+ * @param {String} role - The role, either ROLE_OWNER or ROLE_STAFF
+ */
+async function createUser(db, username, password, role) {
+  let hash = await hashPassword(password);
+  let query = "INSERT INTO users(username, password_hash, role) VALUES (?, ?, ?);";
+  await db.query(query, [username, hash, role]);
+}
+
+/**
+ * Changes the password of the given user.
+ * @param {Object} db - The database object for connection
+ * @param {String} username - The username
+ * @param {String} password - The new password, which is stored hashed
+ */
+async function setPassword(db, username, password) {
+  let hash = await hashPassword(password);
+  let query = "UPDATE users SET password_hash = ? WHERE username = ?;";
+  await db.query(query, [hash, username]);
+}
+
+/**
+ * Starts an administrator session for the given user. Only a hash of the session token is
+ * stored, so the tokens cannot be recovered from the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} username - The username
+ * @returns {String} The session token
+ */
+async function createAdminSession(db, username) {
+  let token = crypto.randomBytes(32).toString("hex");
+  let query = "INSERT INTO admin_sessions(token_hash, username, expires) " +
+              "VALUES (?, ?, NOW() + INTERVAL ? HOUR);";
+  await db.query(query, [hashToken(token), username, ADMIN_SESSION_HOURS]);
+  return token;
+}
+
+/**
+ * Returns the name and role of the user with the given unexpired session token, or null if
+ * there is no such session.
+ * @param {Object} db - The database object for connection
+ * @param {String} token - The session token
+ * @returns {Object} The user's name and role, or null
+ */
+async function getAdminSession(db, token) {
+  let query = "SELECT u.username, u.role FROM admin_sessions s " +
+              "JOIN users u ON s.username = u.username " +
+              "WHERE s.token_hash = ? AND s.expires > NOW();";
+  let rows = await db.query(query, [hashToken(token)]);
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * Ends the administrator session with the given token.
+ * @param {Object} db - The database object for connection
+ * @param {String} token - The session token
+ */
+async function deleteAdminSession(db, token) {
+  let query = "DELETE FROM admin_sessions WHERE token_hash = ?;";
+  await db.query(query, [hashToken(token)]);
+}
+
+/**
+ * Ends every session of the given user except the one with the given token.
+ * @param {Object} db - The database object for connection
+ * @param {String} username - The username
+ * @param {String} token - The session token to keep
+ */
+async function deleteOtherAdminSessions(db, username, token) {
+  let query = "DELETE FROM admin_sessions WHERE username = ? AND token_hash != ?;";
+  await db.query(query, [username, hashToken(token)]);
+}
+
+/**
+ * Adds a customer account with the given details and password to the customers table.
+ * @param {Object} db - The database object for connection
+ * @param {Object} fields - The customer's email, name, phone, and pickup_preference
+ * @param {String} password - The password, which is stored hashed
+ * @param {String} sessionId - The id of the session whose cart becomes the account's cart
+ * @returns {Number} The id of the new account
+ */
+async function createCustomer(db, fields, password, sessionId) {
+  let hash = await hashPassword(password);
+  let query = "INSERT INTO customers(email, password_hash, name, phone, pickup_preference, " +
+              "cart_session_id) VALUES (?, ?, ?, ?, ?, ?);";
+  let result = await db.query(query, [fields.email, hash, fields.name, fields.phone,
+                                      fields.pickup_preference, sessionId]);
+  return result.insertId;
+}
+
+/**
+ * Checks the given email and password against the customers table, locking the account for
+ * LOCKOUT_MINUTES minutes after MAX_FAILED_LOGINS failed attempts in a row.
+ * Throws an error if the email or password is wrong, or if the account is locked.
+ * @param {Object} db - The database object for connection
+ * @param {String} email - The account's email, in lower case
+ * @param {String} password - The password to check
+ * @returns {Object} The customer's id, email, name, phone, pickup_preference, and
+ * cart_session_id
+ */
+async function checkCustomerLogin(db, email, password) {
+  let query = "SELECT id, email, name, phone, pickup_preference, cart_session_id, " +
+              "password_hash, locked_until > NOW() AS locked FROM customers WHERE email = ?;";
+  let rows = await db.query(query, [email]);
+  if (rows.length === 0) {
+    await hashPassword(password); // Take as long as a real check
+    throw new Error(ACCOUNT_LOGIN_ERR);
+  }
+  let customer = rows[0];
+  if (customer.locked) {
+    throw new Error(LOCKED_ERR);
+  }
+  if (!(await verifyPassword(password, customer.password_hash))) {
+    query = "UPDATE customers SET locked_until = IF(failed_logins + 1 >= ?, " +
+            "NOW() + INTERVAL ? MINUTE, NULL), failed_logins = IF(failed_logins + 1 >= ?, 0, " +
+            "failed_logins + 1) WHERE id = ?;";
+    await db.query(query, [MAX_FAILED_LOGINS, LOCKOUT_MINUTES, MAX_FAILED_LOGINS, customer.id]);
+    throw new Error(ACCOUNT_LOGIN_ERR);
+  }
+  query = "UPDATE customers SET failed_logins = 0, locked_until = NULL WHERE id = ?;";
+  await db.query(query, [customer.id]);
+  delete customer.password_hash;
+  delete customer.locked;
+  return customer;
+}
+
+/**
+ * Changes the saved details of the given customer.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @param {Object} fields - The customer's new name, phone, and pickup_preference
+ */
+async function updateCustomer(db, customerId, fields) {
+  let query = "UPDATE customers SET name = ?, phone = ?, pickup_preference = ? WHERE id = ?;";
+  await db.query(query, [fields.name, fields.phone, fields.pickup_preference, customerId]);
+}
+
+/**
+ * Changes the password of the given customer.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @param {String} password - The new password, which is stored hashed
+ */
+async function setCustomerPassword(db, customerId, password) {
+  let hash = await hashPassword(password);
+  let query = "UPDATE customers SET password_hash = ? WHERE id = ?;";
+  await db.query(query, [hash, customerId]);
+}
+
+/**
+ * Starts a session for the given customer. As with administrator sessions, only a hash of
+ * the session token is stored.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @returns {String} The session token
+ */
+async function createCustomerSession(db, customerId) {
+  let token = crypto.randomBytes(32).toString("hex");
+  let query = "INSERT INTO customer_sessions(token_hash, customer_id, expires) " +
+              "VALUES (?, ?, NOW() + INTERVAL ? DAY);";
+  await db.query(query, [hashToken(token), customerId, CUSTOMER_SESSION_DAYS]);
+  return token;
+}
+
+/**
+ * Returns the customer with the given unexpired session token, or null if there is no such
+ * session.
+ * @param {Object} db - The database object for connection
+ * @param {String} token - The session token
+ * @returns {Object} The customer's id, email, name, phone, pickup_preference, and
+ * cart_session_id, or null
+ */
+async function getCustomerSession(db, token) {
+  let query = "SELECT c.id, c.email, c.name, c.phone, c.pickup_preference, " +
+              "c.cart_session_id FROM customer_sessions s " +
+              "JOIN customers c ON s.customer_id = c.id " +
+              "WHERE s.token_hash = ? AND s.expires > NOW();";
+  let rows = await db.query(query, [hashToken(token)]);
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * Ends the customer session with the given token.
+ * @param {Object} db - The database object for connection
+ * @param {String} token - The session token
+ */
+async function deleteCustomerSession(db, token) {
+  let query = "DELETE FROM customer_sessions WHERE token_hash = ?;";
+  await db.query(query, [hashToken(token)]);
+}
+
+/**
+ * Ends every session of the given customer except the one with the given token.
+ * @param {Object} db - The database object for connection
+ * @param {Number} customerId - The id of the customer's account
+ * @param {String} token - The session token to keep
+ */
+async function deleteOtherCustomerSessions(db, customerId, token) {
+  let query = "DELETE FROM customer_sessions WHERE customer_id = ? AND token_hash != ?;";
+  await db.query(query, [customerId, hashToken(token)]);
+}
+
+/**
+ * Returns the details of the given customer that are shown to them.
+ * @param {Object} customer - The customer
+ * @returns {Object} The customer's email, name, phone, and pickup_preference. Ex:
+ * { email: "tony@stark.com", name: "Tony Stark", phone: "408-555-0123",
+ *   pickup_preference: "morning" }
+ */
+function formatCustomer(customer) {
+  return {"email": customer.email, "name": customer.name, "phone": customer.phone,
+          "pickup_preference": customer.pickup_preference};
+}
+
+/**
+ * Hashes the given password with scrypt and a random salt.
+ * @param {String} password - The password to hash
+ * @returns {String} The salt and hash, in the format "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  let salt = crypto.randomBytes(16).toString("hex");
+  let hash = await scrypt(password, salt, 64);
+  return "scrypt$" + salt + "$" + hash.toString("hex");
+}
+
+/**
+ * Checks the given password against a hash made by hashPassword.
+ * @param {String} password - The password to check
+ * @param {String} stored - The stored salt and hash
+ * @returns {Boolean} True if the password matches, false otherwise
+ */
+async function verifyPassword(password, stored) {
+  let parts = stored.split("$");
+  let expected = Buffer.from(parts[2], "hex");
+  let hash = await scrypt(password, parts[1], expected.length);
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Returns the SHA-256 hash of the given session token.
+ * @param {String} token - The session token
+ * @returns {String} The hash, in hexadecimal
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /featured endpoint.
+ * The "format" parameter must be either "text" or "json", and defaults to "text". Ignores
+ * casing.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateFeaturedQuery(req, res, next) {
+  req.query.format = String(req.query.format || "text").toLowerCase();
+  if (req.query.format !== "text" && req.query.format !== "json") {
+    res.status(400);
+    next(new Error(INVALID_QUERY_ERR));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /products endpoint.
+ * The "sort" parameter must be "relevance", "name", "price", or "rating", and the
+ * "direction" parameter must be either "asc" or "desc". Ignores casing.
+ * If any of the "contains", "sort", or "direction" are not given, they will default to
+ * "", "relevance" (or "name" without "contains"), and "asc", respectively.
+ * The "flavor" and "tags" parameters are comma-separated lists; the tags must be in
+ * DIETARY_TAGS. The "min_price" and "max_price" must be amounts in dollars, with the minimum
+ * no more than the maximum. Stores the filters in req.filters, as described in
+ * getProductConditions.
+ * The "limit" and "offset" must be valid as described in isValidPage, and default to
+ * DEFAULT_PAGE_SIZE and 0. Stores them in req.page (ex: { limit: 8, offset: 0 }).
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateProductsQuery(req, res, next) {
+  if (!req.query.contains) {
+    req.query.contains = "";
+  }
+  if (!req.query.sort) {
+    req.query.sort = req.query.contains ? "relevance" : "name";
+  }
+  if (!req.query.direction) {
+    req.query.direction = "asc";
+  }
+  req.query.contains = formatDashes(String(req.query.contains));
+  req.query.sort = String(req.query.sort).toLowerCase();
+  req.query.direction = String(req.query.direction).toLowerCase();
+  let sort = req.query.sort;
+  let direction = req.query.direction;
+  let page = {
+    "limit": req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit),
+    "offset": req.query.offset === undefined ? 0 : Number(req.query.offset)
+  };
+  let filters = {
+    "flavors": splitList(req.query.flavor).map(flavor => flavor.toLowerCase()),
+    "tags": splitList(req.query.tags).map(tag => tag.toLowerCase()),
+    "min_price_cents": req.query.min_price ? parseCents(req.query.min_price) : null,
+    "max_price_cents": req.query.max_price ? parseCents(req.query.max_price) : null
+  };
+  if (!PRODUCT_SORTS.includes(sort) || direction != "asc" && direction != "desc" ||
+      !filters.tags.every(tag => DIETARY_TAGS.includes(tag)) ||
+      Number.isNaN(filters.min_price_cents) || Number.isNaN(filters.max_price_cents) ||
+      filters.min_price_cents > filters.max_price_cents && filters.max_price_cents !== null ||
+      !isValidPage(page)) {
+    res.status(400);
+    next(new Error(INVALID_QUERY_ERR));
+  } else {
+    req.filters = filters;
+    req.page = page;
+    next();
+  }
+}
+
+/**
+ * Checks the given paging parameters. The limit must be a whole number from 1 to
+ * MAX_PAGE_SIZE, and the offset must be a whole number.
+ * @param {Object} page - The limit and offset. Ex: { limit: 8, offset: 16 }
+ * @returns {Boolean} True if the parameters are valid, false otherwise
+ */
+function isValidPage(page) {
+  return Number.isInteger(page.limit) && page.limit >= 1 && page.limit <= MAX_PAGE_SIZE &&
+         Number.isInteger(page.offset) && page.offset >= 0;
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /products/:product
+ * endpoint. If given, "date" must be in YYYY-MM-DD format.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateProductDate(req, res, next) {
+  if (req.query.date && !isValidDate(req.query.date)) {
+    res.status(400);
+    next(new Error("Invalid date. Must be in YYYY-MM-DD format."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /custom-description endpoint.
+ * The parameters "product", "flavor", and "box" must all exist.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateDescParams(req, res, next) {
+  if (!hasText(req.body, ["product", "flavor", "box"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: product, flavor, box."));
+  } else {
+    req.body.product = formatTitleCase(req.body.product);
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /contact-us endpoint.
+ * The parameters "name", "email", and "message" must all exist. The email must contain
+ * an "@"."
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateForm(req, res, next) {
+  if (!hasText(req.body, ["name", "email", "message"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: name, email and message."));
+  } else if (!req.body.email.includes("@")) {
+    res.status(400);
+    next(new Error("Invalid email. Must contain '@'."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /orders endpoint.
+ * The parameters "name", "email", "phone", and "slot" must all exist. The email must
+ * contain an "@", the phone number must contain 7 to 15 digits, and the slot must be a
+ * pickup slot id.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateOrder(req, res, next) {
+  let digits = req.body.phone ? String(req.body.phone).replace(/\D/g, "") : "";
+  if (!hasText(req.body, ["name", "email", "phone", "slot"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: name, email, phone " +
+                   "and slot."));
+  } else if (!req.body.email.includes("@")) {
+    res.status(400);
+    next(new Error("Invalid email. Must contain '@'."));
+  } else if (digits.length < 7 || digits.length > 15) {
+    res.status(400);
+    next(new Error("Invalid phone number."));
+  } else if (!/^\d+$/.test(req.body.slot)) {
+    res.status(400);
+    next(new Error("Invalid pickup slot."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /cart/quote endpoint.
+ * If given, "items" must be a non-empty array of items that each have a "product",
+ * "flavor", and "box", and a "quantity" that is a positive whole number.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateQuote(req, res, next) {
+  let items = req.body.items;
+  if (items === undefined) {
+    next();
+  } else if (!Array.isArray(items) || items.length === 0 || items.some(item => !item ||
+             !item.product || !item.flavor || !item.box || !/^\d+$/.test(item.quantity) ||
+             parseInt(item.quantity) < 1)) {
+    res.status(400);
+    next(new Error("Invalid items. Each item must have a product, flavor, box, and a " +
+                   "quantity of at least 1."));
+  } else {
+    req.body.items = items.map(item => ({"product": String(item.product),
+                                         "flavor": String(item.flavor),
+                                         "box": String(item.box),
+                                         "quantity": parseInt(item.quantity)}));
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /cart/items endpoint.
+ * The parameters "product", "flavor", and "box" must all exist. If given, "quantity" must
+ * be a positive whole number; it defaults to 1.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateCartItem(req, res, next) {
+  if (!req.body.quantity) {
+    req.body.quantity = 1;
+  }
+  if (!hasText(req.body, ["product", "flavor", "box"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: product, flavor, box."));
+  } else {
+    validateCartQuantity(req, res, next);
+  }
+}
+
+/**
+ * Middleware function to validate the "quantity" parameter for the cart item endpoints.
+ * The quantity must be a positive whole number.
+ * Returns a 400 error if the quantity is missing or invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateCartQuantity(req, res, next) {
+  if (!/^\d+$/.test(req.body.quantity) || parseInt(req.body.quantity) < 1) {
+    res.status(400);
+    next(new Error("Invalid quantity. Must be a whole number of at least 1."));
+  } else {
+    req.body.quantity = parseInt(req.body.quantity);
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /favorites endpoint.
+ * The parameters "product", "flavor", and "box" must all exist.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateFavorite(req, res, next) {
+  if (!hasText(req.body, ["product", "flavor", "box"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: product, flavor, box."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /products and
+ * PUT /products/:product endpoints, and store the validated product information in
+ * req.fields.
+ * The price must be a non-negative amount in dollars with at most two decimal places, and is
+ * stored in req.fields as "price_cents". The lead_days must be a non-negative whole
+ * number. The min_quantity and max_quantity must be positive whole numbers, with the minimum
+ * no larger than the maximum if both are given. The daily_capacity must be a positive whole
+ * number, or empty for unlimited. The tags must be a comma-separated list of DIETARY_TAGS,
+ * or empty for none. The allergens and nutrition facts are read by readDietaryInfo. When
+ * adding a product, "name", "price", "description", and an "image" upload are required;
+ * when updating, at least one of them must be given.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateProduct(req, res, next) {
+  let fields = {};
+  if (hasText(req.body, ["name"])) {
+    fields.name = formatTitleCase(req.body.name.trim());
+  }
+  if (req.body.price !== undefined) {
+    fields.price_cents = parseCents(req.body.price);
+  }
+  if (hasText(req.body, ["description"])) {
+    fields.description = req.body.description.trim();
+  }
+  if (req.body.lead_days !== undefined) {
+    fields.lead_days = Number(req.body.lead_days);
+  }
+  let limits = ["min_quantity", "max_quantity", "daily_capacity"];
+  for (let i = 0; i < limits.length; i++) {
+    if (req.body[limits[i]] !== undefined) {
+      fields[limits[i]] = Number(req.body[limits[i]]);
+    }
+  }
+  if (req.body.daily_capacity === "" || req.body.daily_capacity === null) {
+    fields.daily_capacity = null;
+  }
+  if (req.body.tags !== undefined) {
+    fields.tags = splitList(req.body.tags).map(tag => tag.toLowerCase());
+  }
+  let dietaryError = readDietaryInfo(req.body, fields);
+  let isNew = req.method === "POST";
+  if (isNew && (!fields.name || fields.price_cents === undefined || !fields.description ||
+      !req.file)) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: name, price, " +
+                   "description, image."));
+  } else if (!isNew && Object.keys(fields).length === 0 && !req.file) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: name, price, " +
+                   "description, lead_days, min_quantity, max_quantity, daily_capacity, " +
+                   "tags, allergens, " + NUTRITION_FIELDS.join(", ") + ", image."));
+  } else if (Number.isNaN(fields.price_cents)) {
+    res.status(400);
+    next(new Error(INVALID_PRICE_ERR));
+  } else if (fields.lead_days !== undefined && !(Number.isInteger(fields.lead_days) &&
+             fields.lead_days >= 0)) {
+    res.status(400);
+    next(new Error("Invalid lead_days. Must be a non-negative whole number."));
+  } else if (limits.some(limit => fields[limit] !== undefined && fields[limit] !== null &&
+             !(Number.isInteger(fields[limit]) && fields[limit] >= 1))) {
+    res.status(400);
+    next(new Error("Invalid quantity limit. Must be a whole number of at least 1."));
+  } else if (fields.min_quantity > fields.max_quantity) {
+    res.status(400);
+    next(new Error("Invalid quantity limits. The minimum must not be more than the maximum."));
+  } else if (fields.tags && !fields.tags.every(tag => DIETARY_TAGS.includes(tag))) {
+    res.status(400);
+    next(new Error("Invalid tags. Must be one or more of: " + DIETARY_TAGS.join(", ") + "."));
+  } else if (dietaryError) {
+    res.status(400);
+    next(new Error(dietaryError));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Reads the allergen and nutrition parameters of a product or flavor into the given fields,
+ * for validateProduct and validateProductFlavor. The "allergens" are a comma-separated list
+ * of ALLERGENS, or empty for none, and are stored as an array. The nutrition facts in
+ * NUTRITION_FIELDS are stored in fields.nutrition; an empty value marks the fact as unknown.
+ * Calories must be a whole number and the grams a number, neither negative.
+ * @param {Object} body - The request body
+ * @param {Object} fields - The validated information, changed in place
+ * @returns {String} The error message, or null if the parameters are valid
+ */
+function readDietaryInfo(body, fields) {
+  if (body.allergens !== undefined) {
+    fields.allergens = splitList(body.allergens).map(allergen => allergen.toLowerCase());
+  }
+  let nutrition = {};
+  for (let i = 0; i < NUTRITION_FIELDS.length; i++) {
+    let name = NUTRITION_FIELDS[i];
+    if (body[name] !== undefined) {
+      let value = String(body[name]).trim();
+      if (value === "") {
+        nutrition[name] = null;
+      } else {
+        nutrition[name] = name === "serving_size" ? value : Number(value);
+      }
+    }
+  }
+  if (Object.keys(nutrition).length > 0) {
+    fields.nutrition = nutrition;
+  }
+  let grams = NUTRITION_FIELDS.filter(name => name.endsWith("_grams") &&
+                                              typeof nutrition[name] === "number");
+  if (fields.allergens && !fields.allergens.every(allergen => ALLERGENS.includes(allergen))) {
+    return "Invalid allergens. Must be one or more of: " + ALLERGENS.join(", ") + ".";
+  } else if (typeof nutrition.calories === "number" && !(Number.isInteger(nutrition.calories) &&
+             nutrition.calories >= 0)) {
+    return "Invalid calories. Must be a non-negative whole number.";
+  } else if (grams.some(name => !(nutrition[name] >= 0 && nutrition[name] < 10000))) {
+    return "Invalid nutrition facts. Grams must be non-negative numbers under 10000.";
+  }
+  return null;
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /macaron-flavors and
+ * PUT /macaron-flavors/:flavor endpoints, and store the validated flavor information in
+ * req.fields.
+ * When adding a flavor, "name", "description", and an "image" upload are required; when
+ * updating, at least one of them must be given.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateMacaronFlavor(req, res, next) {
+  let fields = {};
+  if (hasText(req.body, ["name"])) {
+    fields.name = formatTitleCase(req.body.name.trim());
+  }
+  if (hasText(req.body, ["description"])) {
+    fields.description = req.body.description.trim();
+  }
+  let isNew = req.method === "POST";
+  if (isNew && (!fields.name || !fields.description || !req.file)) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: name, description, " +
+                   "image."));
+  } else if (!isNew && Object.keys(fields).length === 0 && !req.file) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: name, description, " +
+                   "image."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /products/:product/prices
+ * endpoint, and store the validated price change in req.fields.
+ * The "price" must be a non-negative amount in dollars with at most two decimal places, and
+ * is stored as "price_cents". The "effective_from" date must be in YYYY-MM-DD format and no
+ * earlier than today.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validatePriceChange(req, res, next) {
+  let today = new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD, in local time
+  if (req.body.price === undefined || !req.body.effective_from) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: price, effective_from."));
+  } else if (Number.isNaN(parseCents(req.body.price))) {
+    res.status(400);
+    next(new Error(INVALID_PRICE_ERR));
+  } else if (!isValidDate(req.body.effective_from) || req.body.effective_from < today) {
+    res.status(400);
+    next(new Error("Invalid effective_from date. Must be today or later, in YYYY-MM-DD " +
+                   "format."));
+  } else {
+    req.fields = {"price_cents": parseCents(req.body.price),
+                  "effective_from": req.body.effective_from};
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /products/:product/flavors and
+ * PUT /products/:product/flavors/:flavor endpoints, and store the validated flavor
+ * information in req.fields.
+ * When adding a flavor, "flavor" is required and is converted to Title Case; when updating,
+ * at least one of "price", "available", and the allergen and nutrition parameters must be
+ * given. The price must be a non-negative amount in dollars with at most two decimal places,
+ * and is stored in req.fields as "price_cents". Available must be "true" or "false" (ignores
+ * casing). The allergens and nutrition facts are read by readDietaryInfo.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateProductFlavor(req, res, next) {
+  let fields = {};
+  let isNew = req.method === "POST";
+  if (isNew && hasText(req.body, ["flavor"]) && req.body.flavor.trim()) {
+    fields.flavor = formatTitleCase(req.body.flavor.trim());
+  }
+  if (req.body.price !== undefined) {
+    fields.price_cents = parseCents(req.body.price);
+  }
+  let available = req.body.available !== undefined ? String(req.body.available).toLowerCase() :
+    undefined;
+  if (available) {
+    fields.available = available === "true";
+  }
+  let dietaryError = readDietaryInfo(req.body, fields);
+  if (isNew && !fields.flavor) {
+    res.status(400);
+    next(new Error("Missing required parameter: flavor."));
+  } else if (!isNew && Object.keys(fields).length === 0) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: price, available, " +
+                   "allergens, " + NUTRITION_FIELDS.join(", ") + "."));
+  } else if (Number.isNaN(fields.price_cents)) {
+    res.status(400);
+    next(new Error(INVALID_PRICE_ERR));
+  } else if (available && available !== "true" && available !== "false") {
+    res.status(400);
+    next(new Error("Invalid available value. Must be 'true' or 'false'."));
+  } else if (dietaryError) {
+    res.status(400);
+    next(new Error(dietaryError));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the PUT /products/:product/flavors
+ * endpoint. The "flavors" parameter must be a non-empty array of flavor names or a
+ * comma-separated string of them. Converts it to an array of Title Case names.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateFlavorList(req, res, next) {
+  let flavors = req.body.flavors;
+  if (typeof flavors === "string") {
+    flavors = flavors.split(",");
+  }
+  if (!Array.isArray(flavors) || flavors.some(flavor => typeof flavor !== "string")) {
+    flavors = [];
+  }
+  flavors = flavors.map(flavor => flavor.trim()).filter(flavor => flavor);
+  if (flavors.length === 0) {
+    res.status(400);
+    next(new Error("Missing required parameter: flavors."));
+  } else {
+    req.body.flavors = flavors.map(formatTitleCase);
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /featured and
+ * PUT /featured/:id endpoints, and store the validated featured item information in
+ * req.fields.
+ * The position must be a positive whole number, and the dates must be in YYYY-MM-DD format
+ * with the start date no later than the end date. When adding a featured item, "product" is
+ * required; when updating, at least one of "product", "position", "start_date", "end_date",
+ * and "blurb" must be given. Empty dates and blurbs are stored as null.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateFeatured(req, res, next) {
+  let fields = {};
+  if (hasText(req.body, ["product"])) {
+    fields.product = formatTitleCase(req.body.product);
+  }
+  if (req.body.position !== undefined) {
+    fields.position = Number(req.body.position);
+  }
+  for (let name of ["start_date", "end_date", "blurb"]) {
+    if (req.body[name] !== undefined) {
+      fields[name] = String(req.body[name]).trim() || null;
+    }
+  }
+  let dates = [fields.start_date, fields.end_date].filter(date => date);
+  let isNew = req.method === "POST";
+  if (isNew && !fields.product) {
+    res.status(400);
+    next(new Error("Missing required parameter: product."));
+  } else if (!isNew && Object.keys(fields).length === 0) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: product, position, " +
+                   "start_date, end_date, blurb."));
+  } else if (fields.position !== undefined && !(Number.isInteger(fields.position) &&
+             fields.position >= 1)) {
+    res.status(400);
+    next(new Error("Invalid position. Must be a whole number of at least 1."));
+  } else if (dates.some(date => !isValidDate(date))) {
+    res.status(400);
+    next(new Error("Invalid date. Must be in YYYY-MM-DD format."));
+  } else if (fields.start_date && fields.end_date && fields.start_date > fields.end_date) {
+    res.status(400);
+    next(new Error("Invalid dates. The start date must not be after the end date."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+/**
+ * Middleware function to validate the parameters for the POST /pickup-slots and
+ * PUT /pickup-slots/:id endpoints, and store the validated pickup slot information in
+ * req.fields.
+ * The date must be today or later, in YYYY-MM-DD format, and is stored as "date". The start
+ * and end times must be in 24-hour HH:MM format, with the start before the end, and are
+ * stored as "start_time" and "end_time". The max_orders must be a whole number of at least 1.
+ * When adding a pickup slot, all four are required; when updating, at least one must be
+ * given.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validatePickupSlot(req, res, next) {
+  let today = new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD, in local time
+  let names = {"date": "date", "start": "start_time", "end": "end_time"};
+  let fields = {};
+  for (let name in names) {
+    if (req.body[name] !== undefined) {
+      fields[names[name]] = String(req.body[name]).trim();
+    }
+  }
+  if (req.body.max_orders !== undefined) {
+    fields.max_orders = Number(req.body.max_orders);
+  }
+  let times = [fields.start_time, fields.end_time].filter(time => time !== undefined);
+  let isNew = req.method === "POST";
+  if (isNew && Object.keys(fields).length < 4) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: date, start, end, " +
+                   "max_orders."));
+  } else if (!isNew && Object.keys(fields).length === 0) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: date, start, end, " +
+                   "max_orders."));
+  } else if (fields.date !== undefined && !(isValidDate(fields.date) && fields.date >= today)) {
+    res.status(400);
+    next(new Error("Invalid date. Must be today or later, in YYYY-MM-DD format."));
+  } else if (times.some(time => !isValidTime(time))) {
+    res.status(400);
+    next(new Error("Invalid time. Must be in 24-hour HH:MM format."));
+  } else if (times.length === 2 && fields.start_time >= fields.end_time) {
+    res.status(400);
+    next(new Error(SLOT_TIMES_ERR));
+  } else if (fields.max_orders !== undefined && !(Number.isInteger(fields.max_orders) &&
+             fields.max_orders >= 1)) {
+    res.status(400);
+    next(new Error("Invalid max_orders. Must be a whole number of at least 1."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+
+/**
+ * Middleware function to validate the parameters for the POST /promotions and
+ * PUT /promotions/:code endpoints, and store the validated promotion information in
+ * req.fields.
+ * The code is converted to upper case and may only contain letters, numbers, dashes, and
+ * underscores. The type must be "percent", "fixed", or "buy_x_get_y". The percent_off must
+ * be a whole number from 1 to 100; buy_quantity, get_quantity, and max_uses must be
+ * positive whole numbers; amount_off and min_subtotal must be amounts in dollars and are
+ * stored in cents; and the dates must be in YYYY-MM-DD format with the start date no later
+ * than the end date. Empty products, flavors, max_uses, and dates are stored as null.
+ * When adding a promotion, "code", "description", "type", and the amounts the type needs
+ * are required; when updating, at least one field must be given, the code can't change, and
+ * changing the type requires the new type's amounts.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validatePromotion(req, res, next) {
+  let isNew = req.method === "POST";
+  let fields = {};
+  if (isNew && req.body.code) {
+    fields.code = String(req.body.code).trim().toUpperCase();
+  }
+  if (req.body.description && String(req.body.description).trim()) {
+    fields.description = String(req.body.description).trim();
+  }
+  if (req.body.type) {
+    fields.type = String(req.body.type).toLowerCase();
+  }
+  for (let name of ["percent_off", "buy_quantity", "get_quantity", "max_uses"]) {
+    if (req.body[name] !== undefined && req.body[name] !== "") {
+      fields[name] = Number(req.body[name]);
+    }
+  }
+  if (req.body.amount_off !== undefined) {
+    fields.amount_off_cents = parseCents(req.body.amount_off);
+  }
+  if (req.body.min_subtotal !== undefined) {
+    fields.min_subtotal_cents = parseCents(req.body.min_subtotal);
+  }
+  for (let name of ["product", "flavor", "max_uses", "start_date", "end_date"]) {
+    if (req.body[name] !== undefined && fields[name] === undefined) {
+      fields[name] = String(req.body[name]).trim() || null;
+    }
+  }
+  if (fields.type === "buy_x_get_y" && fields.percent_off === undefined) {
+    fields.percent_off = 100;
+  }
+  let error = checkPromotion(fields, isNew);
+  if (error) {
+    res.status(400);
+    next(new Error(error));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Returns the reason the given promotion information is invalid, for validatePromotion.
+ * @param {Object} fields - The promotion information
+ * @param {Boolean} isNew - Whether the promotion is being added rather than updated
+ * @returns {String} The error message, or null if the information is valid
+ */
+function checkPromotion(fields, isNew) {
+  let typeAmounts = {"percent": ["percent_off"], "fixed": ["amount_off_cents"],
+                     "buy_x_get_y": ["buy_quantity", "get_quantity"]};
+  let counts = ["buy_quantity", "get_quantity", "max_uses"].filter(name =>
+    fields[name] !== undefined && fields[name] !== null);
+  let dates = [fields.start_date, fields.end_date].filter(date => date);
+  if (isNew && (!fields.code || !fields.description || !fields.type)) {
+    return "Missing one or more of the required parameters: code, description, type.";
+  } else if (!isNew && Object.keys(fields).length === 0) {
+    return "Missing parameters. Must give at least one of: description, type, percent_off, " +
+           "amount_off, buy_quantity, get_quantity, product, flavor, min_subtotal, " +
+           "max_uses, start_date, end_date.";
+  } else if (fields.code !== undefined && !/^[A-Z0-9_-]{1,64}$/.test(fields.code)) {
+    return "Invalid code. Must only contain letters, numbers, dashes, and underscores.";
+  } else if (fields.type !== undefined && !PROMO_TYPES.includes(fields.type)) {
+    return "Invalid type. Must be one of: " + PROMO_TYPES.join(", ") + ".";
+  } else if (fields.type !== undefined &&
+             typeAmounts[fields.type].some(name => fields[name] === undefined)) {
+    return "Missing parameters for a " + fields.type + " promotion: " +
+           typeAmounts[fields.type].join(", ").replace("_cents", "") + ".";
+  } else if (fields.percent_off !== undefined && !(Number.isInteger(fields.percent_off) &&
+             fields.percent_off >= 1 && fields.percent_off <= 100)) {
+    return "Invalid percent_off. Must be a whole number from 1 to 100.";
+  } else if (counts.some(name => !(Number.isInteger(fields[name]) && fields[name] >= 1))) {
+    return "Invalid buy_quantity, get_quantity, or max_uses. Must be a whole number of at " +
+           "least 1.";
+  } else if (Number.isNaN(fields.amount_off_cents) || Number.isNaN(fields.min_subtotal_cents)) {
+    return INVALID_PRICE_ERR;
+  } else if (dates.some(date => !isValidDate(date))) {
+    return "Invalid date. Must be in YYYY-MM-DD format.";
+  } else if (fields.start_date && fields.end_date && fields.start_date > fields.end_date) {
+    return "Invalid dates. The start date must not be after the end date.";
+  }
+  return null;
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /faq and PUT /faq/:id
+ * endpoints, and store the validated question information in req.fields.
+ * The position must be a positive whole number. When adding a question, "question",
+ * "answer", and "category" are required; when updating, at least one of them or "position"
+ * must be given.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateFAQ(req, res, next) {
+  let fields = {};
+  for (let name of ["question", "answer", "category"]) {
+    if (req.body[name] && String(req.body[name]).trim()) {
+      fields[name] = String(req.body[name]).trim();
+    }
+  }
+  if (req.body.position !== undefined) {
+    fields.position = Number(req.body.position);
+  }
+  let isNew = req.method === "POST";
+  if (isNew && (!fields.question || !fields.answer || !fields.category)) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: question, answer, " +
+                   "category."));
+  } else if (!isNew && Object.keys(fields).length === 0) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: question, answer, " +
+                   "category, position."));
+  } else if (fields.position !== undefined && !(Number.isInteger(fields.position) &&
+             fields.position >= 1)) {
+    res.status(400);
+    next(new Error("Invalid position. Must be a whole number of at least 1."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /admin/messages
+ * endpoint. If given, "status" must be "unread", "read", or "replied", and "archived" must
+ * be "true" or "false". Ignores casing.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateMessagesQuery(req, res, next) {
+  let status = req.query.status ? String(req.query.status).toLowerCase() : undefined;
+  let archived = req.query.archived ? String(req.query.archived).toLowerCase() : "false";
+  if (status && !MESSAGE_STATUSES.includes(status) ||
+      archived !== "true" && archived !== "false") {
+    res.status(400);
+    next(new Error(INVALID_QUERY_ERR));
+  } else {
+    req.query.status = status;
+    req.query.archived = archived;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the PUT /admin/messages/:id endpoint,
+ * and store the validated changes in req.fields.
+ * At least one of "status" and "archived" must be given. The status must be "unread",
+ * "read", or "replied", and archived must be "true" or "false". Ignores casing.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateMessageUpdate(req, res, next) {
+  let fields = {};
+  let status = req.body.status ? String(req.body.status).toLowerCase() : undefined;
+  let archived = req.body.archived !== undefined ? String(req.body.archived).toLowerCase() :
+    undefined;
+  if (status) {
+    fields.status = status;
+  }
+  if (archived) {
+    fields.archived = archived === "true";
+  }
+  if (!status && !archived) {
+    res.status(400);
+    next(new Error("Missing parameters. Must give at least one of: status, archived."));
+  } else if (status && !MESSAGE_STATUSES.includes(status)) {
+    res.status(400);
+    next(new Error("Invalid status. Must be 'unread', 'read', or 'replied'."));
+  } else if (archived && archived !== "true" && archived !== "false") {
+    res.status(400);
+    next(new Error("Invalid archived value. Must be 'true' or 'false'."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /products/:product/reviews
+ * endpoint, and store the validated review in req.fields.
+ * The "code", "email", "rating", and "text" are required. The email is converted to lower
+ * case, the rating must be a whole number from 1 to 5, and the text must be at most
+ * MAX_REVIEW_LENGTH characters.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateReview(req, res, next) {
+  let fields = {
+    "code": String(req.body.code || "").trim(),
+    "email": String(req.body.email || "").trim().toLowerCase(),
+    "rating": Number(req.body.rating),
+    "text": String(req.body.text || "").trim()
+  };
+  if (!fields.code || !fields.email || req.body.rating === undefined || !fields.text) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: code, email, rating, " +
+                   "text."));
+  } else if (!(Number.isInteger(fields.rating) && fields.rating >= 1 && fields.rating <= 5)) {
+    res.status(400);
+    next(new Error("Invalid rating. Must be a whole number from 1 to 5."));
+  } else if (fields.text.length > MAX_REVIEW_LENGTH) {
+    res.status(400);
+    next(new Error("Review is too long. Must be at most " + MAX_REVIEW_LENGTH +
+                   " characters."));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /admin/reviews endpoint.
+ * If given, the "status" must be "pending", "approved", or "hidden" (ignores casing); it
+ * defaults to "pending".
+ * Returns a 400 error if the query parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateReviewsQuery(req, res, next) {
+  let status = req.query.status ? String(req.query.status).toLowerCase() : "pending";
+  if (!REVIEW_STATUSES.includes(status)) {
+    res.status(400);
+    next(new Error(INVALID_QUERY_ERR));
+  } else {
+    req.query.status = status;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the PUT /admin/reviews/:id endpoint.
+ * The "status" must be "pending", "approved", or "hidden" (ignores casing).
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateReviewStatus(req, res, next) {
+  let status = req.body.status ? String(req.body.status).toLowerCase() : undefined;
+  if (!status) {
+    res.status(400);
+    next(new Error("Missing required parameter: status."));
+  } else if (!REVIEW_STATUSES.includes(status)) {
+    res.status(400);
+    next(new Error("Invalid status. Must be 'pending', 'approved', or 'hidden'."));
+  } else {
+    req.body.status = status;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /orders/:code endpoint.
+ * The "email" must exist; it is trimmed and converted to lower case.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateOrderLookup(req, res, next) {
+  if (!req.query.email || !String(req.query.email).trim()) {
+    res.status(400);
+    next(new Error("Missing required query parameter: email."));
+  } else {
+    req.query.email = String(req.query.email).trim().toLowerCase();
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the "format" query parameter for the receipt and ticket
+ * endpoints. If given, it must be "html" or "pdf" (ignores casing); it defaults to "html".
+ * Returns a 400 error if the format is invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateDocumentFormat(req, res, next) {
+  let format = req.query.format ? String(req.query.format).toLowerCase() : "html";
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    res.status(400);
+    next(new Error("Invalid format. Must be 'html' or 'pdf'."));
+  } else {
+    req.query.format = format;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the query parameters for the GET /admin/orders endpoint.
+ * If given, "status" must be one of ORDER_STATUSES (ignores casing), and "date" must be in
+ * YYYY-MM-DD format.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateOrdersQuery(req, res, next) {
+  let status = req.query.status ? String(req.query.status).toLowerCase() : undefined;
+  if (status && !ORDER_STATUSES.includes(status) ||
+      req.query.date && !isValidDate(req.query.date)) {
+    res.status(400);
+    next(new Error(INVALID_QUERY_ERR));
+  } else {
+    req.query.status = status;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the PUT /admin/orders/:code endpoint.
+ * The "status" must be one of ORDER_STATUSES. Ignores casing.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateOrderStatus(req, res, next) {
+  let status = req.body.status ? String(req.body.status).toLowerCase() : undefined;
+  if (!status) {
+    res.status(400);
+    next(new Error("Missing required parameter: status."));
+  } else if (!ORDER_STATUSES.includes(status)) {
+    res.status(400);
+    next(new Error("Invalid status. Must be one of: " + ORDER_STATUSES.join(", ") + "."));
+  } else {
+    req.body.status = status;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /admin/login endpoint.
+ * The parameters "username" and "password" must both exist.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateLogin(req, res, next) {
+  if (!hasText(req.body, ["username", "password"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: username, password."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /admin/password and
+ * POST /account/password endpoints.
+ * The parameters "current_password" and "new_password" must both exist, and the new
+ * password must be at least MIN_PASSWORD_LENGTH characters long.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validatePasswordChange(req, res, next) {
+  if (!hasText(req.body, ["current_password", "new_password"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: current_password, " +
+                   "new_password."));
+  } else if (req.body.new_password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    next(new Error("Invalid password. Must be at least " + MIN_PASSWORD_LENGTH +
+                   " characters long."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /admin/users endpoint.
+ * The parameters "username", "password", and "role" must all exist. The username may only
+ * contain letters, numbers, dots, dashes, and underscores, the password must be at least
+ * MIN_PASSWORD_LENGTH characters long, and the role must be "owner" or "staff".
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateNewUser(req, res, next) {
+  if (!hasText(req.body, ["username", "password", "role"])) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: username, password, " +
+                   "role."));
+  } else if (!/^[A-Za-z0-9._-]{1,64}$/.test(req.body.username)) {
+    res.status(400);
+    next(new Error("Invalid username. May only contain letters, numbers, '.', '-', and '_'."));
+  } else if (req.body.password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    next(new Error("Invalid password. Must be at least " + MIN_PASSWORD_LENGTH +
+                   " characters long."));
+  } else if (req.body.role !== ROLE_OWNER && req.body.role !== ROLE_STAFF) {
+    res.status(400);
+    next(new Error("Invalid role. Must be 'owner' or 'staff'."));
+  } else {
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /account/register endpoint.
+ * The parameters "email", "password", and "name" must all exist. The email must contain an
+ * "@", the password must be at least MIN_PASSWORD_LENGTH characters long, and the optional
+ * phone and pickup preference must be valid as described in checkProfile. The customer's
+ * details are stored in req.fields, with the email trimmed and in lower case.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateRegistration(req, res, next) {
+  let fields = readProfile(req.body);
+  fields.email = String(req.body.email || "").trim().toLowerCase();
+  let error = checkProfile(fields);
+  if (!fields.email || !hasText(req.body, ["password"]) || !fields.name) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: email, password, name."));
+  } else if (!fields.email.includes("@")) {
+    res.status(400);
+    next(new Error("Invalid email. Must contain '@'."));
+  } else if (req.body.password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    next(new Error("Invalid password. Must be at least " + MIN_PASSWORD_LENGTH +
+                   " characters long."));
+  } else if (error) {
+    res.status(400);
+    next(new Error(error));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the POST /account/login endpoint.
+ * The parameters "email" and "password" must both exist; the email is trimmed and converted
+ * to lower case.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateAccountLogin(req, res, next) {
+  if (!hasText(req.body, ["email", "password"]) || !req.body.email.trim()) {
+    res.status(400);
+    next(new Error("Missing one or more of the required parameters: email, password."));
+  } else {
+    req.body.email = req.body.email.trim().toLowerCase();
+    next();
+  }
+}
+
+/**
+ * Middleware function to validate the parameters for the PUT /account endpoint.
+ * The parameter "name" must exist, and the optional phone and pickup preference must be
+ * valid as described in checkProfile. The customer's new details are stored in req.fields.
+ * Returns a 400 error if the parameters are invalid.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function validateProfile(req, res, next) {
+  let fields = readProfile(req.body);
+  let error = checkProfile(fields);
+  if (!fields.name) {
+    res.status(400);
+    next(new Error("Missing required parameter: name."));
+  } else if (error) {
+    res.status(400);
+    next(new Error(error));
+  } else {
+    req.fields = fields;
+    next();
+  }
+}
+
+/**
+ * Returns the customer details given in the body of a request, trimmed. A missing phone
+ * number is stored as "", and a missing pickup preference as null.
+ * @param {Object} body - The request body
+ * @returns {Object} The customer's name, phone, and pickup_preference
  */
-async function recordMessage(db, name, email, message) {
-  let query = "INSERT INTO feedback(name, email, message) VALUES (?, ?, ?);";
-  await db.query(query, [name, email, message]);
+function readProfile(body) {
+  let preference = String(body.pickup_preference || "").trim().toLowerCase();
+  return {"name": String(body.name || "").trim(), "phone": String(body.phone || "").trim(),
+          "pickup_preference": preference || null};
 }
 
 /**
- * Middleware function to validate the query parameters for the GET /products endpoint.
- * The "sort" parameter must be either "name" or "price", and the "direction" parameter must
- * be either "asc" or "desc". Ignores casing.
- * If any of the "contains", "sort", or "direction" are not given, they will default to
- * "", "name", and "asc", respectively.
- * Returns a 400 error if the parameters are invalid.
+ * Checks the given customer details. If given, the phone number must contain 7 to 15
+ * digits, and the pickup preference must be "morning" or "afternoon".
+ * @param {Object} fields - The customer details, as returned by readProfile
+ * @returns {String} The error message if the details are invalid, or null otherwise
+ */
+function checkProfile(fields) {
+  let digits = fields.phone.replace(/\D/g, "");
+  if (fields.phone && (digits.length < 7 || digits.length > 15)) {
+    return "Invalid phone number.";
+  }
+  if (fields.pickup_preference && !PICKUP_PREFERENCES.includes(fields.pickup_preference)) {
+    return "Invalid pickup preference. Must be 'morning' or 'afternoon'.";
+  }
+  return null;
+}
+
+/**
+ * Returns a middleware function that only lets through requests from administrators
+ * logged in with one of the given roles, and stores the user's name, role, and session
+ * token in req.user. The session token is read from the administrator session cookie or an
+ * "Authorization: Bearer <token>" header.
+ * The returned middleware returns a 401 error if the request is not logged in, or a 403
+ * error if the user does not have one of the given roles.
+ * @param {...String} roles - The roles allowed through. Ex: ROLE_OWNER, ROLE_STAFF
+ * @returns {Function} The middleware function
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    let header = req.get("Authorization") || "";
+    let token = header.startsWith("Bearer ") ? header.slice("Bearer ".length) :
+      req.cookies[ADMIN_COOKIE];
+    let db;
+    try {
+      let user = null;
+      if (token) {
+        db = await getDB();
+        user = await getAdminSession(db, token);
+        db.end();
+      }
+      if (!user) {
+        res.status(401);
+        next(new Error(UNAUTHORIZED_ERR));
+      } else if (!roles.includes(user.role)) {
+        res.status(403);
+        next(new Error(FORBIDDEN_ERR));
+      } else {
+        req.user = {"username": user.username, "role": user.role, "token": token};
+        next();
+      }
+    } catch (err) {
+      res.status(500);
+      err.message = SERVER_ERROR;
+      if (db) {
+        db.end();
+      }
+      next(err);
+    }
+  };
+}
+
+/**
+ * Returns a middleware function that looks up the customer signed in with the customer
+ * session cookie and stores their id, email, name, phone, pickup preference, cart session
+ * id, and session token in req.customer, or null if the request is not signed in.
+ * @param {Boolean} required - Whether the returned middleware should return a 401 error if
+ * the request is not signed in, instead of letting it through
+ * @returns {Function} The middleware function
+ */
+function loadCustomer(required) {
+  return async (req, res, next) => {
+    let token = req.cookies[CUSTOMER_COOKIE];
+    let db;
+    try {
+      let customer = null;
+      if (token) {
+        db = await getDB();
+        customer = await getCustomerSession(db, token);
+        db.end();
+      }
+      if (customer) {
+        customer.token = token;
+      }
+      req.customer = customer;
+      if (!customer && required) {
+        res.status(401);
+        next(new Error(ACCOUNT_UNAUTHORIZED_ERR));
+      } else {
+        next();
+      }
+    } catch (err) {
+      res.status(500);
+      err.message = SERVER_ERROR;
+      if (db) {
+        db.end();
+      }
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware function that parses multipart form submissions into req.body, rejecting any
+ * file upload. The owner-only routes in IMAGE_FORM_ROUTES are skipped, since they parse
+ * their form with parseImageForm once the login is checked.
  * @param {String} req - The request
  * @param {String} res - The response
  * @param {String} next - The next middleware function
  */
-function validateProductsQuery(req, res, next) {
-  if (!req.query.contains) {
-    req.query.contains = "";
-  }
-  if (!req.query.sort) {
-    req.query.sort = "name";
-  }
-  if (!req.query.direction) {
-    req.query.direction = "asc";
-  }
-  req.query.contains = formatDashes(req.query.contains);
-  req.query.sort = req.query.sort.toLowerCase();
-  req.query.direction = req.query.direction.toLowerCase();
-  let sort = req.query.sort;
-  let direction = req.query.direction;
-  if (sort != "name" && sort != "price" || direction != "asc" && direction != "desc") {
-    res.status(400);
-    next(new Error(INVALID_QUERY_ERR));
-  } else {
+function parseTextForm(req, res, next) {
+  if (IMAGE_FORM_ROUTES.some(route => req.method === route[0] && route[1].test(req.path))) {
     next();
+  } else {
+    parseText(req, res, next);
   }
 }
 
 /**
- * Middleware function to validate the parameters for the POST /custom-description endpoint.
- * The parameters "product", "flavor", and "box" must all exist.
- * Returns a 400 error if the parameters are invalid or if the given product does not exist
- * in the database (ignores casing).
+ * Middleware function that parses multipart form submissions with an image. Text fields are
+ * stored in req.body, and an optional "image" file upload is kept in memory in req.file.
+ * The image must be a JPEG, PNG, GIF, or WebP file of at most MAX_IMAGE_SIZE bytes.
+ * Returns a 400 error if the form or image is invalid.
  * @param {String} req - The request
  * @param {String} res - The response
  * @param {String} next - The next middleware function
  */
-async function validateDescParams(req, res, next) {
-  if (!req.body.product || !req.body.flavor || !req.body.box) {
-    res.status(400);
-    next(new Error("Missing one or more of the required parameters: product, flavor, box."));
-  } else {
-    req.body.product = formatTitleCase(req.body.product);
-    let db = await getDB();
-    let query = "SELECT name FROM products WHERE name=?;";
-    let rows = await db.query(query, [req.body.product]);
-    db.end();
-    if (rows.length === 0) {
+function parseImageForm(req, res, next) {
+  upload.single("image")(req, res, (err) => {
+    if (!err && req.file && !hasImageSignature(req.file)) {
+      err = new Error(INVALID_IMAGE_ERR);
+    }
+    if (err) {
       res.status(400);
-      next(new Error(PRODUCT_404_ERR));
-    } else {
-      next();
     }
+    next(err);
+  });
+}
+
+/**
+ * Multer file filter that only accepts uploads with a supported image content type.
+ * @param {Object} req - The request
+ * @param {Object} file - The file being uploaded
+ * @param {Function} callback - Called with an error, or with whether to accept the file
+ */
+function filterImage(req, file, callback) {
+  if (IMAGE_TYPES[file.mimetype]) {
+    callback(null, true);
+  } else {
+    callback(new Error(INVALID_IMAGE_ERR));
   }
 }
 
 /**
- * Middleware function to validate the parameters for the POST /contact-us endpoint.
- * The parameters "name", "email", and "message" must all exist. The email must contain
- * an "@"."
- * Returns a 400 error if the parameters are invalid.
+ * Checks that the contents of the given uploaded file start with the signature of the
+ * image type it claims to be, so a renamed non-image file is rejected. WebP files are RIFF
+ * files, so their RIFF type must also be "WEBP" (a WAV or AVI file is RIFF too).
+ * @param {Object} file - The file uploaded through multer
+ * @returns {Boolean} True if the file contents match its image type, false otherwise
+ */
+function hasImageSignature(file) {
+  let signatures = {"image/jpeg": /^ffd8ff/, "image/png": /^89504e47/, "image/gif": /^47494638/,
+                    "image/webp": /^52494646.{8}57454250/}; // "RIFF", size, "WEBP"
+  return signatures[file.mimetype].test(file.buffer.toString("hex", 0, 12));
+}
+
+/**
+ * Middleware function that identifies the anonymous session making the request from its
+ * session cookie and stores the session id in req.sessionId. Starts a new session, and
+ * sets the cookie, if the request has none.
  * @param {String} req - The request
  * @param {String} res - The response
  * @param {String} next - The next middleware function
  */
-function validateForm(req, res, next) {
-  if (!req.body.name || !req.body.email || !req.body.message) {
-    res.status(400);
-    next(new Error("Missing one or more of the required parameters: name, email and message."));
-  } else if (!req.body.email.includes("@")) {
-    res.status(400);
-    next(new Error("Invalid email. Must contain '@'."));
+function getSession(req, res, next) {
+  let sessionId = req.cookies[SESSION_COOKIE];
+  if (!sessionId || !/^[0-9a-f]{48}$/.test(sessionId)) {
+    sessionId = createSessionId();
+  }
+  res.cookie(SESSION_COOKIE, sessionId, {maxAge: SESSION_AGE, httpOnly: true, sameSite: "lax"});
+  req.sessionId = sessionId;
+  next();
+}
+
+/**
+ * Returns a new random anonymous session id.
+ * @returns {String} The session id, as 48 hexadecimal digits
+ */
+function createSessionId() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Middleware function that serves read-heavy GET endpoints from an in-memory cache, keyed
+ * by the request URL, for CACHE_SECONDS seconds. JSON responses are cached when they are
+ * first sent. Every response has an ETag and a Last-Modified header (the time the response
+ * was cached), and "Cache-Control: no-cache" so browsers check back with a conditional
+ * request; unchanged responses are answered with 304 Not Modified.
+ * The cache is cleared by invalidateCache whenever the catalog changes. Endpoints whose
+ * response stops being current at a known time, such as when a scheduled price takes
+ * effect, set res.locals.cacheUntil to that time so the response isn't cached past it.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function cacheResponse(req, res, next) {
+  let key = req.originalUrl;
+  let entry = responseCache.get(key);
+  if (entry && entry.expires > Date.now()) {
+    sendCachedResponse(res, entry);
+    return;
+  }
+  let version = cacheVersion;
+  res.json = (body) => {
+    entry = {
+      "body": JSON.stringify(body),
+      "modified": new Date(),
+      "expires": Math.min(Date.now() + CACHE_SECONDS * 1000, res.locals.cacheUntil || Infinity)
+    };
+    entry.etag = "\"" + crypto.createHash("sha1").update(entry.body).digest("base64") + "\"";
+    if (res.statusCode === 200 && version === cacheVersion) {
+      responseCache.delete(key);
+      if (responseCache.size >= MAX_CACHE_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value); // Oldest entry
+      }
+      responseCache.set(key, entry);
+    }
+    sendCachedResponse(res, entry);
+  };
+  next();
+}
+
+/**
+ * Sends the given cached response with its caching headers. res.send answers conditional
+ * requests (If-None-Match or If-Modified-Since) that match the headers with a 304.
+ * @param {Object} res - The response
+ * @param {Object} entry - The cached response: JSON body, ETag, and time modified
+ */
+function sendCachedResponse(res, entry) {
+  res.set({
+    "ETag": entry.etag,
+    "Last-Modified": entry.modified.toUTCString(),
+    "Cache-Control": "no-cache"
+  });
+  res.type("json");
+  res.send(entry.body);
+}
+
+/**
+ * Middleware function for endpoints that change the catalog or FAQ. Clears the response
+ * cache once the request has succeeded, so the cached endpoints return the new data.
+ * @param {String} req - The request
+ * @param {String} res - The response
+ * @param {String} next - The next middleware function
+ */
+function invalidateCache(req, res, next) {
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      responseCache.clear();
+      cacheVersion++;
+    }
+  });
+  next();
+}
+
+/**
+ * Sets the cookies of a signed in customer: the customer session cookie with the given
+ * token, and the session cookie with the id of the session that owns the account's cart.
+ * @param {Object} res - The response
+ * @param {String} token - The customer session token
+ * @param {String} cartId - The id of the session that owns the account's cart
+ */
+function setCustomerCookies(res, token, cartId) {
+  res.cookie(CUSTOMER_COOKIE, token, {maxAge: CUSTOMER_SESSION_DAYS * 24 * 60 * 60 * 1000,
+                                      httpOnly: true, sameSite: "lax"});
+  res.cookie(SESSION_COOKIE, cartId, {maxAge: SESSION_AGE, httpOnly: true, sameSite: "lax"});
+}
+
+/**
+ * Renders the given document in the given format and sends it as the response. PDFs are
+ * sent inline with the given file name, so browsers show them and save them under that name.
+ * @param {Object} res - The response
+ * @param {Object} document - The document, as described in renderDocument
+ * @param {String} format - "html" or "pdf"
+ * @param {String} fileName - The file name, without an extension
+ */
+async function sendDocument(res, document, format, fileName) {
+  let body = await renderDocument(document, format);
+  if (format === "pdf") {
+    res.type("pdf");
+    res.set("Content-Disposition", "inline; filename=\"" + fileName + ".pdf\"");
   } else {
-    next();
+    res.type("html");
+  }
+  res.send(body);
+}
+
+/**
+ * Returns the printable receipt for the given order, as a document for renderDocument.
+ * The receipt lists each item with its flavor and box style, the totals, the pickup time,
+ * and a QR code of the confirmation number.
+ * @param {Object} order - The order, as returned by getOrder
+ * @returns {Object} The receipt document
+ */
+function buildReceipt(order) {
+  let rows = order.items.map(item => [item.product, item.flavor, item.box + " box",
+                                      String(item.quantity), item.price_display,
+                                      item.total_display]);
+  return {
+    "title": "Receipt " + order.code,
+    "size": "LETTER",
+    "pages": [[
+      {"type": "heading", "text": "Petite Treats Receipt"},
+      {"type": "text", "text": "Order " + order.code + " for " + order.name},
+      {"type": "text", "text": "Placed: " + new Date(order.created).toLocaleString("en-US")},
+      {"type": "text", "text": "Pickup: " + formatPickup(order.pickup)},
+      {"type": "table", "header": ["Item", "Flavor", "Box", "Qty", "Price", "Total"],
+       "rows": rows},
+      {"type": "table", "rows": [["Subtotal", order.subtotal_display],
+                                 ["Discount", "-" + order.discount_display],
+                                 ["Sales Tax", order.tax_display],
+                                 ["Total", order.total_display]]},
+      {"type": "qr", "text": order.code},
+      {"type": "text", "text": "Show this code when you pick up your order. Thank you!"}
+    ]]
+  };
+}
+
+/**
+ * Returns the kitchen pickup tickets for the given order, as a document for renderDocument.
+ * There is one 4x6 inch ticket for each box in the order, with the confirmation number and
+ * its QR code, the customer's name, the pickup time, what goes in the box, and the order
+ * notes.
+ * @param {Object} order - The order, as returned by getOrder
+ * @returns {Object} The tickets document
+ */
+function buildTickets(order) {
+  let boxes = 0;
+  for (let i = 0; i < order.items.length; i++) {
+    boxes += order.items[i].quantity;
+  }
+  let pages = [];
+  for (let i = 0; i < order.items.length; i++) {
+    let item = order.items[i];
+    for (let j = 0; j < item.quantity; j++) {
+      let page = [
+        {"type": "heading", "text": order.code},
+        {"type": "qr", "text": order.code},
+        {"type": "text", "text": order.name},
+        {"type": "text", "text": "Pickup: " + formatPickup(order.pickup)},
+        {"type": "text", "text": item.product + " - " + item.flavor + " - " + item.box + " box"},
+        {"type": "text", "text": "Box " + (pages.length + 1) + " of " + boxes}
+      ];
+      if (order.notes) {
+        page.push({"type": "text", "text": "Notes: " + order.notes});
+      }
+      pages.push(page);
+    }
+  }
+  return {"title": "Pickup Tickets " + order.code, "size": [288, 432], "pages": pages};
+}
+
+/**
+ * Renders the given document as a printable HTML page or a PDF. A document has a "title",
+ * a page "size" (a PDF page size name, or its width and height in points), and "pages",
+ * each a list of blocks:
+ * - { type: "heading", text } and { type: "text", text } are lines of text.
+ * - { type: "table", header, rows } is a table; the header row is optional.
+ * - { type: "qr", text } is a QR code of the text.
+ * @param {Object} document - The document to render
+ * @param {String} format - "html" or "pdf"
+ * @returns {Object} The HTML page as a String, or the PDF as a Buffer
+ */
+async function renderDocument(document, format) {
+  if (format === "pdf") {
+    return await renderPdf(document);
+  }
+  return await renderHtml(document);
+}
+
+/**
+ * Renders the given document as an HTML page, with each document page printed on its own
+ * sheet.
+ * @param {Object} document - The document, as described in renderDocument
+ * @returns {String} The HTML page
+ */
+async function renderHtml(document) {
+  let pages = [];
+  for (let i = 0; i < document.pages.length; i++) {
+    let blocks = [];
+    for (let block of document.pages[i]) {
+      if (block.type === "heading") {
+        blocks.push("<h1>" + escapeHtml(block.text) + "</h1>");
+      } else if (block.type === "text") {
+        blocks.push("<p>" + escapeHtml(block.text) + "</p>");
+      } else if (block.type === "table") {
+        let header = block.header ? "<tr>" + block.header.map(cell =>
+          "<th>" + escapeHtml(cell) + "</th>").join("") + "</tr>" : "";
+        let rows = block.rows.map(row => "<tr>" + row.map(cell =>
+          "<td>" + escapeHtml(cell) + "</td>").join("") + "</tr>");
+        blocks.push("<table>" + header + rows.join("") + "</table>");
+      } else if (block.type === "qr") {
+        blocks.push(await QRCode.toString(block.text, {"type": "svg", "width": 128}));
+      }
+    }
+    pages.push("<section class=\"page\">\n" + blocks.join("\n") + "\n</section>");
+  }
+  return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"UTF-8\">\n" +
+         "<title>" + escapeHtml(document.title) + " | Petite Treats</title>\n<style>\n" +
+         "body { font-family: sans-serif; }\n" +
+         ".page { page-break-after: always; margin-bottom: 40px; }\n" +
+         "table { border-collapse: collapse; margin: 10px 0px; }\n" +
+         "th, td { border-bottom: 1px solid #ccc; padding: 4px 8px; text-align: left; }\n" +
+         "svg { display: block; width: 128px; height: 128px; }\n" +
+         "</style>\n</head>\n<body>\n" + pages.join("\n") + "\n</body>\n</html>\n";
+}
+
+/**
+ * Renders the given document as a PDF, with each document page on its own PDF page.
+ * @param {Object} document - The document, as described in renderDocument
+ * @returns {Buffer} The PDF file
+ */
+async function renderPdf(document) {
+  let pdf = new PDFDocument({"size": document.size, "margin": 24, "autoFirstPage": false,
+                             "info": {"Title": document.title}});
+  let chunks = [];
+  pdf.on("data", chunk => chunks.push(chunk));
+  let done = new Promise(resolve => pdf.on("end", resolve));
+  for (let i = 0; i < document.pages.length; i++) {
+    pdf.addPage();
+    for (let block of document.pages[i]) {
+      if (block.type === "heading") {
+        pdf.font("Helvetica-Bold").fontSize(16).text(block.text).moveDown(0.5);
+      } else if (block.type === "text") {
+        pdf.font("Helvetica").fontSize(10).text(block.text).moveDown(0.3);
+      } else if (block.type === "table") {
+        writePdfTable(pdf, block);
+      } else if (block.type === "qr") {
+        let image = await QRCode.toBuffer(block.text, {"width": 256});
+        pdf.image(image, {"width": 96}).moveDown(0.5);
+      }
+    }
+  }
+  pdf.end();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Writes the given table block to the given PDF at the current position, with equal width
+ * columns and its header row in bold.
+ * @param {Object} pdf - The PDFKit document
+ * @param {Object} block - The table block, with optional "header" and "rows"
+ */
+function writePdfTable(pdf, block) {
+  let left = pdf.page.margins.left;
+  let rows = block.header ? [block.header].concat(block.rows) : block.rows;
+  let width = (pdf.page.width - left - pdf.page.margins.right) / rows[0].length;
+  pdf.fontSize(10);
+  for (let i = 0; i < rows.length; i++) {
+    pdf.font(block.header && i === 0 ? "Helvetica-Bold" : "Helvetica");
+    let top = pdf.y;
+    let bottom = top;
+    for (let j = 0; j < rows[i].length; j++) {
+      pdf.text(rows[i][j], left + j * width, top, {"width": width - 4});
+      bottom = Math.max(bottom, pdf.y);
+    }
+    pdf.y = bottom + 2;
+  }
+  pdf.x = left;
+  pdf.moveDown(0.5);
+}
+
+/**
+ * Returns a readable description of the given pickup time.
+ * @param {Object} pickup - The pickup time. Ex:
+ * { date: "2021-06-12", start: "10:00", end: "12:00" }
+ * @returns {String} The description. Ex: "Sat, Jun 12, 2021, 10:00 - 12:00"
+ */
+function formatPickup(pickup) {
+  let date = new Date(pickup.date + "T00:00:00Z");
+  let day = date.toLocaleDateString("en-US", {"weekday": "short", "month": "short",
+                                              "day": "numeric", "year": "numeric",
+                                              "timeZone": "UTC"});
+  return day + ", " + pickup.start + " - " + pickup.end;
+}
+
+/**
+ * Escapes the characters in the given text that have a special meaning in HTML.
+ * @param {String} text - The text to escape
+ * @returns {String} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/**
+ * Returns the mail transport with the given name. Every transport has an async
+ * send(message) function that takes a message with "from", "to", "subject", and "text":
+ * - "smtp" sends through the SMTP server in the SMTP_HOST, SMTP_PORT, SMTP_USER, and
+ *   SMTP_PASSWORD environment variables.
+ * - "file" writes each message to a file in MAIL_DIR, for development.
+ * - "console" prints each message, for development.
+ * Throws an error if there is no transport with the given name, or if "smtp" is chosen
+ * without an SMTP_HOST, so a server that isn't set up to send email doesn't start.
+ * @param {String} name - The transport name
+ * @returns {Object} The mail transport
+ */
+function createMailTransport(name) {
+  if (name === "smtp") {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not set. Set it to send emails, or set MAIL_TRANSPORT to " +
+                      "\"file\" or \"console\" to keep them local during development.");
+    }
+    let transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_PORT === "465",
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+    return {"send": message => transporter.sendMail(message)};
+  } else if (name === "file") {
+    return {"send": async message => {
+      await fs.mkdir(MAIL_DIR, {recursive: true});
+      let fileName = Date.now() + "-" + crypto.randomBytes(4).toString("hex") + ".eml";
+      await fs.writeFile(path.join(MAIL_DIR, fileName), formatEmail(message));
+    }};
+  } else if (name === "console") {
+    return {"send": message => console.log(formatEmail(message))};
+  }
+  throw new Error("Unknown mail transport: " + name);
+}
+
+/**
+ * Returns the given email message as plain text, with its headers first.
+ * @param {Object} message - The message, with "from", "to", "subject", and "text"
+ * @returns {String} The message as text
+ */
+function formatEmail(message) {
+  return "From: " + message.from + "\nTo: " + message.to + "\nSubject: " + message.subject +
+         "\nDate: " + new Date().toUTCString() + "\n\n" + message.text + "\n";
+}
+
+/**
+ * Fills in the given email template and adds the email to the queue of emails to send,
+ * then starts sending the queue in the background.
+ * @param {Object} db - The database object for connection
+ * @param {String} template - The name of a template in EMAIL_TEMPLATES
+ * @param {String} to - The recipient's email address
+ * @param {Object} data - The values of the template's placeholders. Ex: { name: "Tony" }
+ */
+async function queueEmail(db, template, to, data) {
+  let subject = fillTemplate(EMAIL_TEMPLATES[template].subject, data);
+  let text = fillTemplate(EMAIL_TEMPLATES[template].text, data);
+  let query = "INSERT INTO email_queue(template, recipient, subject, body) VALUES (?, ?, ?, ?);";
+  await db.query(query, [template, to, subject, text]);
+  sendQueuedEmails();
+}
+
+/**
+ * Replaces each {placeholder} in the given template with the value of the same name.
+ * Placeholders without a value are left as they are.
+ * @param {String} template - The template text. Ex: "Hi {name}!"
+ * @param {Object} data - The placeholder values. Ex: { name: "Tony" }
+ * @returns {String} The filled in text. Ex: "Hi Tony!"
+ */
+function fillTemplate(template, data) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => key in data ? String(data[key]) : match);
+}
+
+/**
+ * Queues the given email template for the customer of the given order, filled in with the
+ * order's details.
+ * Throws an error if the order does not exist in the database.
+ * @param {Object} db - The database object for connection
+ * @param {String} code - The order confirmation number
+ * @param {String} template - "order_confirmation" or "order_status"
+ */
+async function notifyOrder(db, code, template) {
+  let order = await getOrder(db, code);
+  let items = order.items.map(item => item.quantity + " x " + item.product + " (" +
+                                      item.flavor + ", " + item.box + " box) - " +
+                                      item.price_display + " each");
+  await queueEmail(db, template, order.email, {
+    "name": order.name,
+    "code": order.code,
+    "items": items.join("\n"),
+    "discount": order.discount_display,
+    "tax": order.tax_display,
+    "total": order.total_display,
+    "pickup": formatPickup(order.pickup),
+    "status": ORDER_STATUS_NAMES[order.status]
+  });
+}
+
+/**
+ * Waits for the given email to be queued. An error queuing it is only logged, since the
+ * order, message, or status change the email is about has already been saved, and the
+ * response should say so.
+ * @param {Promise} queued - The promise returned by queueEmail or notifyOrder
+ */
+async function logQueueError(queued) {
+  try {
+    await queued;
+  } catch (err) {
+    if (DEBUG) {
+      console.error(err);
+    }
+  }
+}
+
+/**
+ * Sends every queued email that is due, with the mail transport. An email that fails to
+ * send is retried after MAIL_RETRY_MINUTES, doubling the wait after each failure, until it
+ * has been tried MAIL_MAX_ATTEMPTS times.
+ * Only one run sends at a time, and errors are only logged (in DEBUG mode), since nothing
+ * waits for it.
+ */
+async function sendQueuedEmails() {
+  if (sendingEmails) {
+    return;
+  }
+  sendingEmails = true;
+  let db;
+  try {
+    db = await getDB();
+    let query = "SELECT id, recipient, subject, body, attempts FROM email_queue " +
+                "WHERE sent IS NULL AND attempts < ? AND next_attempt <= NOW() ORDER BY id;";
+    let emails = await db.query(query, [MAIL_MAX_ATTEMPTS]);
+    for (let i = 0; i < emails.length; i++) {
+      await sendQueuedEmail(db, emails[i]);
+    }
+  } catch (err) {
+    if (DEBUG) {
+      console.error(err);
+    }
+  }
+  if (db) {
+    db.end();
+  }
+  sendingEmails = false;
+}
+
+/**
+ * Sends the given queued email and records that it was sent, or records the error and
+ * when to try again if it fails.
+ * @param {Object} db - The database object for connection
+ * @param {Object} email - The queued email, as a RowDataPacket
+ */
+async function sendQueuedEmail(db, email) {
+  try {
+    await mailer.send({"from": MAIL_FROM, "to": email.recipient, "subject": email.subject,
+                       "text": email.body});
+    await db.query("UPDATE email_queue SET sent = NOW(), attempts = attempts + 1 WHERE id = ?;",
+                   [email.id]);
+  } catch (err) {
+    let wait = MAIL_RETRY_MINUTES * Math.pow(2, email.attempts);
+    let query = "UPDATE email_queue SET attempts = attempts + 1, last_error = ?, " +
+                "next_attempt = NOW() + INTERVAL ? MINUTE WHERE id = ?;";
+    await db.query(query, [String(err.message), wait, email.id]);
   }
 }
 
 /**
- * Establishes a database connection to the ptdb and returns the database object.
+ * Borrows a connection to the ptdb from the shared connection pool and returns the
+ * database object. Calling end() on it returns the connection to the pool; calling it again
+ * does nothing, so it is safe to end the connection on both the success and error paths.
  * @returns {Object} - The database object for the connection.
  */
 async function getDB() {
-  let db = await mysql.createConnection({
-    host: "localhost",
-    port: "3306",
-    user: "root",
-    password: "rootroot",
-    database: "ptdb"
-  });
+  let db = await (await dbPool).getConnection();
+  let released = false;
+  db.end = () => {
+    if (!released) {
+      released = true;
+      db.release();
+    }
+  };
   return db;
 }
 
+/**
+ * Checks that the given text is a real calendar date in YYYY-MM-DD format.
+ * @param {String} date - The text to check. Ex: "2021-06-12"
+ * @returns {Boolean} True if the text is a valid date, false otherwise
+ */
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  let parsed = new Date(date + "T00:00:00Z");
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+/**
+ * Checks that the given text is a time of day in 24-hour HH:MM format.
+ * @param {String} time - The text to check. Ex: "14:30"
+ * @returns {Boolean} True if the text is a valid time, false otherwise
+ */
+function isValidTime(time) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+
+/**
+ * Splits the given comma-separated list into its trimmed, non-empty items.
+ * Example: splitList("Chocolate, Vanilla,") returns ["Chocolate", "Vanilla"].
+ * @param {String} text - The list, or undefined for an empty list
+ * @returns {Object} The items
+ */
+function splitList(text) {
+  if (!text) {
+    return [];
+  }
+  return String(text).split(",").map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Checks whether each of the given parameters of the given request body is a non-empty
+ * string. JSON bodies can hold other types, which the string methods would throw on.
+ * @param {Object} body - The request body
+ * @param {Object} names - The parameter names. Ex: ["name", "email"]
+ * @returns {Boolean} True if every parameter is a non-empty string, false otherwise
+ */
+function hasText(body, names) {
+  return names.every(name => typeof body[name] === "string" && body[name] !== "");
+}
+
+/**
+ * Escapes the wildcard characters in the given text so it can be matched literally in a
+ * LIKE pattern.
+ * @param {String} text - The text to escape
+ * @returns {String} The escaped text
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * Converts the given price in dollars to a whole number of cents.
+ * @param {String} price - The price, in dollars, with at most two decimal places. Ex: "10.25"
+ * @returns {Number} The price in cents, or NaN if the price is not a non-negative number
+ * with at most two decimal places
+ */
+function parseCents(price) {
+  let match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(price).trim());
+  if (!match) {
+    return NaN;
+  }
+  return parseInt(match[1]) * 100 + parseInt((match[2] || "0").padEnd(2, "0"));
+}
+
+/**
+ * Formats the given number of cents as a dollar amount.
+ * Example: formatCents(1025) returns "$10.25".
+ * @param {Number} cents - The amount, in cents
+ * @returns {String} The formatted amount
+ */
+function formatCents(cents) {
+  let sign = cents < 0 ? "-" : "";
+  cents = Math.abs(cents);
+  return sign + "$" + Math.floor(cents / 100) + "." + String(cents % 100).padStart(2, "0");
+}
+
+/**
+ * Adds a display string next to every amount in cents in the given object. For each
+ * "<name>_cents" property, sets "<name>_display" to the formatted amount.
+ * Example: formatPrices({ price_cents: 1025 }) returns
+ * { price_cents: 1025, price_display: "$10.25" }
+ * @param {Object} row - The object with amounts in cents
+ * @returns {Object} The same object, with the display strings added
+ */
+function formatPrices(row) {
+  for (let key of Object.keys(row)) {
+    if (key.endsWith("_cents") && row[key] !== null) {
+      row[key.replace(/_cents$/, "_display")] = formatCents(row[key]);
+    }
+  }
+  return row;
+}
+
 /**
  * Takes a title case name and converts it to a dash-separated directory name.
  * Example: formatDashes("Mini Palmiers") returns "mini-palmiers".
@@ -523,3 +7562,4 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 8000;
 app.listen(PORT);
+setInterval(sendQueuedEmails, MAIL_QUEUE_INTERVAL);
@@ -0,0 +1,310 @@
+/**
+ * @author: Madeline Shao
+ * Date: 6/9/21
+ *
+ * Implements functionality for the account page of the Petite Treats website.
+ * Lets customers create an account, sign in and out, save their contact details and pickup
+ * preference, and see their past orders and add the items of one back to the cart.
+ */
+(function() {
+  "use strict";
+
+  const BASE_URL = "/";
+  const STATUS_NAMES = {
+    "received": "Received",
+    "baking": "Baking",
+    "ready": "Ready for pickup",
+    "picked_up": "Picked up",
+    "cancelled": "Cancelled"
+  };
+
+  /**
+   * Sets up the account page and initial document event handlers.
+   */
+  function init() {
+    checkLogin();
+    id("cart-btn").addEventListener("click", goToCart);
+    id("login-form").addEventListener("submit", logIn);
+    id("register-form").addEventListener("submit", register);
+    id("logout-btn").addEventListener("click", logOut);
+    id("profile-form").addEventListener("submit", saveProfile);
+  }
+
+  /**
+   * Shows the account if the customer is already signed in, or the sign in and registration
+   * forms otherwise.
+   */
+  async function checkLogin() {
+    try {
+      let resp = await fetch(BASE_URL + "account");
+      await checkStatus(resp);
+      let customer = await resp.json();
+      showAccount(customer);
+    } catch {
+      id("signed-out-view").classList.remove("hidden");
+    }
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and signs in with the email
+   * and password from the sign in form. Any items in the cart are added to the account's
+   * cart.
+   * Shows the account if successful, or an error message otherwise.
+   * @param {Object} evt - The event object
+   */
+  async function logIn(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("login-form"));
+    try {
+      let resp = await fetch(BASE_URL + "account/login", {method: "POST", body: params});
+      await checkStatus(resp);
+      let customer = await resp.json();
+      id("login-form").reset();
+      id("results").textContent = formatSkipped(customer.skipped);
+      showAccount(customer);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and creates an account with
+   * the details from the registration form.
+   * Shows the new account if successful, or an error message otherwise.
+   * @param {Object} evt - The event object
+   */
+  async function register(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("register-form"));
+    try {
+      let resp = await fetch(BASE_URL + "account/register", {method: "POST", body: params});
+      await checkStatus(resp);
+      let customer = await resp.json();
+      id("register-form").reset();
+      id("results").textContent = "";
+      showAccount(customer);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Signs out and shows the sign in and registration forms.
+   * Displays an error message if there is an error signing out.
+   */
+  async function logOut() {
+    try {
+      let resp = await fetch(BASE_URL + "account/logout", {method: "POST"});
+      await checkStatus(resp);
+      id("results").textContent = "";
+      id("signed-in-view").classList.add("hidden");
+      id("signed-out-view").classList.remove("hidden");
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Hides the sign in and registration forms, fills the profile form with the given
+   * customer's saved details, and shows their past orders.
+   * @param {Object} customer - The signed in customer. Ex:
+   * { email: "tony@stark.com", name: "Tony Stark", phone: "408-555-0123",
+   *   pickup_preference: "morning" }
+   */
+  function showAccount(customer) {
+    id("customer-name").textContent = customer.name;
+    id("email-input").value = customer.email;
+    id("name-input").value = customer.name;
+    id("phone-input").value = customer.phone;
+    id("preference-select").value = customer.pickup_preference || "";
+    id("profile-message").textContent = "";
+    id("signed-out-view").classList.add("hidden");
+    id("signed-in-view").classList.remove("hidden");
+    loadOrders();
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and saves the details from
+   * the profile form.
+   * Displays a success message if successful, or an error message otherwise.
+   * @param {Object} evt - The event object
+   */
+  async function saveProfile(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("profile-form"));
+    try {
+      let resp = await fetch(BASE_URL + "account", {method: "PUT", body: params});
+      await checkStatus(resp);
+      let customer = await resp.json();
+      id("customer-name").textContent = customer.name;
+      id("profile-message").textContent = "Your details were saved.";
+    } catch (err) {
+      id("profile-message").textContent = err.message;
+    }
+  }
+
+  /**
+   * Fills the past orders section with the customer's orders, newest first, each with a
+   * button to order the same items again:
+   * <ul id="history">
+   *   <li>
+   *     <h3>PT-3F9A1C0B - Picked up</h3>
+   *     <p>Pickup: Sat, Jun 12, 10:00 - 12:00 | Total: $21.88</p>
+   *     <ul><li>2 x Cake (Chocolate, Plain box)</li></ul>
+   *     <button>Reorder</button>
+   *   </li>
+   * </ul>
+   * Displays an error message if there is an error loading the data.
+   */
+  async function loadOrders() {
+    id("history-message").textContent = "Response Loading...";
+    try {
+      let resp = await fetch(BASE_URL + "account/orders");
+      await checkStatus(resp);
+      let orders = await resp.json();
+      id("history").innerHTML = "";
+      id("history-message").textContent = orders.length === 0 ? "No orders yet." : "";
+      for (let i = 0; i < orders.length; i++) {
+        id("history").appendChild(createOrderItem(orders[i]));
+      }
+    } catch (err) {
+      id("history-message").textContent = err.message;
+    }
+  }
+
+  /**
+   * Returns a list item showing the given order, with a button to reorder it.
+   * @param {Object} order - The order. Ex:
+   * { code: "PT-3F9A1C0B", status: "picked_up",
+   *   pickup: { date: "2021-06-12", start: "10:00", end: "12:00" },
+   *   items: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2 }],
+   *   total_display: "$21.88" }
+   * @returns {DOMObject} The list item, as shown in loadOrders
+   */
+  function createOrderItem(order) {
+    let item = gen("li");
+    let heading = gen("h3");
+    heading.textContent = order.code + " - " + STATUS_NAMES[order.status];
+    let details = gen("p");
+    details.textContent = "Pickup: " + formatPickup(order.pickup) + " | Total: " +
+                          order.total_display;
+    let lines = gen("ul");
+    for (let i = 0; i < order.items.length; i++) {
+      let line = gen("li");
+      let orderLine = order.items[i];
+      line.textContent = `${orderLine.quantity} x ${orderLine.product} (${orderLine.flavor}, ` +
+                         `${orderLine.box} box)`;
+      lines.appendChild(line);
+    }
+    let button = gen("button");
+    button.textContent = "Reorder";
+    button.addEventListener("click", () => reorder(order.code));
+    item.appendChild(heading);
+    item.appendChild(details);
+    item.appendChild(lines);
+    item.appendChild(button);
+    return item;
+  }
+
+  /**
+   * Adds the items of the given order to the cart, then goes to the cart page. If some items
+   * can't be ordered anymore, shows which ones instead, with a link to the cart.
+   * Displays an error message if there is an error adding the items.
+   * @param {String} code - The order confirmation number
+   */
+  async function reorder(code) {
+    try {
+      let resp = await fetch(BASE_URL + "account/orders/" + encodeURIComponent(code) +
+                             "/reorder", {method: "POST"});
+      await checkStatus(resp);
+      let cart = await resp.json();
+      if (cart.skipped.length === 0) {
+        goToCart();
+      } else {
+        id("history-message").textContent = formatSkipped(cart.skipped) + " ";
+        let link = gen("a");
+        link.href = "cart.html";
+        link.textContent = "Go to cart";
+        id("history-message").appendChild(link);
+      }
+    } catch (err) {
+      id("history-message").textContent = err.message;
+    }
+  }
+
+  /**
+   * Returns a message listing the given cart items that couldn't be added to the cart.
+   * @param {Object} skipped - The skipped items. Ex:
+   * [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 3,
+   *    reason: "Not enough of one or more products can be made for that day" }]
+   * @returns {String} The message, or "" if no items were skipped. Ex:
+   * "Some items couldn't be added to your cart: 3 x Cake (Chocolate, Plain box)."
+   */
+  function formatSkipped(skipped) {
+    if (skipped.length === 0) {
+      return "";
+    }
+    let lines = skipped.map(line => `${line.quantity} x ${line.product} (${line.flavor}, ` +
+                                    `${line.box} box)`);
+    return "Some items couldn't be added to your cart: " + lines.join(", ") + ".";
+  }
+
+  /**
+   * Returns a readable description of the given pickup time.
+   * @param {Object} pickup - The pickup time. Ex:
+   * { date: "2021-06-12", start: "10:00", end: "12:00" }
+   * @returns {String} The description. Ex: "Sat, Jun 12, 10:00 - 12:00"
+   */
+  function formatPickup(pickup) {
+    let date = new Date(pickup.date + "T00:00:00");
+    let day = date.toLocaleDateString("en-US", {weekday: "short", month: "short",
+                                                day: "numeric"});
+    return day + ", " + pickup.start + " - " + pickup.end;
+  }
+
+  /**
+   * Redirects page to cart.html.
+   */
+  function goToCart() {
+    window.location.href = "cart.html";
+  }
+
+  /**
+   * Checks the status of a fetch Response, returning the Response object back
+   * for further processing if successful, otherwise returns an Error that needs
+   * to be caught.
+   * @param {object} response - response with status to check for success/error.
+   * @returns {object} - The Response object if successful, otherwise an Error that
+   * needs to be caught.
+   */
+  async function checkStatus(response) {
+    if (!response.ok) { // Response.status >= 200 && response.status < 300
+      let msg = "The server encountered an error. Please try again later.";
+      if (response.status >= 400 && response.status < 500) {
+        msg = await response.text();
+      }
+      throw Error(msg);
+    } // Else, we got a response back with a good status code (e.g. 200)
+    return response; // A Response object.
+  }
+
+  /**
+   * Returns the element that has the ID attribute with the specified value.
+   * @param {string} idName - element ID
+   * @return {object} DO object associated with id
+   */
+  function id(idName) {
+    return document.getElementById(idName);
+  }
+
+  /**
+   * Returns a new element with the given tagname
+   * @param {string} tagname - name of element to create and return
+   * @returns {object} new DOM element with the given tagname
+   */
+  function gen(tagname) {
+    return document.createElement(tagname);
+  }
+
+  init();
+})();
@@ -0,0 +1,330 @@
+/**
+ * @author: Madeline Shao
+ * Date: 6/9/21
+ *
+ * Implements functionality for the admin page of the Petite Treats website.
+ * Lets bakery staff log in and out, read, filter, mark, and archive the
+ * messages submitted through the "Contact us" form, and approve or hide product reviews.
+ */
+(function() {
+  "use strict";
+
+  const BASE_URL = "/";
+
+  /**
+   * Sets up the admin page and initial document event handlers.
+   */
+  function init() {
+    checkLogin();
+    id("cart-btn").addEventListener("click", goToCart);
+    id("login-form").addEventListener("submit", logIn);
+    id("logout-btn").addEventListener("click", logOut);
+    id("status-filter").addEventListener("change", loadMessages);
+    id("archived-filter").addEventListener("change", loadMessages);
+    id("unread-btn").addEventListener("click", () => updateMessage({"status": "unread"}));
+    id("replied-btn").addEventListener("click", () => updateMessage({"status": "replied"}));
+    id("archive-btn").addEventListener("click", toggleArchived);
+    id("review-status-filter").addEventListener("change", loadReviews);
+  }
+
+  /**
+   * Shows the inbox if the user is already logged in, or the login form otherwise.
+   */
+  async function checkLogin() {
+    try {
+      let resp = await fetch(BASE_URL + "admin/me");
+      await checkStatus(resp);
+      let user = await resp.json();
+      showInbox(user);
+    } catch {
+      id("login-view").classList.remove("hidden");
+    }
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and logs in with the
+   * username and password from the login form.
+   * Shows the inbox if successful, or an error message otherwise.
+   * @param {Object} evt - The event object
+   */
+  async function logIn(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("login-form"));
+    try {
+      let resp = await fetch(BASE_URL + "admin/login", {method: "POST", body: params});
+      await checkStatus(resp);
+      let user = await resp.json();
+      id("login-form").reset();
+      id("results").textContent = "";
+      showInbox(user);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Logs out and shows the login form.
+   * Displays an error message if there is an error logging out.
+   */
+  async function logOut() {
+    try {
+      let resp = await fetch(BASE_URL + "admin/logout", {method: "POST"});
+      await checkStatus(resp);
+      id("inbox-view").classList.add("hidden");
+      id("reviews-view").classList.add("hidden");
+      id("login-view").classList.remove("hidden");
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Hides the login form and shows the inbox and review moderation queue for the given user.
+   * @param {Object} user - The logged in user. Ex: { username: "madeline", role: "owner" }
+   */
+  function showInbox(user) {
+    id("username").textContent = user.username + " (" + user.role + ")";
+    id("login-view").classList.add("hidden");
+    id("inbox-view").classList.remove("hidden");
+    id("reviews-view").classList.remove("hidden");
+    loadMessages();
+    loadReviews();
+  }
+
+  /**
+   * Fills the inbox with the messages matching the selected filters:
+   * <ul id="messages">
+   *   <li><button>Tony Stark (tony@stark.com) - unread</button></li>
+   *   ...
+   * </ul>
+   * Displays an error message if there is an error loading the data.
+   */
+  async function loadMessages() {
+    id("results").textContent = "Response Loading...";
+    id("message-view").classList.add("hidden");
+    let query = "?archived=" + id("archived-filter").checked;
+    if (id("status-filter").value) {
+      query += "&status=" + id("status-filter").value;
+    }
+    try {
+      let resp = await fetch(BASE_URL + "admin/messages" + query);
+      await checkStatus(resp);
+      let messages = await resp.json();
+      id("messages").innerHTML = "";
+      id("results").textContent = messages.length === 0 ? "No messages." : "";
+      for (let i = 0; i < messages.length; i++) {
+        id("messages").appendChild(createMessageItem(messages[i]));
+      }
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Returns a list item with a button to view the given message.
+   * @param {Object} message - The message summary. Ex:
+   * { id: 7, name: "Tony Stark", email: "tony@stark.com", status: "unread",
+   *   archived: false, created: "2021-06-10T17:04:12.000Z" }
+   * @returns {DOMObject} The list item:
+   * <li><button class="unread">Tony Stark (tony@stark.com) - unread</button></li>
+   */
+  function createMessageItem(message) {
+    let item = gen("li");
+    let button = gen("button");
+    button.textContent = `${message.name} (${message.email}) - ${message.status}`;
+    button.classList.add(message.status);
+    button.addEventListener("click", () => viewMessage(message.id));
+    item.appendChild(button);
+    return item;
+  }
+
+  /**
+   * Shows the full text of the given message, which marks it as read.
+   * Displays an error message if there is an error loading the data.
+   * @param {Number} messageId - The message id
+   */
+  async function viewMessage(messageId) {
+    try {
+      let resp = await fetch(BASE_URL + "admin/messages/" + messageId);
+      await checkStatus(resp);
+      let message = await resp.json();
+      showMessage(message);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Fills the message view with the given message.
+   * @param {Object} message - The full message, including its text
+   */
+  function showMessage(message) {
+    let view = id("message-view");
+    view.dataset.id = message.id;
+    view.dataset.archived = message.archived;
+    id("message-from").textContent = `${message.name} (${message.email})`;
+    id("message-date").textContent = new Date(message.created).toLocaleString() + " - " +
+                                     message.status;
+    id("message-text").textContent = message.message;
+    id("archive-btn").textContent = message.archived ? "Unarchive" : "Archive";
+    view.classList.remove("hidden");
+  }
+
+  /**
+   * Archives the message being viewed, or unarchives it if it is already archived.
+   */
+  async function toggleArchived() {
+    let archived = id("message-view").dataset.archived === "true";
+    await updateMessage({"archived": !archived});
+  }
+
+  /**
+   * Makes the given changes to the message being viewed, then reloads the inbox.
+   * Displays an error message if there is an error updating the message.
+   * @param {Object} changes - The changes to make. Ex: { status: "replied" }
+   */
+  async function updateMessage(changes) {
+    let requestOptions = {method: "PUT",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify(changes)};
+    try {
+      let resp = await fetch(BASE_URL + "admin/messages/" + id("message-view").dataset.id,
+                             requestOptions);
+      await checkStatus(resp);
+      await loadMessages();
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Fills the reviews section with the reviews that have the selected status, oldest first,
+   * each with buttons to approve or hide it:
+   * <ul id="reviews">
+   *   <li>
+   *     <h3>Cake - 5 stars</h3>
+   *     <p>Tony Stark (order PT-3F9A1C0B) - 6/14/2021, 10:04:12 AM</p>
+   *     <p>So moist!</p>
+   *     <button>Approve</button><button>Hide</button>
+   *   </li>
+   * </ul>
+   * Displays an error message if there is an error loading the data.
+   */
+  async function loadReviews() {
+    id("reviews-results").textContent = "Response Loading...";
+    try {
+      let resp = await fetch(BASE_URL + "admin/reviews?status=" +
+                             id("review-status-filter").value);
+      await checkStatus(resp);
+      let reviews = await resp.json();
+      id("reviews").innerHTML = "";
+      id("reviews-results").textContent = reviews.length === 0 ? "No reviews." : "";
+      for (let i = 0; i < reviews.length; i++) {
+        id("reviews").appendChild(createReviewItem(reviews[i]));
+      }
+    } catch (err) {
+      id("reviews-results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Returns a list item showing the given review, with buttons to approve or hide it
+   * (whichever it is not already).
+   * @param {Object} review - The review. Ex:
+   * { id: 3, product: "Cake", code: "PT-3F9A1C0B", name: "Tony Stark", rating: 5,
+   *   text: "So moist!", status: "pending", created: "2021-06-14T17:04:12.000Z" }
+   * @returns {DOMObject} The list item, as shown in loadReviews
+   */
+  function createReviewItem(review) {
+    let item = gen("li");
+    let heading = gen("h3");
+    heading.textContent = `${review.product} - ${review.rating} stars`;
+    let from = gen("p");
+    from.textContent = `${review.name} (order ${review.code}) - ` +
+                       new Date(review.created).toLocaleString();
+    let text = gen("p");
+    text.textContent = review.text;
+    item.appendChild(heading);
+    item.appendChild(from);
+    item.appendChild(text);
+    let actions = {"approved": "Approve", "hidden": "Hide"};
+    for (let status in actions) {
+      if (status !== review.status) {
+        let button = gen("button");
+        button.textContent = actions[status];
+        button.addEventListener("click", () => moderateReview(review.id, status));
+        item.appendChild(button);
+      }
+    }
+    return item;
+  }
+
+  /**
+   * Changes the status of the given review, then reloads the reviews.
+   * Displays an error message if there is an error updating the review.
+   * @param {Number} reviewId - The review id
+   * @param {String} status - The new status ("pending", "approved", or "hidden")
+   */
+  async function moderateReview(reviewId, status) {
+    let requestOptions = {method: "PUT",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify({"status": status})};
+    try {
+      let resp = await fetch(BASE_URL + "admin/reviews/" + reviewId, requestOptions);
+      await checkStatus(resp);
+      await loadReviews();
+    } catch (err) {
+      id("reviews-results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Redirects page to cart.html.
+   */
+  function goToCart() {
+    window.location.href = "cart.html";
+  }
+
+  /**
+   * Checks the status of a fetch Response, returning the Response object back
+   * for further processing if successful, otherwise returns an Error that needs
+   * to be caught.
+   * @param {object} response - response with status to check for success/error.
+   * @returns {object} - The Response object if successful, otherwise an Error that
+   * needs to be caught.
+   */
+  async function checkStatus(response) {
+    if (!response.ok) { // Response.status >= 200 && response.status < 300
+      let msg = "The server encountered an error. Please try again later.";
+      if (response.status >= 400 && response.status < 500) {
+        msg = await response.text();
+      }
+      throw Error(msg);
+    } // Else, we got a response back with a good status code (e.g. 200)
+    return response; // A Response object.
+  }
+
+  /**
+   * Returns the element that has the ID attribute with the specified value.
+   * @param {string} idName - element ID
+   * @return {object} DO object associated with id
+   */
+  function id(idName) {
+    return document.getElementById(idName);
+  }
+
+  /**
+   * Returns a new element with the given tagname
+   * @param {string} tagname - name of element to create and return
+   * @returns {object} new DOM element with the given tagname
+   */
+  function gen(tagname) {
+    return document.createElement(tagname);
+  }
+
+  init();
+})();
@@ -3,126 +3,449 @@
  * Date: 6/9/21
  *
  * Implements functionality for the cart page of the Petite Treats website.
- * Loads the cart from the browser session storage to display on page.
- * The user can remove items from the cart and clear the cart.
+ * Loads the cart from the server to display on page, with the allergens of each item.
+ * The user can change item quantities, remove items from the cart, clear the cart, apply a
+ * promo code, and place an order. The checkout form is filled in with the saved details of
+ * a signed in customer.
  */
 (function() {
   "use strict";
 
+  const BASE_URL = "/";
+
   /**
    * Sets up the cart and initial document event handlers.
    */
   function init() {
     initializeCart();
+    prefillCheckout();
     id("product-btn").addEventListener("click", goToProducts);
     id("cart-btn").addEventListener("click", goToCart);
     id("clear-cart-btn").addEventListener("click", clearCart);
+    id("checkout-form").addEventListener("submit", submitOrder);
+    id("promo-form").addEventListener("submit", applyPromo);
+    id("slot-select").addEventListener("change", checkCapacity);
+  }
+
+  /**
+   * Fills the Cart section of the page with a list of items in the cart stored on the
+   * server.
+   * Displays an error message if there is an error loading the data.
+   */
+  async function initializeCart() {
+    id("results").textContent = "Response Loading...";
+    try {
+      let resp = await fetch(BASE_URL + "cart");
+      await checkStatus(resp);
+      let cart = await resp.json();
+      id("results").textContent = "";
+      showCart(cart);
+    } catch {
+      handleRequestError();
+    }
+  }
+
+  /**
+   * Fills the checkout form with the saved details of the signed in customer, if any, and
+   * remembers their preferred pickup time of day for the pickup time dropdown.
+   */
+  async function prefillCheckout() {
+    try {
+      let resp = await fetch(BASE_URL + "account");
+      await checkStatus(resp);
+      let customer = await resp.json();
+      id("name-input").value = customer.name;
+      id("email-input").value = customer.email;
+      id("phone-input").value = customer.phone;
+      if (customer.pickup_preference) {
+        id("slot-select").dataset.preference = customer.pickup_preference;
+        selectPreferredSlot();
+      }
+    } catch {
+      // Not signed in, so there is nothing to fill in
+    }
+  }
+
+  /**
+   * Selects the first pickup time in the dropdown that starts in the signed in customer's
+   * preferred time of day (before noon for "morning", after for "afternoon"), if there is
+   * one.
+   */
+  function selectPreferredSlot() {
+    let preference = id("slot-select").dataset.preference;
+    let options = id("slot-select").options;
+    for (let i = 0; i < options.length; i++) {
+      let morning = options[i].dataset.start < "12:00";
+      if (preference === (morning ? "morning" : "afternoon")) {
+        id("slot-select").value = options[i].value;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Replaces the items, item count, and price breakdown shown on the page with those of the
+   * given cart, reapplies the promo code, and reloads the pickup times to match the new
+   * items.
+   * @param {Object} cart - The cart returned by the server. Ex:
+   * { items: [{ id: 4, product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2,
+   *             min_quantity: 1, max_quantity: 2, price_cents: 1000,
+   *             price_display: "$10.00", total_cents: 2000, total_display: "$20.00" }],
+   *   count: 2,
+   *   subtotal_display: "$20.00", box_surcharge_display: "$0.00",
+   *   discount_display: "$0.00", tax_rate: 9.375, tax_display: "$1.88",
+   *   total_display: "$21.88" }
+   */
+  function showCart(cart) {
+    id("cart").innerHTML = "";
+    for (let i = 0; i < cart.items.length; i++) {
+      id("cart").appendChild(createItem(cart.items[i]));
+    }
+    id("cart-count").textContent = cart.count;
+    showQuote(cart);
+    if (cart.count > 0 && id("promo-form").dataset.code) {
+      loadQuote();
+    }
+    loadPickupSlots(cart);
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and applies the promo code
+   * from the promo code form to the cart, showing the discounted price breakdown.
+   * An empty promo code removes the current one.
+   * @param {Object} evt - The event object
+   */
+  async function applyPromo(evt) {
+    evt.preventDefault();
+    id("promo-form").dataset.code = id("promo-input").value.trim();
+    await loadQuote();
   }
 
   /**
-   * Fills the Cart section of the page with a list of items in the cart stored in the
-   * browser session storage.
-   * Example value of session storage key "cart" :
-   *  [{ name : "Cake",
-   *     price: 10,
-   *     customizations: [{flavor: "Chocolate", box : "Plain"},
-   *                      {flavor: "Vanilla", box : "Flower"}]
-   *   },
-   *   { name : "Brownies",
-   *     price: 2,
-   *     customizations: [{flavor: "Chocolate", box : "Bow"}]
-   *   }
-   *  ]
-   */
-  function initializeCart() {
-    let cart = JSON.parse(window.sessionStorage.getItem("cart"));
-    if (cart) {
-      for (let i = 0; i < cart.length; i++) {
-        id("cart").appendChild(createItem(cart[i]));
+   * Fills the price breakdown with the server's quote for the cart with the applied promo
+   * code, or without a promo code if none is applied.
+   * If the promo code is rejected, it is removed and the reason is displayed instead.
+   */
+  async function loadQuote() {
+    let code = id("promo-form").dataset.code;
+    id("promo-message").textContent = "";
+    let requestOptions = {method: "POST",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify(code ? {"code": code} : {})};
+    try {
+      let resp = await fetch(BASE_URL + "cart/quote", requestOptions);
+      await checkStatus(resp);
+      let quote = await resp.json();
+      showQuote(quote);
+      if (quote.code) {
+        id("promo-message").textContent = quote.code + " applied: " + quote.description;
       }
+    } catch (err) {
+      if (code) {
+        delete id("promo-form").dataset.code;
+        await loadQuote();
+      }
+      id("promo-message").textContent = err.message;
     }
   }
 
   /**
-   * Creates a list element from the given item information to add to the cart.
+   * Shows the given quote's price breakdown, and lists the discount on each of its
+   * discounted items:
+   * <ul id="discount-lines">
+   *   <li>Cookies (Snickerdoodle): -$2.00</li>
+   * </ul>
+   * @param {Object} quote - The quote or cart returned by the server. Ex:
+   * { items: [{ product: "Cookies", flavor: "Snickerdoodle", ..., discount_cents: 200,
+   *             discount_display: "$2.00" }],
+   *   subtotal_display: "$6.00", box_surcharge_display: "$0.00",
+   *   discount_display: "$2.00", tax_rate: 9.375, tax_display: "$0.38",
+   *   total_display: "$4.38" }
+   */
+  function showQuote(quote) {
+    id("subtotal-price").textContent = quote.subtotal_display;
+    id("box-price").textContent = quote.box_surcharge_display;
+    id("discount-price").textContent = "-" + quote.discount_display;
+    id("tax-rate").textContent = quote.tax_rate;
+    id("tax-price").textContent = quote.tax_display;
+    id("total-price").textContent = quote.total_display;
+    id("discount-lines").innerHTML = "";
+    for (let i = 0; i < quote.items.length; i++) {
+      let item = quote.items[i];
+      if (item.discount_cents > 0) {
+        let line = gen("li");
+        line.textContent = `${item.product} (${item.flavor}): -${item.discount_display}`;
+        id("discount-lines").appendChild(line);
+      }
+    }
+  }
+
+  /**
+   * Creates a list element from the given item information to add to the cart. Items that
+   * can no longer be ordered show that instead of a price.
    * @param {Object} item - The item to add
-   * Ex: { name : "Cake",
-   *       price: 10,
-   *       customizations: [{flavor: "Chocolate", box : "Plain"},
-   *                        {flavor: "Vanilla", box : "Flower"}] }
+   * Ex: { id: 4, product: "Brownies", flavor: "Caramel", box: "Plain", quantity: 2,
+   *       min_quantity: 1, max_quantity: 10, price_cents: 200, price_display: "$2.00",
+   *       total_cents: 400, total_display: "$4.00", allergens: ["dairy", "egg", "gluten"],
+   *       unavailable: false }
    * @returns {DOMObject} The DOM object to append to the cart.
    * Ex:
    * <li>
-   *   2 Brownies - $<span>4.00</span>
+   *   Brownies - <span>$4.00</span>
    *   <button class="remove-btn">X</button>
    *   <ul>
    *     <li>Flavor: Caramel
    *         Box Decoration: Plain</li>
-   *     <li>Flavor: Chocolate
-   *         Box Decoration: Bow</li>
+   *     <li class="allergens">Contains: dairy, egg, gluten</li>
+   *     <li>Quantity: <input type="number" class="item-qty" min="1" max="10" value="2"
+   *                          data-product="Brownies" data-max="10"></li>
    *   </ul>
    * </li>
    */
   function createItem(item) {
     let itemName = gen("li");
     let customsUl = gen("ul");
-    itemName.textContent = `${item.customizations.length} ${item.name} - $`;
+    itemName.textContent = `${item.product} - `;
     let span = gen("span");
+    span.textContent = item.unavailable ? "No longer available" : item.total_display;
+    if (item.unavailable) {
+      itemName.classList.add("unavailable");
+    }
     itemName.appendChild(span);
-    let items = item.customizations;
-    let totalItemPrice = 0;
-    for (let i = 0; i < items.length; i++) {
-      let itemCustoms = gen("li");
-      let newItem = items[i];
-      itemCustoms.textContent = `Flavor: ${newItem.flavor}\nBox Decoration: ${newItem.box}`;
-      customsUl.appendChild(itemCustoms);
-      id("cart-count").textContent = parseInt(id("cart-count").textContent) + 1;
-      totalItemPrice += item.price;
-    }
-    span.textContent = totalItemPrice.toFixed(2);
-    id("total-price").textContent = (parseFloat(id("total-price").textContent) +
-                                     totalItemPrice).toFixed(2);
+    let itemCustoms = gen("li");
+    itemCustoms.textContent = `Flavor: ${item.flavor}\nBox Decoration: ${item.box}`;
+    customsUl.appendChild(itemCustoms);
+    let allergens = gen("li");
+    allergens.classList.add("allergens");
+    allergens.textContent = item.allergens.length > 0 ?
+      "Contains: " + item.allergens.join(", ") : "No allergens declared";
+    customsUl.appendChild(allergens);
+    let qtyItem = gen("li");
+    qtyItem.textContent = "Quantity: ";
+    let qtyInput = gen("input");
+    qtyInput.type = "number";
+    qtyInput.classList.add("item-qty");
+    qtyInput.min = item.min_quantity;
+    qtyInput.max = item.max_quantity;
+    qtyInput.value = item.quantity;
+    qtyInput.dataset.product = item.product;
+    qtyInput.dataset.max = item.max_quantity;
+    qtyInput.addEventListener("change", () => updateItem(item.id, qtyInput));
+    qtyItem.appendChild(qtyInput);
+    customsUl.appendChild(qtyItem);
     let removeBtn = gen("button");
     removeBtn.classList.add("remove-btn");
     removeBtn.textContent = "X";
-    removeBtn.addEventListener("click", removeItem);
+    removeBtn.addEventListener("click", () => removeItem(item.id));
     itemName.appendChild(removeBtn);
     itemName.appendChild(customsUl);
     return itemName;
   }
 
   /**
-   * Removes the item associated with the remove button click event from the cart, updating
-   * the session storage, count of items in the cart, and the total price.
+   * Changes the quantity of the given cart item on the server to the value of the given
+   * quantity input, then shows the updated cart.
+   * Displays an error message if the quantity is invalid or there is an error updating it.
+   * @param {Number} itemId - The id of the cart item
+   * @param {DOMObject} qtyInput - The quantity input for the cart item
+   */
+  async function updateItem(itemId, qtyInput) {
+    let qty = parseInt(qtyInput.value);
+    if (qty < qtyInput.min || qty > qtyInput.max || !qty) {
+      id("results").textContent = "Please choose a quantity from " + qtyInput.min + " to " +
+                                  qtyInput.max + ".";
+      return;
+    }
+    let requestOptions = {method: "PUT",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify({"quantity": qty})};
+    await requestCart("cart/items/" + itemId, requestOptions);
+  }
+
+  /**
+   * Removes the given item from the cart on the server, then shows the updated cart.
+   * @param {Number} itemId - The id of the cart item
    */
-  function removeItem() {
-    let cart = JSON.parse(window.sessionStorage.getItem("cart"));
-    if (cart) {
-      let name = this.parentNode.textContent;
-      name = name.slice(name.indexOf(" ") + 1, name.indexOf(" - "))
-      for (let i = 0; i < cart.length; i++) {
-        if (cart[i].name === name) {
-          cart.splice(i, 1);
+  async function removeItem(itemId) {
+    await requestCart("cart/items/" + itemId, {method: "DELETE"});
+  }
+
+  /**
+   * Clears the cart of all items on the server, then shows the empty cart.
+  */
+  async function clearCart() {
+    await requestCart("cart", {method: "DELETE"});
+  }
+
+  /**
+   * Makes a request to one of the cart endpoints and shows the updated cart it returns.
+   * Displays an error message if there is an error making the request.
+   * @param {String} endpoint - The cart endpoint, relative to BASE_URL
+   * @param {Object} requestOptions - The fetch options for the request
+   */
+  async function requestCart(endpoint, requestOptions) {
+    try {
+      let resp = await fetch(BASE_URL + endpoint, requestOptions);
+      await checkStatus(resp);
+      let cart = await resp.json();
+      id("results").textContent = "";
+      showCart(cart);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Fills the pickup time dropdown with the upcoming pickup slots that have room for
+   * an order and give enough notice to make every item in the given cart, selects the first
+   * one in the signed in customer's preferred time of day, then checks the cart against the
+   * production capacity of the selected slot's date:
+   * <select id="slot-select">
+   *   <option value="3" data-date="2021-06-12" data-start="10:00">
+   *     Sat, Jun 12, 10:00 - 12:00 (4 left)
+   *   </option>
+   *   ...
+   * </select>
+   * Displays an error message if there is an error loading the data.
+   * @param {Object} cart - The cart returned by the server
+   */
+  async function loadPickupSlots(cart) {
+    let products = [];
+    for (let i = 0; i < cart.items.length; i++) {
+      products.push(formatDashes(cart.items[i].product));
+    }
+    try {
+      let resp = await fetch(BASE_URL + "pickup-slots?products=" +
+                             encodeURIComponent(products.join(",")));
+      await checkStatus(resp);
+      let slots = await resp.json();
+      id("slot-select").innerHTML = "";
+      for (let i = 0; i < slots.length; i++) {
+        let option = gen("option");
+        option.value = slots[i].id;
+        option.dataset.date = slots[i].date;
+        option.dataset.start = slots[i].start;
+        option.dataset.label = formatSlot(slots[i]);
+        option.textContent = formatSlot(slots[i]) + " (" + slots[i].remaining + " left)";
+        id("slot-select").appendChild(option);
+      }
+      if (slots.length === 0) {
+        id("confirmation").textContent = "No pickup times are available right now. Please " +
+                                         "contact us to arrange a pickup.";
+      } else {
+        selectPreferredSlot();
+        await checkCapacity();
+      }
+    } catch (err) {
+      handlePostError(err);
+    }
+  }
+
+  /**
+   * Limits the quantity inputs of the cart items to how many of each product can still be
+   * made on the selected pickup date, and shows a message if the cart has more of a product
+   * than that.
+   * Displays an error message if there is an error loading the data.
+   */
+  async function checkCapacity() {
+    let option = id("slot-select").selectedOptions[0];
+    let inputs = qsa(".item-qty");
+    let totals = {};
+    for (let i = 0; i < inputs.length; i++) {
+      let product = inputs[i].dataset.product;
+      totals[product] = (totals[product] || 0) + parseInt(inputs[i].value);
+    }
+    id("confirmation").textContent = "";
+    try {
+      for (let product in totals) {
+        let resp = await fetch(BASE_URL + "products/" + formatDashes(product) + "?date=" +
+                               option.dataset.date);
+        await checkStatus(resp);
+        let remaining = (await resp.json()).remaining;
+        if (remaining !== null) {
+          limitQuantities(product, totals[product], remaining);
         }
       }
-      window.sessionStorage.setItem("cart", JSON.stringify(cart));
-      id("cart-count").textContent = parseInt(id("cart-count").textContent) -
-                                     this.parentNode.children[2].children.length;
-      id("total-price").textContent = (parseFloat(id("total-price").textContent) -
-                                       this.parentNode.children[0].textContent).toFixed(2);
-      this.parentNode.remove();
+    } catch (err) {
+      handlePostError(err);
     }
   }
 
   /**
-   * Clears the cart of all items, updating the count of items in the cart to 0 and the
-   * total price to 0.00.
-  */
-  function clearCart() {
-    id("cart").innerHTML = "";
-    id("total-price").textContent = "0.00";
-    id("cart-count").textContent = "0";
-    window.sessionStorage.setItem("cart", JSON.stringify([]));
+   * Limits the quantity inputs of the given product so that the cart's total quantity of it
+   * can't go over the given remaining capacity, and shows a message if it already does.
+   * @param {String} product - The product name
+   * @param {Number} total - The cart's total quantity of the product
+   * @param {Number} remaining - How many more of the product can be made that day
+   */
+  function limitQuantities(product, total, remaining) {
+    let inputs = qsa(".item-qty");
+    for (let i = 0; i < inputs.length; i++) {
+      if (inputs[i].dataset.product === product) {
+        let available = remaining - (total - parseInt(inputs[i].value));
+        inputs[i].max = Math.max(Math.min(inputs[i].dataset.max, available),
+                                 parseInt(inputs[i].value));
+      }
+    }
+    if (total > remaining) {
+      id("confirmation").textContent += "Only " + remaining + " more " + product +
+                                        " can be made for that day. ";
+    }
+  }
+
+  /**
+   * Returns a readable description of the given pickup slot.
+   * @param {Object} slot - The pickup slot. Ex:
+   * { id: 3, date: "2021-06-12", start: "10:00", end: "12:00", remaining: 4 }
+   * @returns {String} The description. Ex: "Sat, Jun 12, 10:00 - 12:00"
+   */
+  function formatSlot(slot) {
+    let date = new Date(slot.date + "T00:00:00");
+    let day = date.toLocaleDateString("en-US", {weekday: "short", month: "short",
+                                                day: "numeric"});
+    return day + ", " + slot.start + " - " + slot.end;
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and places an order for the
+   * items in the cart with the customer information from the checkout form.
+   * Reloads the now empty cart and displays the order confirmation number and a link to the
+   * order status page if successful, or an error message if there is an error submitting the
+   * order.
+   * @param {Object} evt - The event object
+   */
+  async function submitOrder(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("checkout-form"));
+    if (id("promo-form").dataset.code) {
+      params.append("code", id("promo-form").dataset.code);
+    }
+    let pickup = id("slot-select").selectedOptions[0].dataset.label;
+    try {
+      let resp = await fetch(BASE_URL + "orders", {method: "POST", body: params});
+      await checkStatus(resp);
+      let order = await resp.json();
+      delete id("promo-form").dataset.code;
+      id("promo-form").reset();
+      initializeCart();
+      id("checkout-form").reset();
+      prefillCheckout();
+      id("confirmation").textContent = "Thank you for your order! Your confirmation number " +
+                                       "is " + order.code + ". Total: " +
+                                       order.total_display + ". Pickup: " +
+                                       pickup + ". ";
+      let link = gen("a");
+      link.href = "order.html?code=" + encodeURIComponent(order.code) + "&email=" +
+                  encodeURIComponent(params.get("email"));
+      link.textContent = "Check your order status";
+      id("confirmation").appendChild(link);
+    } catch (err) {
+      handlePostError(err);
+    }
   }
 
   /**
@@ -139,6 +462,58 @@
     window.location.href = "products.html";
   }
 
+  /**
+   * Takes a title case name and converts it to a dash-separated directory name.
+   * Example: formatDashes("Mini Palmiers") returns "mini-palmiers".
+   * @param {String} name - name to format
+   * @returns {String} - dashed formatted name
+   */
+  function formatDashes(name) {
+    let words = name.split(" ");
+    let result = words[0].toLowerCase();
+    for (let i = 1; i < words.length; i++) {
+      let nextWord = words[i];
+      result += "-" + nextWord.toLowerCase();
+    }
+    return result;
+  }
+
+  /**
+   * This function is called when an error occurs in the fetch call chain for GET requests.
+   * Displays a user-friendly error message on the page.
+   */
+  function handleRequestError() {
+    id("results").textContent = "There was an error loading the data. Please try again later.";
+  }
+
+  /**
+   * This function is called when an error occurs in the fetch call chain for POST requests.
+   * Displays a user-friendly error message on the page.
+   * @param {Object} err - The error that occurred
+   */
+  function handlePostError(err) {
+    id("confirmation").textContent = err.message;
+  }
+
+  /**
+   * Checks the status of a fetch Response, returning the Response object back
+   * for further processing if successful, otherwise returns an Error that needs
+   * to be caught.
+   * @param {object} response - response with status to check for success/error.
+   * @returns {object} - The Response object if successful, otherwise an Error that
+   * needs to be caught.
+   */
+  async function checkStatus(response) {
+    if (!response.ok) { // Response.status >= 200 && response.status < 300
+      let msg = "The server encountered an error. Please try again later.";
+      if (response.status === 400) {
+        msg = await response.text();
+      }
+      throw Error(msg);
+    } // Else, we got a response back with a good status code (e.g. 200)
+    return response; // A Response object.
+  }
+
   /**
    * Returns the element that has the ID attribute with the specified value.
    * @param {string} idName - element ID
@@ -148,6 +523,15 @@
     return document.getElementById(idName);
   }
 
+  /**
+   * Returns the array of elements that match the given CSS selector.
+   * @param {string} selector - CSS query selector
+   * @returns {object[]} array of DOM objects matching the query.
+   */
+  function qsa(selector) {
+    return document.querySelectorAll(selector);
+  }
+
   /**
    * Returns a new element with the given tagname
    * @param {string} tagname - name of element to create and return
@@ -3,7 +3,8 @@
  * Date: 6/9/21
  *
  * Dynamically loads data about FAQs from an API to display on the
- * FAQ section of the Petite Treats website.
+ * FAQ section of the Petite Treats website, grouped by category. The user can
+ * filter the questions and expand or collapse the answers.
  */
 (function() {
   "use strict";
@@ -16,14 +17,21 @@
   function init() {
     initializeFAQ();
     id("cart-btn").addEventListener("click", goToCart);
+    id("faq-search").addEventListener("input", filterFAQ);
+    id("expand-btn").addEventListener("click", () => toggleAll(true));
+    id("collapse-btn").addEventListener("click", () => toggleAll(false));
   }
 
   /**
-   * Fills the FAQ section of the page with item cards for FAQ
-   * using data from an API:
+   * Fills the FAQ section of the page with a section for each category, holding item cards
+   * for the FAQ in that category, using data from an API:
    * <section id="faq">
-   *  <article>...</article>
-   *  <article>...</article>
+   *  <section class="faq-category">
+   *    <h2>Pickup</h2>
+   *    <article>...</article>
+   *    <article>...</article>
+   *  </section>
+   *  ...
    * </section>
    * Displays an error message if there is an error loading
    * the data.
@@ -35,9 +43,13 @@
       checkStatus(resp);
       let faq = await resp.json();
       id("results").textContent = "";
+      let category = null;
       for (let i = 0; i < faq.length; i++) {
-        let card = createCard(faq[i]);
-        id("faq").appendChild(card);
+        if (!category || category.dataset.name !== faq[i].category) {
+          category = createCategory(faq[i].category);
+          id("faq").appendChild(category);
+        }
+        category.appendChild(createCard(faq[i]));
       }
     }
     catch {
@@ -46,28 +58,92 @@
   }
 
   /**
-   * Returns an article with the question and answer.
+   * Returns a section with a heading for the given FAQ category.
+   * @param {String} name - The category name
+   * @return {DOMobject} - DOM object for the category:
+   * <section class="faq-category" data-name="Pickup">
+   *   <h2>Pickup</h2>
+   * </section>
+   */
+  function createCategory(name) {
+    let section = gen("section");
+    section.classList.add("faq-category");
+    section.dataset.name = name;
+    let heading = gen("h2");
+    heading.textContent = name;
+    section.appendChild(heading);
+    return section;
+  }
+
+  /**
+   * Returns an article with the question and an answer that can be expanded or collapsed
+   * by clicking the question.
    * @param {object} faq - A JSON object containing information
    * about a single FAQ.
    * { question : "Who are you?",
-   *   answer : "You, but better."}
+   *   answer : "You, but better.",
+   *   category : "Ordering"}
    * @return {DOMobject} - DOM object for the FAQ card:
-   * <article>
-   *   <h2>Q: Who are you?</h2>
-   *   <p>A: You, but better.</p>
+   * <article class="faq-card">
+   *   <details>
+   *     <summary>Q: Who are you?</summary>
+   *     <p>A: You, but better.</p>
+   *   </details>
    * </article>
    */
   function createCard(faq) {
     let article = gen("article");
     article.classList.add("faq-card");
-    let heading = gen("h2");
-    heading.textContent = "Q: " + faq.question;
+    let details = gen("details");
+    let question = gen("summary");
+    question.textContent = "Q: " + faq.question;
     let answer = gen("p");
     answer.textContent = "A: " + faq.answer;
-    article.appendChild(heading);
-    article.appendChild(answer);
+    details.appendChild(question);
+    details.appendChild(answer);
+    article.appendChild(details);
     return article;
   }
+
+  /**
+   * Hides the FAQ cards whose question and answer do not contain the text in the search
+   * box, and hides the categories left with no cards. Ignores casing.
+   */
+  function filterFAQ() {
+    let search = id("faq-search").value.trim().toLowerCase();
+    let categories = qsa(".faq-category");
+    let found = 0;
+    for (let i = 0; i < categories.length; i++) {
+      let cards = categories[i].querySelectorAll(".faq-card");
+      let shown = 0;
+      for (let j = 0; j < cards.length; j++) {
+        let matches = cards[j].textContent.toLowerCase().includes(search);
+        cards[j].classList.toggle("hidden", !matches);
+        if (matches) {
+          shown++;
+        }
+      }
+      categories[i].classList.toggle("hidden", shown === 0);
+      found += shown;
+    }
+    if (found === 0) {
+      id("results").textContent = "No questions found matching '" + id("faq-search").value +
+                                  "'.";
+    } else {
+      id("results").textContent = "";
+    }
+  }
+
+  /**
+   * Expands or collapses the answers of every FAQ card.
+   * @param {Boolean} open - True to expand the answers, false to collapse them
+   */
+  function toggleAll(open) {
+    let answers = qsa(".faq-card details");
+    for (let i = 0; i < answers.length; i++) {
+      answers[i].open = open;
+    }
+  }
   /**
    * Redirects page to cart.html.
    */
@@ -106,6 +182,15 @@
   function id(idName) {
     return document.getElementById(idName);
   }
+  /**
+   * Returns the array of elements that match the given CSS selector.
+   * @param {string} selector - CSS query selector
+   * @returns {object[]} array of DOM objects matching the query.
+   */
+  function qsa(selector) {
+    return document.querySelectorAll(selector);
+  }
+
   /**
    * Returns a new element with the given tagname
    * @param {string} tagname - name of element to create and return
@@ -0,0 +1,192 @@
+/**
+ * @author: Madeline Shao
+ * Date: 6/9/21
+ *
+ * Implements functionality for the favorites page of the Petite Treats website.
+ * Loads the products the user saved with their flavor and box decoration from the server,
+ * and lets the user remove them or add them all to the cart at once.
+ */
+(function() {
+  "use strict";
+
+  const BASE_URL = "/";
+
+  /**
+   * Sets up the favorites and initial document event handlers.
+   */
+  function init() {
+    loadFavorites();
+    id("cart-btn").addEventListener("click", goToCart);
+    id("product-btn").addEventListener("click", goToProducts);
+    id("add-all-btn").addEventListener("click", addAllToCart);
+  }
+
+  /**
+   * Fills the favorites list with the user's favorites stored on the server.
+   * Displays an error message if there is an error loading the data.
+   */
+  async function loadFavorites() {
+    id("results").textContent = "Response Loading...";
+    try {
+      let resp = await fetch(BASE_URL + "favorites");
+      await checkStatus(resp);
+      let favorites = await resp.json();
+      id("results").textContent = "";
+      showFavorites(favorites);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Replaces the favorites shown on the page with the given favorites.
+   * @param {Object} favorites - The favorites returned by the server. Ex:
+   * [{ id: 3, product: "Macarons (6 Pcs)", flavor: "Rose", box: "Flower",
+   *    image: "imgs/macarons.jpg", price_display: "$11.75", available: true }]
+   */
+  function showFavorites(favorites) {
+    id("favorites").innerHTML = "";
+    for (let i = 0; i < favorites.length; i++) {
+      id("favorites").appendChild(createFavorite(favorites[i]));
+    }
+    id("add-all-btn").disabled = favorites.length === 0;
+    if (favorites.length === 0) {
+      id("results").textContent = "You have no favorites yet. Add some from the Products page!";
+    }
+  }
+
+  /**
+   * Returns a list item showing the given favorite, with a button to remove it:
+   * <li>Macarons (6 Pcs) - <span>$11.75</span><button class="remove-btn">X</button>
+   *   <ul>
+   *     <li>Flavor: Rose
+   *         Box Decoration: Flower</li>
+   *     <li class="unavailable">Not available right now</li>
+   *   </ul>
+   * </li>
+   * The last line is only shown if the favorite can't be ordered right now.
+   * @param {Object} favorite - The favorite, as described in showFavorites
+   * @returns {DOMObject} The list item
+   */
+  function createFavorite(favorite) {
+    let item = gen("li");
+    item.textContent = `${favorite.product} - `;
+    let price = gen("span");
+    price.textContent = favorite.price_display;
+    item.appendChild(price);
+    let removeBtn = gen("button");
+    removeBtn.classList.add("remove-btn");
+    removeBtn.textContent = "X";
+    removeBtn.addEventListener("click", () => removeFavorite(favorite.id));
+    item.appendChild(removeBtn);
+    let details = gen("ul");
+    let customs = gen("li");
+    customs.textContent = `Flavor: ${favorite.flavor}\nBox Decoration: ${favorite.box}`;
+    details.appendChild(customs);
+    if (!favorite.available) {
+      let unavailable = gen("li");
+      unavailable.classList.add("unavailable");
+      unavailable.textContent = "Not available right now";
+      details.appendChild(unavailable);
+    }
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * Removes the given favorite, then shows the updated favorites.
+   * Displays an error message if there is an error removing it.
+   * @param {Number} favoriteId - The id of the favorite
+   */
+  async function removeFavorite(favoriteId) {
+    try {
+      let resp = await fetch(BASE_URL + "favorites/" + favoriteId, {method: "DELETE"});
+      await checkStatus(resp);
+      let favorites = await resp.json();
+      id("results").textContent = "";
+      showFavorites(favorites);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Adds every favorite to the cart, then goes to the cart page. If some favorites can't be
+   * ordered right now, shows which ones instead, with a link to the cart.
+   * Displays an error message if there is an error adding them.
+   */
+  async function addAllToCart() {
+    try {
+      let resp = await fetch(BASE_URL + "favorites/cart", {method: "POST"});
+      await checkStatus(resp);
+      let cart = await resp.json();
+      if (cart.skipped.length === 0) {
+        goToCart();
+      } else {
+        let lines = cart.skipped.map(line => `${line.product} (${line.flavor}, ` +
+                                             `${line.box} box)`);
+        id("results").textContent = "Some favorites couldn't be added to your cart: " +
+                                    lines.join(", ") + ". ";
+        let link = gen("a");
+        link.href = "cart.html";
+        link.textContent = "Go to cart";
+        id("results").appendChild(link);
+      }
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Redirects page to cart.html.
+   */
+  function goToCart() {
+    window.location.href = "cart.html";
+  }
+
+  /**
+   * Redirects page to products.html.
+   */
+  function goToProducts() {
+    window.location.href = "products.html";
+  }
+
+  /**
+   * Checks the status of a fetch Response, returning the Response object back
+   * for further processing if successful, otherwise returns an Error that needs
+   * to be caught.
+   * @param {object} response - response with status to check for success/error.
+   * @returns {object} - The Response object if successful, otherwise an Error that
+   * needs to be caught.
+   */
+  async function checkStatus(response) {
+    if (!response.ok) { // Response.status >= 200 && response.status < 300
+      let msg = "The server encountered an error. Please try again later.";
+      if (response.status >= 400 && response.status < 500) {
+        msg = await response.text();
+      }
+      throw Error(msg);
+    } // Else, we got a response back with a good status code (e.g. 200)
+    return response; // A Response object.
+  }
+
+  /**
+   * Returns the element that has the ID attribute with the specified value.
+   * @param {string} idName - element ID
+   * @return {object} DO object associated with id
+   */
+  function id(idName) {
+    return document.getElementById(idName);
+  }
+
+  /**
+   * Returns a new element with the given tagname
+   * @param {string} tagname - name of element to create and return
+   * @returns {object} new DOM element with the given tagname
+   */
+  function gen(tagname) {
+    return document.createElement(tagname);
+  }
+
+  init();
+})();
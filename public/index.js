@@ -4,7 +4,7 @@
  *
  * Dynamically loads data about featured products from an API to display on the
  * Featured section of the Petite Treats website. Allows user to submit a "Contact us"
- * form to the server.
+ * form to the server, filled in with the saved details of a signed in customer.
  */
 (function() {
   "use strict";
@@ -16,6 +16,7 @@
    */
   function init() {
     initializeFeatured();
+    prefillContactForm();
     id("contact-form").addEventListener("submit", submitForm);
     id("cart-btn").addEventListener("click", goToCart);
   }
@@ -33,15 +34,11 @@
   async function initializeFeatured() {
     id("results").textContent = "Response Loading...";
     try {
-      let featured = await fetch(BASE_URL + "featured");
+      let featured = await fetch(BASE_URL + "featured?format=json");
       await checkStatus(featured);
-      let featuredText = await featured.text();
-      featuredText = featuredText.trim().split("\n");
-      for (let i = 0; i < featuredText.length; i++) {
-        let product = await fetch(BASE_URL + "products/" + formatDashes(featuredText[i]));
-        await checkStatus(product);
-        let productJson = await product.json();
-        let card = createCard(productJson);
+      let featuredJson = await featured.json();
+      for (let i = 0; i < featuredJson.length; i++) {
+        let card = createCard(featuredJson[i]);
         id("featured").appendChild(card);
       }
       id("results").textContent = "";
@@ -52,16 +49,20 @@
   }
 
   /**
-   * Returns an article with information about a product.
+   * Returns an article with information about a product, and its promotional blurb if it
+   * has one.
    * @param {object} product - A JSON object containing information
    * about a product:
    * { name : "Cheesecake",
-   *   price: 7,
+   *   price_cents: 700,
+   *   price_display: "$7.00",
    *   description: "A delicious cheesecake.",
-   *   image : "imgs/cheesecake.jpg"}
+   *   image : "imgs/cheesecake.jpg",
+   *   blurb : "Now in chocolate!"}
    * @return {DOMobject} - DOM object for the item card:
    * <article>
    *   <h2>Cheesecake</h2>
+   *   <p class="blurb">Now in chocolate!</p>
    *   <p>$7.00</p>
    *   <img src="imgs/cheesecake.jpg" alt="Cheesecake" />
    *   <p>A delicious cheesecake.</p>
@@ -72,19 +73,41 @@
     let heading = gen("h2");
     heading.textContent = product.name;
     let price = gen("p");
-    price.textContent = "$" + product.price.toFixed(2);
+    price.textContent = product.price_display;
     let img = gen("img");
     img.src = product.image;
     img.alt = product.name;
     let description = gen("p");
     description.textContent = product.description;
     article.appendChild(heading);
+    if (product.blurb) {
+      let blurb = gen("p");
+      blurb.classList.add("blurb");
+      blurb.textContent = product.blurb;
+      article.appendChild(blurb);
+    }
     article.appendChild(price);
     article.appendChild(img);
     article.appendChild(description);
     return article;
   }
 
+  /**
+   * Fills the name and email of the "Contact us" form with the saved details of the signed
+   * in customer, if any.
+   */
+  async function prefillContactForm() {
+    try {
+      let resp = await fetch(BASE_URL + "account");
+      await checkStatus(resp);
+      let customer = await resp.json();
+      id("name-input").value = customer.name;
+      id("email-input").value = customer.email;
+    } catch {
+      // Not signed in, so there is nothing to fill in
+    }
+  }
+
   /**
    * Prevents default submission behavior for the submit event and makes request to submit
    * contact form data to the server.
@@ -101,6 +124,7 @@
       let text = await resp.text();
       id("confirmation").textContent = text;
       id("contact-form").reset();
+      prefillContactForm();
     } catch (err) {
       handlePostError(err);
     }
@@ -113,22 +137,6 @@
     window.location.href = "cart.html";
   }
 
-  /**
- * Takes a title case name and converts it to a dash-separated directory name.
- * Example: formatDashes("Mini Palmiers") returns "mini-palmiers".
- * @param {String} name - name to format
- * @returns {String} - dashed formatted name
- */
-function formatDashes(name) {
-  let words = name.split(" ");
-  let result = words[0].toLowerCase();
-  for (let i = 1; i < words.length; i++) {
-    let nextWord = words[i];
-    result += "-" + nextWord.toLowerCase();
-  }
-  return result;
-}
-
   /**
    * This function is called when an error occurs in the fetch call chain for GET requests.
    * Displays a user-friendly error message on the page.
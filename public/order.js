@@ -0,0 +1,185 @@
+/**
+ * @author: Madeline Shao
+ * Date: 6/9/21
+ *
+ * Implements functionality for the order status page of the Petite Treats website.
+ * Lets customers look up an order with its confirmation number and email, and shows the
+ * order's status, pickup time, items, status history, and links to its printable receipt.
+ * The confirmation number and email can also be given in the URL, as in
+ * order.html?code=PT-3F9A1C0B&email=tony@stark.com
+ */
+(function() {
+  "use strict";
+
+  const BASE_URL = "/";
+  const STATUS_NAMES = {
+    "received": "Received",
+    "baking": "Baking",
+    "ready": "Ready for pickup",
+    "picked_up": "Picked up",
+    "cancelled": "Cancelled"
+  };
+
+  /**
+   * Sets up the lookup form and initial document event handlers, and looks up the order
+   * given in the URL, if any.
+   */
+  function init() {
+    id("cart-btn").addEventListener("click", goToCart);
+    id("lookup-form").addEventListener("submit", lookUpOrder);
+    let params = new URLSearchParams(window.location.search);
+    id("code-input").value = params.get("code") || "";
+    id("email-input").value = params.get("email") || "";
+    if (params.get("code") && params.get("email")) {
+      loadOrder(params.get("code"), params.get("email"));
+    }
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and looks up the order with
+   * the confirmation number and email from the lookup form.
+   * @param {Object} evt - The event object
+   */
+  async function lookUpOrder(evt) {
+    evt.preventDefault();
+    await loadOrder(id("code-input").value.trim(), id("email-input").value.trim());
+  }
+
+  /**
+   * Shows the order with the given confirmation number and email.
+   * Displays an error message if no order is found or there is an error loading the data.
+   * @param {String} code - The order confirmation number
+   * @param {String} email - The email the order was placed with
+   */
+  async function loadOrder(code, email) {
+    id("results").textContent = "Response Loading...";
+    id("order-view").classList.add("hidden");
+    try {
+      let resp = await fetch(BASE_URL + "orders/" + encodeURIComponent(code) + "?email=" +
+                             encodeURIComponent(email));
+      await checkStatus(resp);
+      let order = await resp.json();
+      id("results").textContent = "";
+      showOrder(order);
+      showReceiptLinks(code, email);
+    } catch (err) {
+      id("results").textContent = err.message;
+    }
+  }
+
+  /**
+   * Fills the order view with the given order:
+   * <ul id="order-items">
+   *   <li>2 x Cake (Chocolate, Plain box) - $10.00 each</li>
+   * </ul>
+   * <ol id="order-history">
+   *   <li>Received - 6/10/2021, 10:04:12 AM</li>
+   *   <li class="current">Baking - 6/12/2021, 7:30:00 AM</li>
+   * </ol>
+   * @param {Object} order - The order returned by the server. Ex:
+   * { code: "PT-3F9A1C0B", name: "Tony Stark", status: "baking",
+   *   pickup: { date: "2021-06-12", start: "10:00", end: "12:00" },
+   *   items: [{ product: "Cake", flavor: "Chocolate", box: "Plain", quantity: 2,
+   *             price_display: "$10.00" }],
+   *   total_display: "$21.88",
+   *   history: [{ status: "received", changed: "2021-06-10T17:04:12.000Z" }, ...] }
+   */
+  function showOrder(order) {
+    id("order-code").textContent = order.code;
+    id("order-status").textContent = STATUS_NAMES[order.status];
+    id("order-pickup").textContent = formatPickup(order.pickup);
+    id("order-total").textContent = order.total_display;
+    id("order-items").innerHTML = "";
+    for (let i = 0; i < order.items.length; i++) {
+      let item = order.items[i];
+      let line = gen("li");
+      line.textContent = `${item.quantity} x ${item.product} (${item.flavor}, ${item.box} box)` +
+                         ` - ${item.price_display} each`;
+      id("order-items").appendChild(line);
+    }
+    id("order-history").innerHTML = "";
+    for (let i = 0; i < order.history.length; i++) {
+      let change = order.history[i];
+      let step = gen("li");
+      step.textContent = STATUS_NAMES[change.status] + " - " +
+                         new Date(change.changed).toLocaleString();
+      if (i === order.history.length - 1) {
+        step.classList.add("current");
+      }
+      id("order-history").appendChild(step);
+    }
+    id("order-view").classList.remove("hidden");
+  }
+
+  /**
+   * Points the receipt links to the printable receipt of the given order, as an HTML page
+   * and as a PDF.
+   * @param {String} code - The order confirmation number
+   * @param {String} email - The email the order was placed with
+   */
+  function showReceiptLinks(code, email) {
+    let url = BASE_URL + "orders/" + encodeURIComponent(code) + "/receipt?email=" +
+              encodeURIComponent(email);
+    id("receipt-link").href = url;
+    id("receipt-pdf-link").href = url + "&format=pdf";
+  }
+
+  /**
+   * Returns a readable description of the given pickup time.
+   * @param {Object} pickup - The pickup time. Ex:
+   * { date: "2021-06-12", start: "10:00", end: "12:00" }
+   * @returns {String} The description. Ex: "Sat, Jun 12, 10:00 - 12:00"
+   */
+  function formatPickup(pickup) {
+    let date = new Date(pickup.date + "T00:00:00");
+    let day = date.toLocaleDateString("en-US", {weekday: "short", month: "short",
+                                                day: "numeric"});
+    return day + ", " + pickup.start + " - " + pickup.end;
+  }
+
+  /**
+   * Redirects page to cart.html.
+   */
+  function goToCart() {
+    window.location.href = "cart.html";
+  }
+
+  /**
+   * Checks the status of a fetch Response, returning the Response object back
+   * for further processing if successful, otherwise returns an Error that needs
+   * to be caught.
+   * @param {object} response - response with status to check for success/error.
+   * @returns {object} - The Response object if successful, otherwise an Error that
+   * needs to be caught.
+   */
+  async function checkStatus(response) {
+    if (!response.ok) { // Response.status >= 200 && response.status < 300
+      let msg = "The server encountered an error. Please try again later.";
+      if (response.status >= 400 && response.status < 500) {
+        msg = await response.text();
+      }
+      throw Error(msg);
+    } // Else, we got a response back with a good status code (e.g. 200)
+    return response; // A Response object.
+  }
+
+  /**
+   * Returns the element that has the ID attribute with the specified value.
+   * @param {string} idName - element ID
+   * @return {object} DO object associated with id
+   */
+  function id(idName) {
+    return document.getElementById(idName);
+  }
+
+  /**
+   * Returns a new element with the given tagname
+   * @param {string} tagname - name of element to create and return
+   * @returns {object} new DOM element with the given tagname
+   */
+  function gen(tagname) {
+    return document.createElement(tagname);
+  }
+
+  init();
+})();
@@ -4,74 +4,138 @@
  *
  * Implements functionality for the products page of the Petite Treats website.
  * Dynamically loads data about the products from an API to display on the
- * products section. The user search and sort the products, view more information about a
- * single item and add items to their cart.
+ * products section. The user search and sort the products (with suggestions as they type),
+ * filter them by flavor, dietary tags, and price (with the filters kept in the URL), page
+ * through them, view more information and reviews of a single item, review items they
+ * picked up, and add items to their cart, which is stored on the server, or to their
+ * favorites.
  */
 (function() {
   "use strict";
 
   const BASE_URL = "/";
+  const SUGGESTION_DELAY = 200; // milliseconds to wait after typing before suggesting
+  const PAGE_SIZE = 12; // products per page
+  const NUTRITION_LABELS = {
+    "serving_size": "Serving size",
+    "calories": "Calories",
+    "fat_grams": "Fat",
+    "carbs_grams": "Carbohydrates",
+    "sugar_grams": "Sugar",
+    "protein_grams": "Protein"
+  };
+  let suggestionTimer = null;
+  let selectedFilters = {"flavors": [], "tags": []};
+  let menuOffset = 0;
 
   /**
-   * Sets up the products section and initial document event handlers.
+   * Sets up the products section and initial document event handlers. Restores the search,
+   * sort, filters, and page from the URL, as in
+   * products.html?contains=chocolate&flavor=Chocolate,Rose&tags=nut-free&max_price=10
    */
   function init() {
-    initializeMenu();
+    restoreFilters();
+    loadMenu();
     id("cart-btn").addEventListener("click", goToCart);
     id("go-btn").addEventListener("click", updateMenu);
+    id("search").addEventListener("input", () => {
+      clearTimeout(suggestionTimer);
+      suggestionTimer = setTimeout(loadSuggestions, SUGGESTION_DELAY);
+    });
+    id("search").addEventListener("keydown", evt => {
+      if (evt.key === "Enter") {
+        updateMenu();
+      }
+    });
+    id("min-price").addEventListener("change", updateMenu);
+    id("max-price").addEventListener("change", updateMenu);
+    id("clear-filters-btn").addEventListener("click", clearFilters);
+    id("prev-page-btn").addEventListener("click", () => goToPage(id("prev-page-btn")));
+    id("next-page-btn").addEventListener("click", () => goToPage(id("next-page-btn")));
+    id("review-form").addEventListener("submit", submitReview);
   }
 
   /**
-   * Fills the Products section of the page with item cards for each products
-   * using data from an API:
-   * <section id="product-list-view">
-   *  <article>...</article>
-   *  <article>...</article>
-   * </section>
-   * Displays an error message if there is an error loading
-   * the data.
+   * Fills the search suggestions with product and flavor names that complete what the user
+   * has typed into the search box:
+   * <datalist id="search-suggestions">
+   *   <option value="Chocolate">Flavor</option>
+   *   <option value="Cheesecake">Product</option>
+   * </datalist>
+   * Suggestions are left as they are if there is an error loading them.
    */
-  async function initializeMenu() {
-    id("results").textContent = "Response Loading...";
+  async function loadSuggestions() {
     try {
-      let menu = await fetch(BASE_URL + "products");
-      checkStatus(menu);
-      let menuJson = await menu.json();
-      id("results").textContent = "";
-      for (let i = 0; i < menuJson.length; i++) {
-        let card = createCard(menuJson[i]);
-        id("product-list-view").appendChild(card);
+      let resp = await fetch(BASE_URL + "suggestions?q=" +
+                             encodeURIComponent(id("search").value));
+      checkStatus(resp);
+      let suggestions = await resp.json();
+      id("search-suggestions").innerHTML = "";
+      for (let i = 0; i < suggestions.length; i++) {
+        let option = gen("option");
+        option.value = suggestions[i].text;
+        option.textContent = formatTitleCase(suggestions[i].type);
+        id("search-suggestions").appendChild(option);
       }
+    } catch {
+      // Suggestions are optional, so the search box keeps working without them.
     }
-    catch {
-      handleRequestError();
-    }
   }
 
   /**
-   * Fills the Products section with item cards according to the search and sort parameters
-   * using data from an API.
+   * Goes back to the first page of products and reloads them, for when the search, sort, or
+   * filters change.
+   */
+  async function updateMenu() {
+    menuOffset = 0;
+    await loadMenu();
+  }
+
+  /**
+   * Shows the page of products the given page button links to.
+   * @param {DOMObject} button - The previous or next page button
+   */
+  async function goToPage(button) {
+    menuOffset = parseInt(button.dataset.offset);
+    await loadMenu();
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Fills the Products section with item cards for the current page of products according
+   * to the search, sort, and filters, fills the filter sidebar with the options and how many
+   * products each would show, and updates the page controls, using data from an API.
+   * Sorting by best match lists the closest search results first.
+   * Saves the search, sort, filters, and page in the URL so the view can be bookmarked and
+   * shared.
    * <section id="product-list-view">
    *  <article>...</article>
    *  <article>...</article>
    * </section>
    * Displays an error message if there is an error loading the data.
    */
-  async function updateMenu() {
+  async function loadMenu() {
     id("results").textContent = "Response Loading...";
-    let query = formatDashes(id("search").value);
+    let params = getMenuParams();
+    let url = window.location.pathname + (params.toString() ? "?" + params : "");
+    window.history.replaceState(null, "", url);
+    params.set("facets", "true");
+    params.set("limit", PAGE_SIZE);
     try {
-      let menu = await fetch(BASE_URL + "products?contains=" + query + "&sort=" +
-                             id("sort-by").value + "&direction=" + qs("input:checked").value);
+      let menu = await fetch(BASE_URL + "products?" + params);
       checkStatus(menu);
       let menuJson = await menu.json();
+      showFacets(menuJson.facets);
+      showPageControls(menuJson);
       id("product-list-view").innerHTML = "";
-      if (menuJson.length === 0) {
+      if (menuJson.products.length === 0 && id("search").value) {
         id("results").textContent = "No products found matching '" + id("search").value + "'.";
+      } else if (menuJson.products.length === 0) {
+        id("results").textContent = "No products match the selected filters.";
       } else {
         id("results").textContent = "";
-        for (let i = 0; i < menuJson.length; i++) {
-          let card = createCard(menuJson[i]);
+        for (let i = 0; i < menuJson.products.length; i++) {
+          let card = createCard(menuJson.products[i]);
           id("product-list-view").appendChild(card);
         }
       }
@@ -81,6 +145,163 @@
     }
   }
 
+  /**
+   * Shows which products of the search results are on the current page, and points the
+   * previous and next page buttons to the pages before and after it, disabling them if
+   * there are none:
+   * <div id="page-controls">
+   *   <button id="prev-page-btn" data-offset="0">Previous</button>
+   *   <span id="page-info">Showing 13-20 of 20 products</span>
+   *   <button id="next-page-btn" disabled>Next</button>
+   * </div>
+   * @param {Object} page - The page returned by the server. Ex:
+   * { products: [...], total: 20, limit: 12, offset: 12, next: null,
+   *   previous: "/products?limit=12&offset=0" }
+   */
+  function showPageControls(page) {
+    id("page-info").textContent = page.total === 0 ? "" : "Showing " + (page.offset + 1) +
+      "-" + (page.offset + page.products.length) + " of " + page.total + " products";
+    let links = {"prev-page-btn": page.previous, "next-page-btn": page.next};
+    for (let button in links) {
+      id(button).disabled = !links[button];
+      if (links[button]) {
+        let query = links[button].slice(links[button].indexOf("?"));
+        id(button).dataset.offset = new URLSearchParams(query).get("offset");
+      }
+    }
+  }
+
+  /**
+   * Returns the query parameters for the current search, sort, filters, and page, leaving
+   * out the ones that are not set.
+   * @returns {URLSearchParams} The parameters. Ex: "contains=rose&sort=relevance&
+   * direction=asc&flavor=Rose,Vanilla&tags=gluten-free&min_price=5&offset=12"
+   */
+  function getMenuParams() {
+    let params = new URLSearchParams();
+    let values = {
+      "contains": formatDashes(id("search").value.trim()),
+      "sort": id("sort-by").value,
+      "direction": qs("input[name='sort-direction']:checked").value,
+      "flavor": selectedFilters.flavors.join(","),
+      "tags": selectedFilters.tags.join(","),
+      "min_price": id("min-price").value,
+      "max_price": id("max-price").value,
+      "offset": menuOffset
+    };
+    for (let name in values) {
+      if (values[name]) {
+        params.set(name, values[name]);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Sets the search, sort, filters, and page to the ones given in the URL, if any.
+   */
+  function restoreFilters() {
+    let params = new URLSearchParams(window.location.search);
+    id("search").value = formatTitleCase(params.get("contains") || "").trim();
+    if (params.get("sort")) {
+      id("sort-by").value = params.get("sort");
+    }
+    if (params.get("direction") === "desc") {
+      qs("input[name='sort-direction'][value='desc']").checked = true;
+    }
+    selectedFilters.flavors = splitList(params.get("flavor"));
+    selectedFilters.tags = splitList(params.get("tags"));
+    id("min-price").value = params.get("min_price") || "";
+    id("max-price").value = params.get("max_price") || "";
+    menuOffset = Math.max(parseInt(params.get("offset")) || 0, 0);
+  }
+
+  /**
+   * Clears every filter, keeping the search and sort, and reloads the products.
+   */
+  function clearFilters() {
+    selectedFilters.flavors = [];
+    selectedFilters.tags = [];
+    id("min-price").value = "";
+    id("max-price").value = "";
+    updateMenu();
+  }
+
+  /**
+   * Fills the filter sidebar with the given facets. Flavors and dietary tags are checkboxes,
+   * and price ranges are buttons that fill in the minimum and maximum price:
+   * <ul id="flavor-facet">
+   *   <li><label><input type="checkbox" value="Chocolate" checked> Chocolate (9)</label></li>
+   * </ul>
+   * <ul id="price-facet">
+   *   <li><button type="button">Under $5.00 (6)</button></li>
+   * </ul>
+   * Selected options are always shown, even if no products have them.
+   * @param {Object} facets - The facets returned by the server. Ex:
+   * { flavors: [{ name: "Chocolate", count: 9 }, ...],
+   *   tags: [{ name: "gluten-free", count: 5 }, ...],
+   *   price: { ranges: [{ min_cents: 0, max_cents: 499, label: "Under $5.00", count: 6 },
+   *                     ...], ... } }
+   */
+  function showFacets(facets) {
+    fillCheckboxFacet(id("flavor-facet"), facets.flavors, selectedFilters.flavors);
+    fillCheckboxFacet(id("tag-facet"), facets.tags, selectedFilters.tags);
+    id("price-facet").innerHTML = "";
+    for (let i = 0; i < facets.price.ranges.length; i++) {
+      let range = facets.price.ranges[i];
+      let item = gen("li");
+      let button = gen("button");
+      button.type = "button";
+      button.textContent = `${range.label} (${range.count})`;
+      button.disabled = range.count === 0;
+      button.addEventListener("click", () => {
+        id("min-price").value = range.min_cents > 0 ? (range.min_cents / 100).toFixed(2) : "";
+        id("max-price").value = range.max_cents === null ? "" :
+          (range.max_cents / 100).toFixed(2);
+        updateMenu();
+      });
+      item.appendChild(button);
+      id("price-facet").appendChild(item);
+    }
+  }
+
+  /**
+   * Fills the given list with a checkbox for each of the given options, checking the
+   * selected ones. Checking or unchecking an option updates the selected list and reloads
+   * the products.
+   * @param {DOMObject} list - The list to fill
+   * @param {Object} options - The options and their counts. Ex: [{ name: "vegan", count: 1 }]
+   * @param {Object} selected - The names of the selected options, changed in place
+   */
+  function fillCheckboxFacet(list, options, selected) {
+    let names = options.map(option => option.name.toLowerCase());
+    options = options.concat(selected.filter(name => !names.includes(name.toLowerCase()))
+      .map(name => ({"name": name, "count": 0})));
+    list.innerHTML = "";
+    for (let i = 0; i < options.length; i++) {
+      let name = options[i].name;
+      let checkbox = gen("input");
+      checkbox.type = "checkbox";
+      checkbox.value = name;
+      checkbox.checked = selected.some(choice => choice.toLowerCase() === name.toLowerCase());
+      checkbox.addEventListener("change", () => {
+        let index = selected.findIndex(choice => choice.toLowerCase() === name.toLowerCase());
+        if (checkbox.checked && index === -1) {
+          selected.push(name);
+        } else if (!checkbox.checked && index !== -1) {
+          selected.splice(index, 1);
+        }
+        updateMenu();
+      });
+      let label = gen("label");
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name} (${options[i].count})`));
+      let item = gen("li");
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+  }
+
   /**
    * Switches to single item view where the item is displayed on its own in greater detail.
    * The user can customize the item and add the item to their cart.
@@ -97,8 +318,11 @@
       let product = await resp.json();
       let card = await createSingleViewCard(product);
       id("single-item-view").appendChild(card);
+      updatePrice();
+      updateDietaryInfo();
       id("results").textContent = "";
       toggleView();
+      loadReviews(product.name);
     } catch {
       handleRequestError();
     }
@@ -124,35 +348,210 @@
   }
 
   /**
-   * Checks if the input quantity value is valid. If so, prevents default behavior and
-   * adds selected item, its customizations, and its price to the cart in the browser session
-   * storage and switches to cart view.
-   * Example value of session storage key "cart" :
-   *  [{ name : "Cake",
-   *     price: 10,
-   *     customizations: [{flavor: "Chocolate", box : "Plain"},
-   *                      {flavor: "Vanilla", box : "Flower"}]
-   *   },
-   *   { name : "Brownies",
-   *     price: 2,
-   *     customizations: [{flavor: "Chocolate", box : "Bow"}]
-   *   }
-   *  ]
+   * Updates the price shown on the single view item card to the product's base price plus
+   * the surcharges of the selected customizations.
+   */
+  function updatePrice() {
+    let cents = parseInt(id("single-view-card").dataset.price);
+    let selects = qsa("#customizations select");
+    for (let i = 0; i < selects.length; i++) {
+      if (selects[i].selectedOptions.length > 0) {
+        cents += parseInt(selects[i].selectedOptions[0].dataset.price);
+      }
+    }
+    id("single-view-price").textContent = formatCents(cents);
+  }
+
+  /**
+   * Shows the allergens and nutrition facts of the product on the single view item card in
+   * the selected flavor, or of the product itself if no flavor is selected:
+   * <p id="allergens">Contains: dairy, egg, tree nuts</p>
+   * <dl id="nutrition">
+   *   <dt>Serving size</dt><dd>1 macaron</dd>
+   *   <dt>Calories</dt><dd>90</dd>
+   *   <dt>Fat</dt><dd>4.5 g</dd>
+   * </dl>
+   * The nutrition facts are hidden if they are unknown.
+   */
+  function updateDietaryInfo() {
+    let source = id("single-view-card").dataset;
+    if (id("flavor-select").selectedOptions.length > 0) {
+      source = id("flavor-select").selectedOptions[0].dataset;
+    }
+    let allergens = source.allergens ? source.allergens.split(",") : [];
+    id("allergens").textContent = allergens.length > 0 ?
+      "Contains: " + allergens.join(", ") : "No allergens declared";
+    let nutrition = JSON.parse(source.nutrition);
+    id("nutrition").innerHTML = "";
+    id("nutrition").classList.toggle("hidden", !nutrition);
+    for (let name in NUTRITION_LABELS) {
+      if (nutrition && nutrition[name] !== null) {
+        let term = gen("dt");
+        term.textContent = NUTRITION_LABELS[name];
+        let value = gen("dd");
+        value.textContent = nutrition[name] + (name.endsWith("_grams") ? " g" : "");
+        id("nutrition").appendChild(term);
+        id("nutrition").appendChild(value);
+      }
+    }
+  }
+
+  /**
+   * Fills the reviews section with the approved reviews of the given product:
+   * <p id="rating-summary">★★★★☆ 4.5 (2 reviews)</p>
+   * <ul id="review-list">
+   *   <li><p class="rating">★★★★★ Tony S. - 6/14/2021</p><p>So moist!</p></li>
+   * </ul>
+   * Displays an error message in the section if there is an error loading the reviews.
+   * @param {String} name - The product name
+   */
+  async function loadReviews(name) {
+    id("reviews").dataset.product = name;
+    id("review-list").innerHTML = "";
+    id("review-message").textContent = "";
+    try {
+      let resp = await fetch(BASE_URL + "products/" + formatDashes(name) + "/reviews");
+      checkStatus(resp);
+      let data = await resp.json();
+      id("rating-summary").textContent = formatRating(data.average_rating, data.review_count);
+      for (let i = 0; i < data.reviews.length; i++) {
+        let review = data.reviews[i];
+        let heading = gen("p");
+        heading.classList.add("rating");
+        heading.textContent = formatStars(review.rating) + " " + review.name + " - " +
+                              new Date(review.created).toLocaleDateString();
+        let text = gen("p");
+        text.textContent = review.text;
+        let item = gen("li");
+        item.appendChild(heading);
+        item.appendChild(text);
+        id("review-list").appendChild(item);
+      }
+    } catch {
+      id("rating-summary").textContent = "Reviews could not be loaded. Please try again later.";
+    }
+  }
+
+  /**
+   * Prevents default submission behavior for the submit event and submits the review form
+   * for the product being viewed. Shows a thank-you message if successful, or the server's
+   * explanation if the review can't be accepted (for example, if the order was not picked
+   * up yet).
+   * @param {Object} evt - The event object
+   */
+  async function submitReview(evt) {
+    evt.preventDefault();
+    let params = new FormData(id("review-form"));
+    let product = formatDashes(id("reviews").dataset.product);
+    try {
+      let resp = await fetch(BASE_URL + "products/" + product + "/reviews",
+                             {method: "POST", body: params});
+      if (resp.status === 400) {
+        id("review-message").textContent = await resp.text();
+        return;
+      }
+      checkStatus(resp);
+      id("review-form").reset();
+      id("review-message").textContent = "Thank you! Your review will appear once we have " +
+                                         "checked it.";
+    } catch {
+      id("review-message").textContent = "There was an error submitting your review. " +
+                                         "Please try again later.";
+    }
+  }
+
+  /**
+   * Returns a summary of the given rating.
+   * Example: formatRating(4.5, 2) returns "★★★★☆ 4.5 (2 reviews)".
+   * @param {Number} average - The average rating, or null if there are no reviews
+   * @param {Number} count - The number of reviews
+   * @returns {String} The summary
+   */
+  function formatRating(average, count) {
+    if (average === null) {
+      return "No reviews yet";
+    }
+    return formatStars(average) + " " + average + " (" + count +
+           (count === 1 ? " review)" : " reviews)");
+  }
+
+  /**
+   * Returns the given rating as five stars, filled up to the rating rounded down.
+   * Example: formatStars(3.7) returns "★★★☆☆".
+   * @param {Number} rating - The rating, from 1 to 5
+   * @returns {String} The stars
+   */
+  function formatStars(rating) {
+    let filled = Math.floor(rating);
+    return "★".repeat(filled) + "☆".repeat(5 - filled);
+  }
+
+  /**
+   * Checks if the input quantity value is valid. If so, prevents default behavior, adds
+   * the selected item with its customizations and quantity to the cart on the server and
+   * switches to cart view.
+   * Displays an error message if there is an error adding the item, including the server's
+   * explanation if the item can't be added (for example, if too many are in the cart).
    * @param {Object} evt - The event object.
   */
-  function addCart(evt) {
+  async function addCart(evt) {
     let qty = parseInt(id("qty-input").value);
     if (qty < id("qty-input").min || qty > id("qty-input").max || !qty) {
       return;
     }
     evt.preventDefault();
-    let cart= JSON.parse(window.sessionStorage.getItem("cart"));
-    if (!cart) {
-      cart = [];
+    let params = {"product" : formatDashes(id("product-name").textContent),
+                  "flavor" : id("flavor-select").value,
+                  "box" : id("box-select").value,
+                  "quantity" : qty};
+    let requestOptions = {method: "POST",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify(params)};
+    try {
+      let resp = await fetch(BASE_URL + "cart/items", requestOptions);
+      if (resp.status === 400) {
+        id("results").textContent = await resp.text();
+        return;
+      }
+      checkStatus(resp);
+      goToCart();
+    } catch {
+      handleRequestError();
+    }
+  }
+
+  /**
+   * Saves the item in the single view, with the selected flavor and box decoration, to the
+   * user's favorites, and shows a message with a link to the favorites page.
+   * Displays an error message if there is an error adding the favorite, including the
+   * server's explanation if it can't be added (for example, if it already was).
+   */
+  async function addFavorite() {
+    let params = {"product" : formatDashes(id("product-name").textContent),
+                  "flavor" : id("flavor-select").value,
+                  "box" : id("box-select").value};
+    let requestOptions = {method: "POST",
+                          headers: {
+                            "Content-Type": "application/json"
+                          },
+                          body: JSON.stringify(params)};
+    try {
+      let resp = await fetch(BASE_URL + "favorites", requestOptions);
+      if (resp.status === 400) {
+        id("results").textContent = await resp.text();
+        return;
+      }
+      checkStatus(resp);
+      id("results").textContent = "Added to your favorites! ";
+      let link = gen("a");
+      link.href = "favorites.html";
+      link.textContent = "See your favorites";
+      id("results").appendChild(link);
+    } catch {
+      handleRequestError();
     }
-    cart = updateCart(cart);
-    window.sessionStorage.setItem("cart", JSON.stringify(cart));
-    goToCart();
   }
 
   /**
@@ -161,13 +560,20 @@
    * @param {object} product - A JSON object containing information
    * about a product:
    * { name : "Cheesecake",
-   *   price: 7,
+   *   price_cents: 700,
+   *   price_display: "$7.00",
    *   description: "A delicious cheesecake.",
-   *   image : "imgs/cheesecake.jpg"}
+   *   image : "imgs/cheesecake.jpg",
+   *   average_rating: 4.5,
+   *   review_count: 2}
+   * Search results also have "highlights" with the matching words in <mark> tags, which
+   * are shown in the name and in a line with the matching flavors or description.
    * @returns {DOMobject} - DOM object for the item card:
    * <article>
    *   <h2>Cheesecake</h2>
    *   <p>$7.00</p>
+   *   <p class="rating">★★★★☆ 4.5 (2 reviews)</p>
+   *   <p class="match">Flavors: <mark>Chocolate</mark></p>
    *   <img src="imgs/cheesecake.jpg" alt="Cheescake" />
    *   <p>A delicious cheesecake.</p>
    *   <button class="view-item-btn">View Item</button>
@@ -178,8 +584,17 @@
     let heading = gen("h2");
     heading.textContent = product.name;
     let price = gen("p");
-    price.textContent = "$" + product.price.toFixed(2);
+    price.textContent = product.price_display;
     price.id = "price";
+    let rating = gen("p");
+    rating.classList.add("rating");
+    rating.textContent = formatRating(product.average_rating, product.review_count);
+    let match = null;
+    if (product.highlights) {
+      heading.classList.add("match");
+      heading.innerHTML = product.highlights.name;
+      match = createMatchLine(product.highlights);
+    }
     let img = gen("img");
     img.src = product.image;
     img.alt = product.name;
@@ -189,42 +604,75 @@
     button.textContent = "View Item";
     article.appendChild(heading);
     article.appendChild(price);
+    article.appendChild(rating);
+    if (match) {
+      article.appendChild(match);
+    }
     article.appendChild(img);
     article.appendChild(button);
     return article;
   }
 
+  /**
+   * Returns a paragraph showing why a search result matched: its matching flavors, or its
+   * description if that has a match. The highlights come from the server, which escapes the
+   * product text, so they are safe to add as HTML.
+   * @param {Object} highlights - The search highlights of a product. Ex:
+   * { name: "Brownies", description: "Two homemade brownies...",
+   *   flavors: ["<mark>Chocolate</mark>"] }
+   * @returns {DOMObject} The paragraph, or null if only the name matched
+   */
+  function createMatchLine(highlights) {
+    let line = gen("p");
+    line.classList.add("match");
+    if (highlights.flavors.length > 0) {
+      line.innerHTML = "Flavors: " + highlights.flavors.join(", ");
+    } else if (highlights.description.includes("<mark>")) {
+      line.innerHTML = highlights.description;
+    } else {
+      return null;
+    }
+    return line;
+  }
+
   /**
    * Returns an article with information about a product, a button to return to the products page,
    * two dropdowns to select a flavor and box style, a numerical input box to choose the
-   * quantity (minimum 1, maximum 10), and a button to add the product to the cart. The
-   * description dynamically updates depending on the customizations chosen.
+   * quantity (within the product's limits), and a button to add the product to the cart. The
+   * description, price, allergens, and nutrition facts dynamically update depending on the
+   * customizations chosen.
    * @param {object} product - A JSON object containing information
    * about a product:
    * { name : "Cheesecake",
-   *   price: 7,
+   *   price_cents: 700,
+   *   price_display: "$7.00",
    *   description: "A delicious cheesecake.",
-   *   image : "imgs/cheesecake.jpg"}
+   *   image : "imgs/cheesecake.jpg",
+   *   allergens: ["dairy", "egg", "gluten"],
+   *   nutrition: null }
    * @returns {DOMobject} - DOM object for the item card:
-   * <article id="single-view-card">
+   * <article id="single-view-card" data-price="700" data-allergens="dairy,egg,gluten"
+   *          data-nutrition="null">
    *   <button id="single-view-back-btn">Back To Products</button>
    *   <h2 id="product-name">Cheesecake</h2>
    *   <p id="single-view-price">$7.00</p>
    *   <img src="imgs/cheesecake.jpg" alt="Cheescake" />
    *   <p id="description">A homemade original cheesecake, packaged in a flower box.</p>
+   *   <p id="allergens">Contains: dairy, egg, gluten</p>
+   *   <dl id="nutrition" class="hidden"></dl>
    *   <form id="customizations-form">
    *     <div id="customizations">
    *       <label>Flavor:
    *         <select id="flavor-select">
-   *           <option value="caramel">Caramel</option>
-   *           <option value="chocolate">Chocolate</option>
+   *           <option value="original" data-price="0">Original</option>
+   *           <option value="chocolate" data-price="100">Chocolate (+$1.00)</option>
    *         </select>
    *       </label>
    *       <label>Box Decoration:
    *         <select id="box-select">
-   *           <option value="plain">Plain</option>
-   *           <option value="bow">Bow</option>
-   *           <option value="flower">Flower</option>
+   *           <option value="plain" data-price="0">Plain</option>
+   *           <option value="bow" data-price="50">Bow (+$0.50)</option>
+   *           <option value="flower" data-price="150">Flower (+$1.50)</option>
    *         </select>
    *       </label>
    *       <label>Quantity: <input type="number" id="qty-input" min="1" max="10"></label>
@@ -236,6 +684,9 @@
   async function createSingleViewCard(product) {
     let article = createCard(product);
     article.id = "single-view-card";
+    article.dataset.price = product.price_cents;
+    article.dataset.allergens = product.allergens.join(",");
+    article.dataset.nutrition = JSON.stringify(product.nutrition);
     article.removeChild(article.children[article.children.length - 1]);
     article.children[0].id = "product-name";
     article.children[1].id = "single-view-price";
@@ -243,14 +694,18 @@
     let flavorLabel = gen("label");
     flavorLabel.textContent = "Flavor: ";
     let flavorSelect = await createCustomizationSelect(product.name, "flavor", getFlavors);
+    flavorSelect.addEventListener("change", updateDietaryInfo);
     let boxLabel = gen("label");
     boxLabel.textContent = "Box Decoration: ";
     let boxSelect = await createCustomizationSelect(product.name, "box", getBoxDecorations);
     let qtyLabel = gen("label");
     qtyLabel.textContent = "Quantity: ";
-    let qtyInput = createQtyInput();
-    let customDesc = await getCustomDesc(article.children[1].textContent, flavorSelect.value,
-                                         boxSelect.value);
+    let qtyInput = createQtyInput(product);
+    let customDesc = product.description;
+    if (flavorSelect.value) {
+      customDesc = await getCustomDesc(article.children[1].textContent, flavorSelect.value,
+                                       boxSelect.value);
+    }
     let description = gen("p");
     description.id = "description";
     description.textContent = customDesc;
@@ -258,14 +713,23 @@
     boxLabel.appendChild(boxSelect);
     qtyLabel.appendChild(qtyInput);
     let form = createCustomizationsForm(flavorLabel, boxLabel, qtyLabel);
+    if (!flavorSelect.value) {
+      form.querySelector("button").disabled = true; // Every flavor is sold out
+    }
+    let allergens = gen("p");
+    allergens.id = "allergens";
+    let nutrition = gen("dl");
+    nutrition.id = "nutrition";
     article.appendChild(description);
+    article.appendChild(allergens);
+    article.appendChild(nutrition);
     article.appendChild(form);
     return article;
   }
 
   /**
    * Creates the customizations form with the given customization options and the add
-   * to cart button.
+   * to cart and add to favorites buttons.
    * @param {DOMObject} flavorLabel - The label containing the flavor select
    * @param {DOMObject} boxLabel - The label containing the box select
    * @param {DOMObject} qtyLabel - The label containing the quantity input
@@ -277,6 +741,7 @@
    *     <label>...</label>
    *   </div>
    *   <button type="submit">Add To Cart</buttons>
+   *   <button type="button">Add To Favorites</button>
    * </form>
    */
   function createCustomizationsForm(flavorLabel, boxLabel, qtyLabel) {
@@ -289,6 +754,7 @@
     customizations.appendChild(qtyLabel);
     form.appendChild(customizations);
     form.appendChild(createAddCartButton());
+    form.appendChild(createFavoriteButton());
     return form;
   }
 
@@ -321,87 +787,82 @@
   }
 
   /**
-   * Creates the <input> DOM element that allows the user to input a numerical value
-   * from 1 to 10 inclusive.
+   * Creates the "Add To Favorites" button that allows the user to save the item with the
+   * selected flavor and box decoration to their favorites.
+   * @returns {DOMObject} The button to add the item to the favorites
+   * <button type="button">Add To Favorites</button>
+   */
+  function createFavoriteButton() {
+    let favoriteButton = gen("button");
+    favoriteButton.addEventListener("click", addFavorite);
+    favoriteButton.textContent = "Add To Favorites";
+    favoriteButton.type = "button";
+    return favoriteButton;
+  }
+
+  /**
+   * Creates the <input> DOM element that allows the user to input a quantity of the given
+   * product within its per-order limits and no more than can be made in a day.
+   * @param {Object} product - The product information, including min_quantity, max_quantity,
+   * and daily_capacity
    * @returns {DOMObject} DOM object for quantity input
    * <input type="number" id="qty-input" min="1" max="10">
    */
-  function createQtyInput() {
+  function createQtyInput(product) {
     let qtyInput = gen("input");
     qtyInput.type = "number";
     qtyInput.id = "qty-input";
-    qtyInput.min = 1;
-    qtyInput.max = 10;
-    qtyInput.value = 1;
+    qtyInput.min = product.min_quantity;
+    qtyInput.max = product.max_quantity;
+    if (product.daily_capacity !== null) {
+      qtyInput.max = Math.min(product.max_quantity, product.daily_capacity);
+    }
+    qtyInput.value = product.min_quantity;
     return qtyInput;
   }
 
  /**
-  * Creates the <select> DOM element for the given product and customization type.
+  * Creates the <select> DOM element for the given product and customization type. Options
+  * with a price surcharge show it next to their name, and sold out options are disabled.
+  * Options with allergens and nutrition facts keep them in data attributes.
   * @param {String} productName - The name of the product
   * @param {String} customization - The type of customization (ex: "flavor" or "box")
-  * @param {Function} getFunc - The function to get the available options for given product
-  * of the given customization type
+  * @param {Function} getFunc - The function to get the options for given product of the
+  * given customization type, as objects with a name, and optionally a price surcharge,
+  * whether the option is available, and its allergens and nutrition facts
   * @returns {DOMObject} DOM object for the customization selection. Ex:
-  * <select id="box-select">
-  *   <option value="plain">Plain</option>
-  *   <option value="bow">Bow</option>
-  *   <option value="flower">Flower</option>
+  * <select id="flavor-select">
+  *   <option value="original" data-price="0" disabled>Original (sold out)</option>
+  *   <option value="chocolate" data-price="100">Chocolate (+$1.00)</option>
   * </select>
   */
   async function createCustomizationSelect(productName, customization, getFunc) {
     let select = gen("select");
     select.id = customization + "-select";
     select.addEventListener("change", changeDesc);
+    select.addEventListener("change", updatePrice);
     let options = await getFunc(productName);
     for (let i = 0; i < options.length; i++) {
       let option = gen("option");
-      option.value = options[i].toLowerCase();
-      option.textContent = formatTitleCase(options[i]);
+      let price = options[i].price_cents;
+      option.value = options[i].name.toLowerCase();
+      option.textContent = formatTitleCase(options[i].name);
+      if (options[i].available === false) {
+        option.textContent += " (sold out)";
+        option.disabled = true;
+      } else if (price > 0) {
+        option.textContent += " (+" + options[i].price_display + ")";
+      }
+      option.dataset.price = price;
+      if (options[i].allergens) {
+        option.dataset.allergens = options[i].allergens.join(",");
+        option.dataset.nutrition = JSON.stringify(options[i].nutrition);
+      }
       select.appendChild(option);
     }
     return select;
   }
 
-  /**
-   * Updates the given cart with the selected product and its customizations.
-   * @param {Object} cart - The original cart
-   * @returns {Object} The updated cart
-   * The original and updated cart should be in this format:
-   * [{ name : "Cake",
-   *     price: 10,
-   *     customizations: [{flavor: "Chocolate", box : "Plain"},
-   *                      {flavor: "Vanilla", box : "Flower"}]
-   *   },
-   *   { name : "Brownies",
-   *     price: 2,
-   *     customizations: [{flavor: "Chocolate", box : "Bow"}]
-   *   }
-   *  ]
-   */
-  function updateCart(cart) {
-    let qty = parseInt(id("qty-input").value);
-    let name = id("product-name").textContent;
-    let customizations = { "flavor" : formatTitleCase(id("flavor-select").value),
-                            "box" : formatTitleCase(id("box-select").value)};
-    let item = null;
-    for (let i = 0; i < cart.length; i++) {
-      if (cart[i].name === name) {
-        item = cart.splice(i, 1)[0];
-      }
-    }
-    if (!item) {
-      item = {"name" : name,
-              "price" : parseFloat(id("single-view-price").textContent.slice(1)),
-              "customizations" : []};
-    }
-    for (let j = 0; j < qty; j++) {
-      item.customizations.push(customizations);
-    }
-    cart.push(item);
-    return cart;
-  }
-
   /**
    * Gets a product description customized with a flavor and box style.
    * @param {String} product - The product name
@@ -425,30 +886,32 @@
   }
 
   /**
-   * Gets the flavors available for a product as a JSON collection.
+   * Gets the flavors of a product, with their price surcharges and whether they are
+   * available, as an array of objects.
    * @param {String} name - The name of the product
-   * @returns {Object} - The flavors available for the product
-   * ["Chocolate", "Strawberry"]
+   * @returns {Object} - The flavors of the product
+   * [{name: "Chocolate", price_cents: 100, price_display: "$1.00", available: true},
+   *  {name: "Original", price_cents: 0, price_display: "$0.00", available: false}]
    */
   async function getFlavors(name) {
     let resp = await fetch(BASE_URL + "flavors/" + formatDashes(name));
     checkStatus(resp);
     let flavors = await resp.json();
     return flavors;
-
   }
 
   /**
-   * Gets the available box decoration styles as an array of strings.
-   * @param {productName} productName - The name of the product
-   * @returns {Object} - The available box decoration styles"
-   * ["Plain", "Bow", "Flower"]
+   * Gets the box decoration styles available for a product, with their price surcharges,
+   * as an array of objects.
+   * @param {String} productName - The name of the product
+   * @returns {Object} - The available box decoration styles
+   * [{name: "Plain", price_cents: 0, price_display: "$0.00", image: null},
+   *  {name: "Flower", price_cents: 150, price_display: "$1.50", image: null}]
    */
-  async function getBoxDecorations() {
-    let resp = await fetch(BASE_URL + "box-decorations");
+  async function getBoxDecorations(productName) {
+    let resp = await fetch(BASE_URL + "box-decorations?product=" + formatDashes(productName));
     checkStatus(resp);
-    let boxDecor= await resp.text();
-    boxDecor = boxDecor.trim().split("\n");
+    let boxDecor = await resp.json();
     return boxDecor;
   }
 
@@ -459,7 +922,10 @@
   function toggleView() {
     id("results").textContent = "";
     id("product-list-view").classList.toggle("hidden");
+    id("facets").classList.toggle("hidden");
+    id("page-controls").classList.toggle("hidden");
     id("single-item-view").classList.toggle("hidden");
+    id("reviews").classList.toggle("hidden");
   }
 
   /**
@@ -487,6 +953,19 @@
     return result;
   }
 
+  /**
+   * Splits the given comma-separated list into its trimmed, non-empty items.
+   * Example: splitList("Chocolate, Rose,") returns ["Chocolate", "Rose"].
+   * @param {String} text - The list, or null for an empty list
+   * @returns {String[]} The items
+   */
+  function splitList(text) {
+    if (!text) {
+      return [];
+    }
+    return text.split(",").map(item => item.trim()).filter(item => item);
+  }
+
   /**
    * Takes a title case name and converts it to a dash-separated directory name.
    * Example: formatDashes("Mini Palmiers") returns "mini-palmiers".
@@ -544,6 +1023,25 @@
     return document.querySelector(selector);
   }
 
+  /**
+   * Formats the given number of cents as a dollar amount.
+   * Example: formatCents(1025) returns "$10.25".
+   * @param {Number} cents - The amount, in cents
+   * @returns {String} The formatted amount
+   */
+  function formatCents(cents) {
+    return "$" + Math.floor(cents / 100) + "." + String(cents % 100).padStart(2, "0");
+  }
+
+  /**
+   * Returns the array of elements that match the given CSS selector.
+   * @param {string} selector - CSS query selector
+   * @returns {object[]} array of DOM objects matching the query.
+   */
+  function qsa(selector) {
+    return document.querySelectorAll(selector);
+  }
+
   /**
    * Returns a new element with the given tagname
    * @param {string} tagname - name of element to create and return
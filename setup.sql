@@ -4,31 +4,132 @@
  *
  * Database to store information for a bakery e-commerce store.
  * Tables:
- * products - Information about products that the store sells (includes name, price,
- *            description, image url)
+ * products - Information about products that the store sells (includes name,
+ *            description, image url, minimum days of notice needed to make it,
+ *            minimum and maximum quantity per order, how many can be made per day)
+ * price_history - The price of each product over time, in cents (includes product, price,
+ *                 the date the price takes effect). A product's current price is its
+ *                 latest price that is already in effect; later dates are scheduled changes
+ * product_prices - View of the products table with each product's current price in cents
  * macaron_flavors - Information about macaron flavors (includes name, description,
  *                   image url)
- * products_flavors - Associates products with their available flavors
- * feedback - Stores feedback submitted by customers (requires name, email, message)
- * faq - Contains commonly asked questions and their answers
+ * products_flavors - Associates products with their flavors (includes price surcharge in
+ *                    cents, whether it is available or sold out)
+ * products_tags - Associates products with their dietary tags ("gluten-free", "nut-free",
+ *                 "vegan")
+ * products_allergens - The allergens in every flavor of a product
+ * flavors_allergens - The allergens that a flavor adds to a product
+ * products_nutrition - Nutrition facts of a product (includes serving size, calories, and
+ *                      grams of fat, carbohydrates, sugar, and protein per serving)
+ * flavors_nutrition - Nutrition facts of a flavor of a product, in the same format. Each
+ *                     given value replaces the product's
+ * box_decorations - Box decoration styles (includes name, price surcharge in cents, optional
+ *                   image url, display order)
+ * products_boxes - Associates products with their available box decoration styles
+ * messages - Stores "Contact us" messages submitted by customers (includes id, name, email,
+ *            message, status, whether it is archived, time submitted)
+ * featured - Products featured on the homepage (includes product, display order, optional
+ *            start and end dates, optional promotional blurb)
+ * faq_categories - Categories of commonly asked questions (includes name, display order)
+ * faq - Contains commonly asked questions and their answers (includes category, display
+ *       order within the category)
+ * cart_items - The items in each shopping cart, keyed by the anonymous session cookie of the
+ *              customer (includes product, flavor, box style, quantity)
+ * users - Administrator accounts (includes username, hashed password, role, failed login
+ *         count, time the account is locked until)
+ * admin_sessions - Logged in administrator sessions (includes hashed session token, username,
+ *                  expiration time)
+ * customers - Customer accounts (includes id, email, hashed password, name, phone, default
+ *             pickup time of day, session id of the account's cart, failed login count, time
+ *             the account is locked until, time registered)
+ * customer_sessions - Signed in customer sessions (includes hashed session token, customer,
+ *                     expiration time)
+ * favorites - Products saved by customers with their flavor and box style, kept for a
+ *             customer account or, for customers who are not signed in, for their anonymous
+ *             session cookie (includes id, customer or session id, product, flavor, box
+ *             style, time saved)
+ * pickup_slots - Pickup time windows (includes date, start and end time, maximum number of
+ *                orders, number of orders booked)
+ * promotions - Promo codes customers can enter at checkout (includes code, description, type
+ *              of discount and its amounts, optional product and flavor the discount is
+ *              limited to, minimum subtotal in cents, optional usage limit, number of times
+ *              used, optional start and end dates)
+ * orders - Orders placed by customers (includes confirmation code, customer account if
+ *          signed in, customer name, email, phone, pickup slot, notes, promo code used,
+ *          discount, sales tax, and total price, all in cents, current status)
+ * order_status_history - When each order reached each status (includes order, status, time
+ *                        changed, username of the staff member who changed it)
+ * reviews - Product reviews by customers who picked up an order of the product (includes id,
+ *           product, order, customer name, rating from 1 to 5, text, moderation status,
+ *           time submitted, time moderated, username of the staff member who moderated it)
+ * email_queue - Emails waiting to be sent or already sent (includes template, recipient,
+ *               subject, body, number of attempts, last error, time of the next attempt,
+ *               time sent)
+ * order_items - The lines of each order (includes product, flavor, box style, quantity,
+ *               unit price, box and flavor surcharges included in the unit price, line
+ *               discount, all in cents)
  */
 
 CREATE DATABASE IF NOT EXISTS ptdb;
 USE ptdb;
 
+DROP VIEW IF EXISTS product_prices;
+DROP TABLE IF EXISTS email_queue;
+DROP TABLE IF EXISTS cart_items;
+DROP TABLE IF EXISTS reviews;
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS customer_sessions;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS promotions;
+DROP TABLE IF EXISTS pickup_slots;
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS featured;
+DROP TABLE IF EXISTS products_boxes;
+DROP TABLE IF EXISTS products_tags;
+DROP TABLE IF EXISTS flavors_nutrition;
+DROP TABLE IF EXISTS products_nutrition;
+DROP TABLE IF EXISTS flavors_allergens;
+DROP TABLE IF EXISTS products_allergens;
+DROP TABLE IF EXISTS box_decorations;
 DROP TABLE IF EXISTS products_flavors;
+DROP TABLE IF EXISTS price_history;
 DROP TABLE IF EXISTS macaron_flavors;
 DROP TABLE IF EXISTS products;
 DROP TABLE IF EXISTS feedback;
+DROP TABLE IF EXISTS messages;
 DROP TABLE IF EXISTS faq;
+DROP TABLE IF EXISTS faq_categories;
 
 CREATE TABLE products(
   name  VARCHAR(255) PRIMARY KEY,
-  price  INT NOT NULL,
   description TEXT NOT NULL,
-  image VARCHAR(255) NOT NULL
+  image VARCHAR(255) NOT NULL,
+  lead_days INT NOT NULL DEFAULT 1,
+  min_quantity INT NOT NULL DEFAULT 1,
+  max_quantity INT NOT NULL DEFAULT 10,
+  daily_capacity INT
+);
+
+CREATE TABLE price_history(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  product VARCHAR(255) NOT NULL,
+  price_cents INT NOT NULL,
+  effective_from DATE NOT NULL,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product, effective_from),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
 );
 
+CREATE VIEW product_prices AS
+SELECT p.*, (SELECT h.price_cents FROM price_history h
+             WHERE h.product = p.name AND h.effective_from <= CURDATE()
+             ORDER BY h.effective_from DESC LIMIT 1) AS price_cents
+FROM products p;
+
 CREATE TABLE macaron_flavors(
   name VARCHAR(255) PRIMARY KEY,
   description TEXT NOT NULL,
@@ -38,59 +139,331 @@ CREATE TABLE macaron_flavors(
 CREATE TABLE products_flavors(
   product      VARCHAR(255) NOT NULL,
   flavor        VARCHAR(255) NOT NULL,
+  price_cents INT NOT NULL DEFAULT 0,
+  available BOOLEAN NOT NULL DEFAULT TRUE,
   PRIMARY KEY (product, flavor),
   FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
 );
 
-CREATE TABLE feedback(
-  email VARCHAR(255) PRIMARY KEY,
+CREATE TABLE products_tags(
+  product VARCHAR(255) NOT NULL,
+  tag ENUM("gluten-free", "nut-free", "vegan") NOT NULL,
+  PRIMARY KEY (product, tag),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE products_allergens(
+  product VARCHAR(255) NOT NULL,
+  allergen ENUM("dairy", "egg", "gluten", "peanuts", "tree nuts", "soy", "sesame") NOT NULL,
+  PRIMARY KEY (product, allergen),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE flavors_allergens(
+  product VARCHAR(255) NOT NULL,
+  flavor VARCHAR(255) NOT NULL,
+  allergen ENUM("dairy", "egg", "gluten", "peanuts", "tree nuts", "soy", "sesame") NOT NULL,
+  PRIMARY KEY (product, flavor, allergen),
+  FOREIGN KEY (product, flavor) REFERENCES products_flavors(product, flavor)
+    ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE products_nutrition(
+  product VARCHAR(255) PRIMARY KEY,
+  serving_size VARCHAR(255),
+  calories INT,
+  fat_grams DECIMAL(5, 1),
+  carbs_grams DECIMAL(5, 1),
+  sugar_grams DECIMAL(5, 1),
+  protein_grams DECIMAL(5, 1),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE flavors_nutrition(
+  product VARCHAR(255) NOT NULL,
+  flavor VARCHAR(255) NOT NULL,
+  serving_size VARCHAR(255),
+  calories INT,
+  fat_grams DECIMAL(5, 1),
+  carbs_grams DECIMAL(5, 1),
+  sugar_grams DECIMAL(5, 1),
+  protein_grams DECIMAL(5, 1),
+  PRIMARY KEY (product, flavor),
+  FOREIGN KEY (product, flavor) REFERENCES products_flavors(product, flavor)
+    ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE box_decorations(
+  name VARCHAR(255) PRIMARY KEY,
+  price_cents INT NOT NULL DEFAULT 0,
+  image VARCHAR(255),
+  position INT NOT NULL
+);
+
+CREATE TABLE products_boxes(
+  product VARCHAR(255) NOT NULL,
+  box VARCHAR(255) NOT NULL,
+  PRIMARY KEY (product, box),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  FOREIGN KEY (box) REFERENCES box_decorations(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE featured(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  product VARCHAR(255) NOT NULL,
+  position INT NOT NULL,
+  start_date DATE,
+  end_date DATE,
+  blurb TEXT,
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE messages(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
   name VARCHAR(255) NOT NULL,
-  message TEXT NOT NULL
+  email VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  status ENUM("unread", "read", "replied") NOT NULL DEFAULT "unread",
+  archived BOOLEAN NOT NULL DEFAULT FALSE,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX (archived, status)
+);
+
+CREATE TABLE faq_categories(
+  name VARCHAR(255) PRIMARY KEY,
+  position INT NOT NULL
 );
 
 CREATE TABLE faq(
   id  INT PRIMARY KEY AUTO_INCREMENT,
   question TEXT NOT NULL,
-  answer TEXT NOT NULL
+  answer TEXT NOT NULL,
+  category VARCHAR(255) NOT NULL,
+  position INT NOT NULL,
+  FOREIGN KEY (category) REFERENCES faq_categories(name) ON UPDATE CASCADE
+);
+
+CREATE TABLE cart_items(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  session_id VARCHAR(255) NOT NULL,
+  product VARCHAR(255) NOT NULL,
+  flavor VARCHAR(255) NOT NULL,
+  box VARCHAR(255) NOT NULL,
+  quantity INT NOT NULL,
+  updated DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE (session_id, product, flavor, box),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE users(
+  username VARCHAR(64) PRIMARY KEY,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM("owner", "staff") NOT NULL,
+  failed_logins INT NOT NULL DEFAULT 0,
+  locked_until DATETIME
+);
+
+CREATE TABLE admin_sessions(
+  token_hash CHAR(64) PRIMARY KEY,
+  username VARCHAR(64) NOT NULL,
+  expires DATETIME NOT NULL,
+  FOREIGN KEY (username) REFERENCES users(username) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE customers(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(255) NOT NULL DEFAULT "",
+  pickup_preference ENUM("morning", "afternoon"),
+  cart_session_id VARCHAR(255),
+  failed_logins INT NOT NULL DEFAULT 0,
+  locked_until DATETIME,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
-INSERT INTO products(name, price, description, image) VALUES
-("Cheesecake", 7, "One homemade cheesecake, four inches in diameter. Each cheesecake is
+CREATE TABLE customer_sessions(
+  token_hash CHAR(64) PRIMARY KEY,
+  customer_id INT NOT NULL,
+  expires DATETIME NOT NULL,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+);
+
+CREATE TABLE favorites(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  customer_id INT,
+  session_id VARCHAR(255),
+  product VARCHAR(255) NOT NULL,
+  flavor VARCHAR(255) NOT NULL,
+  box VARCHAR(255) NOT NULL,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (customer_id, product, flavor, box),
+  UNIQUE (session_id, product, flavor, box),
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE pickup_slots(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  max_orders INT NOT NULL,
+  booked INT NOT NULL DEFAULT 0,
+  UNIQUE (date, start_time)
+);
+
+CREATE TABLE promotions(
+  code VARCHAR(64) PRIMARY KEY,
+  description TEXT NOT NULL,
+  type ENUM("percent", "fixed", "buy_x_get_y") NOT NULL,
+  percent_off INT,
+  amount_off_cents INT,
+  buy_quantity INT,
+  get_quantity INT,
+  product VARCHAR(255),
+  flavor VARCHAR(255),
+  min_subtotal_cents INT NOT NULL DEFAULT 0,
+  max_uses INT,
+  times_used INT NOT NULL DEFAULT 0,
+  start_date DATE,
+  end_date DATE,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE orders(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  code VARCHAR(255) NOT NULL UNIQUE,
+  customer_id INT,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(255) NOT NULL,
+  slot_id INT NOT NULL,
+  notes TEXT NOT NULL,
+  promo_code VARCHAR(64),
+  discount_cents INT NOT NULL DEFAULT 0,
+  tax_cents INT NOT NULL DEFAULT 0,
+  total_cents INT NOT NULL,
+  status ENUM("received", "baking", "ready", "picked_up", "cancelled") NOT NULL
+    DEFAULT "received",
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  FOREIGN KEY (slot_id) REFERENCES pickup_slots(id)
+);
+
+CREATE TABLE order_items(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  order_id INT NOT NULL,
+  product VARCHAR(255) NOT NULL,
+  flavor VARCHAR(255) NOT NULL,
+  box VARCHAR(255) NOT NULL,
+  quantity INT NOT NULL,
+  price_cents INT NOT NULL,
+  box_price_cents INT NOT NULL DEFAULT 0,
+  flavor_price_cents INT NOT NULL DEFAULT 0,
+  discount_cents INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+CREATE TABLE email_queue(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  template VARCHAR(64) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent DATETIME,
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE order_status_history(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  order_id INT NOT NULL,
+  status ENUM("received", "baking", "ready", "picked_up", "cancelled") NOT NULL,
+  changed DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  changed_by VARCHAR(64),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+CREATE TABLE reviews(
+  id  INT PRIMARY KEY AUTO_INCREMENT,
+  product VARCHAR(255) NOT NULL,
+  order_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  rating TINYINT NOT NULL,
+  text TEXT NOT NULL,
+  status ENUM("pending", "approved", "hidden") NOT NULL DEFAULT "pending",
+  created DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  moderated DATETIME,
+  moderated_by VARCHAR(64),
+  UNIQUE (order_id, product),
+  FOREIGN KEY (product) REFERENCES products(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+INSERT INTO products(name, description, image) VALUES
+("Cheesecake", "One homemade cheesecake, four inches in diameter. Each cheesecake is
  packaged in a beautiful handcrafted box.", "imgs/cheesecake-original.jpg"),
-("Macarons (6 pcs)", 10.25, "Six homemade macarons, freshly baked. Each set is packaged in
+("Macarons (6 pcs)", "Six homemade macarons, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/macarons-6pcs.jpg"),
-("Macarons (12 pcs)", 20, "Twelve homemade macarons, freshly baked. Each set is packaged in
+("Macarons (12 pcs)", "Twelve homemade macarons, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/macarons-12pcs.jpg"),
-("Mini Palmiers", 8, "Ten homemade palmiers made from flaky, buttery puff pastry. Each set
+("Mini Palmiers", "Ten homemade palmiers made from flaky, buttery puff pastry. Each set
  is packaged in a beautiful handcrafted box.",
  "imgs/mini-palmiers.jpg"),
-("Imperfect Macarons", 7, "Six homemade macarons that have visual imperfections such
+("Imperfect Macarons", "Six homemade macarons that have visual imperfections such
  as cracks in the shell. Still taste delicious! Each set is packaged in a beautiful handcrafted
  box.", "imgs/imperfect-macarons.jpg"),
-("Wagashi", 3.5, "One homemade wagashi, freshly made. Wagashi are traditional Japanese confections
+("Wagashi", "One homemade wagashi, freshly made. Wagashi are traditional Japanese confections
   made with sweet bean paste. At Petite Treats, we shape our wagashi by hand into creative
   designs and fill them with flavored mochi. Each wagashi is packaged in a beautiful handcrafted
   box.",
  "imgs/wagashi.jpg"),
-("Cookies", 2, "Three homemade cookies, freshly baked. Each set is packaged in
+("Cookies", "Three homemade cookies, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/cookies.jpg"),
-("Brownies", 2, "Two homemade brownies, freshly baked. Each set is packaged in
+("Brownies", "Two homemade brownies, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/brownies.jpg"),
-("Cake Pops", 2, "Three homemade cake pops, freshly baked. Each set is packaged in
+("Cake Pops", "Three homemade cake pops, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/cake-pops.jpg"),
-("Truffles", 5, "Six homemade truffles made from high quality chocolate. Each set is packaged in
+("Truffles", "Six homemade truffles made from high quality chocolate. Each set is packaged in
  a beautiful handcrafted box.", "imgs/truffles.jpg"),
-("Rice Krispies", 2, "Two homemade Rice Krispy treats, freshly baked. Each set is packaged in
+("Rice Krispies", "Two homemade Rice Krispy treats, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/rice-krispies.jpg"),
-("Sweet Bread", 5, "One homemade sweet bread, freshly baked. Each sweet bread is packaged in
+("Sweet Bread", "One homemade sweet bread, freshly baked. Each sweet bread is packaged in
  a beautiful handcrafted box.", "imgs/sweet-bread.jpg"),
-("Cupcakes", 3, "Four homemade cupcakes, freshly baked. Each set is packaged in
+("Cupcakes", "Four homemade cupcakes, freshly baked. Each set is packaged in
  a beautiful handcrafted box.", "imgs/cupcakes.jpg"),
-("Cake", 10, "One homemade cake, freshly baked. Each cake is packaged in
+("Cake", "One homemade cake, freshly baked. Each cake is packaged in
  a beautiful handcrafted box.", "imgs/cake.jpg"),
-("Pie", 10, "One homemade pie, six inches in diameter. Each pie is packaged in
+("Pie", "One homemade pie, six inches in diameter. Each pie is packaged in
  a beautiful handcrafted box.", "imgs/pie.jpg");
 
+INSERT INTO price_history(product, price_cents, effective_from) VALUES
+("Cheesecake", 700, "2021-06-08"),
+("Macarons (6 pcs)", 1025, "2021-06-08"),
+("Macarons (12 pcs)", 2000, "2021-06-08"),
+("Mini Palmiers", 800, "2021-06-08"),
+("Imperfect Macarons", 700, "2021-06-08"),
+("Wagashi", 350, "2021-06-08"),
+("Cookies", 200, "2021-06-08"),
+("Brownies", 200, "2021-06-08"),
+("Cake Pops", 200, "2021-06-08"),
+("Truffles", 500, "2021-06-08"),
+("Rice Krispies", 200, "2021-06-08"),
+("Sweet Bread", 500, "2021-06-08"),
+("Cupcakes", 300, "2021-06-08"),
+("Cake", 1000, "2021-06-08"),
+("Pie", 1000, "2021-06-08");
+
+UPDATE products SET lead_days = 2 WHERE name IN ("Cheesecake", "Cake", "Pie");
+UPDATE products SET daily_capacity = 12 WHERE name = "Cheesecake";
+UPDATE products SET max_quantity = 2, daily_capacity = 4 WHERE name = "Cake";
+UPDATE products SET max_quantity = 4, daily_capacity = 6 WHERE name = "Pie";
+
 INSERT INTO macaron_flavors(name, description, image) VALUES
 ("Chocolate", "Filled with decadent chocolate ganache and topped with a smooth melted
  chocolate drizzle.", "imgs/chocolate-macaron.jpg"),
@@ -142,12 +515,146 @@ INSERT INTO products_flavors(product, flavor) VALUES
 ("Pie", "Pumpkin"),
 ("Pie", "Chocolate Cream");
 
-INSERT INTO faq (question, answer) VALUES
-("Do you do delivery?", "Unfortunately, we do not currently offer delivery at the moment."),
-("Where do I pick up my order?", "Please pick up your order at 1234 Main Street."),
+UPDATE products_flavors SET price_cents = 100
+WHERE product = "Cheesecake" AND flavor = "Chocolate";
+UPDATE products_flavors SET price_cents = 50 WHERE product LIKE "Macarons%" AND flavor = "Rose";
+
+INSERT INTO box_decorations(name, price_cents, image, position) VALUES
+("Plain", 0, NULL, 1),
+("Bow", 50, NULL, 2),
+("Flower", 150, NULL, 3);
+
+/* Every box style is available for every product, except the Flower box for Wagashi. */
+INSERT INTO products_boxes(product, box)
+SELECT p.name, b.name FROM products p CROSS JOIN box_decorations b
+WHERE NOT (p.name = "Wagashi" AND b.name = "Flower");
+
+INSERT INTO products_tags(product, tag) VALUES
+("Macarons (6 pcs)", "gluten-free"),
+("Macarons (12 pcs)", "gluten-free"),
+("Imperfect Macarons", "gluten-free"),
+("Wagashi", "gluten-free"),
+("Truffles", "gluten-free"),
+("Cheesecake", "nut-free"),
+("Mini Palmiers", "nut-free"),
+("Wagashi", "nut-free"),
+("Cookies", "nut-free"),
+("Brownies", "nut-free"),
+("Cake Pops", "nut-free"),
+("Truffles", "nut-free"),
+("Rice Krispies", "nut-free"),
+("Sweet Bread", "nut-free"),
+("Cupcakes", "nut-free"),
+("Cake", "nut-free"),
+("Pie", "nut-free"),
+("Wagashi", "vegan");
+
+INSERT INTO products_allergens(product, allergen) VALUES
+("Cheesecake", "dairy"),
+("Cheesecake", "egg"),
+("Cheesecake", "gluten"),
+("Macarons (6 pcs)", "dairy"),
+("Macarons (6 pcs)", "egg"),
+("Macarons (6 pcs)", "tree nuts"),
+("Macarons (12 pcs)", "dairy"),
+("Macarons (12 pcs)", "egg"),
+("Macarons (12 pcs)", "tree nuts"),
+("Mini Palmiers", "dairy"),
+("Mini Palmiers", "gluten"),
+("Imperfect Macarons", "dairy"),
+("Imperfect Macarons", "egg"),
+("Imperfect Macarons", "tree nuts"),
+("Cookies", "dairy"),
+("Cookies", "egg"),
+("Cookies", "gluten"),
+("Brownies", "dairy"),
+("Brownies", "egg"),
+("Brownies", "gluten"),
+("Cake Pops", "dairy"),
+("Cake Pops", "egg"),
+("Cake Pops", "gluten"),
+("Truffles", "dairy"),
+("Rice Krispies", "dairy"),
+("Sweet Bread", "dairy"),
+("Sweet Bread", "egg"),
+("Sweet Bread", "gluten"),
+("Cupcakes", "dairy"),
+("Cupcakes", "egg"),
+("Cupcakes", "gluten"),
+("Cake", "dairy"),
+("Cake", "egg"),
+("Cake", "gluten"),
+("Pie", "dairy"),
+("Pie", "gluten");
+
+INSERT INTO flavors_allergens(product, flavor, allergen) VALUES
+("Mini Palmiers", "Sesame", "sesame"),
+("Wagashi", "Sesame", "sesame"),
+("Cookies", "Chocolate Chip", "soy"),
+("Truffles", "Dark Chocolate", "soy"),
+("Pie", "Pumpkin", "egg"),
+("Pie", "Chocolate Cream", "egg");
+
+INSERT INTO products_nutrition(product, serving_size, calories, fat_grams, carbs_grams,
+                               sugar_grams, protein_grams) VALUES
+("Cheesecake", "1 cheesecake", 820, 58.0, 64.0, 48.0, 14.0),
+("Macarons (6 pcs)", "1 macaron", 90, 4.5, 11.0, 10.0, 1.5),
+("Macarons (12 pcs)", "1 macaron", 90, 4.5, 11.0, 10.0, 1.5),
+("Imperfect Macarons", "1 macaron", 90, 4.5, 11.0, 10.0, 1.5),
+("Cookies", "1 cookie", 220, 11.0, 29.0, 17.0, 2.0),
+("Brownies", "1 brownie", 260, 14.0, 33.0, 24.0, 3.0);
+
+INSERT INTO flavors_nutrition(product, flavor, calories, fat_grams, carbs_grams, sugar_grams,
+                              protein_grams) VALUES
+("Cheesecake", "Chocolate", 900, 63.0, 70.0, 54.0, 15.0),
+("Cookies", "Snickerdoodle", 200, 9.0, 28.0, 16.0, 2.0);
+
+INSERT INTO featured(product, position) VALUES
+("Macarons (12 pcs)", 1),
+("Cheesecake", 2);
+
+INSERT INTO faq_categories(name, position) VALUES
+("Ordering", 1),
+("Pickup", 2),
+("Payment", 3),
+("Allergies", 4);
+
+INSERT INTO faq (question, answer, category, position) VALUES
+("Do you do delivery?", "Unfortunately, we do not currently offer delivery at the moment.",
+ "Pickup", 1),
+("Where do I pick up my order?", "Please pick up your order at 1234 Main Street.", "Pickup", 2),
 ("Can I pick up at a time outside of scheduled store hours?", "Just let us know in your order
- notes or with the Contact Us form! We are usually very flexible with pick up times."),
+ notes or with the Contact Us form! We are usually very flexible with pick up times.", "Pickup",
+ 3),
 ("What payment options do you offer?", "You can pay with Paypal or Venmo at checkout, or you
-can pay with cash when you pick up your order."),
+can pay with cash when you pick up your order.", "Payment", 1),
 ("Are your products made-to-order?", "Yes! Our treats are made the day of your pick up date.
- This means we can usually accommadate any customizations you request. :)");
+ This means we can usually accommadate any customizations you request. :)", "Ordering", 1),
+("Can you accommodate food allergies?", "Our kitchen handles nuts, dairy, eggs, and wheat, so
+ we cannot guarantee that any product is allergen-free. Please note any allergies in your order
+ notes and we will do our best to help.", "Allergies", 1),
+("Do your macarons contain nuts?", "Yes. Our macaron shells are made with almond flour, so
+ every macaron contains tree nuts. Each product page lists the allergens of the flavor you
+ choose, and your cart lists them for every item.", "Allergies", 2);
+
+INSERT INTO promotions(code, description, type, percent_off, amount_off_cents, buy_quantity,
+                       get_quantity, product, flavor, min_subtotal_cents, max_uses) VALUES
+("SUMMER10", "10% off orders of $20 or more", "percent", 10, NULL, NULL, NULL, NULL, NULL,
+ 2000, NULL),
+("COOKIES3FOR2", "Buy 2 cookie sets, get 1 free", "buy_x_get_y", 100, NULL, 2, 1, "Cookies",
+ NULL, 0, NULL),
+("ROSE1", "$1 off each order of rose macarons", "fixed", NULL, 100, NULL, NULL, NULL, "Rose",
+ 0, 50);
+
+INSERT INTO pickup_slots(date, start_time, end_time, max_orders) VALUES
+(CURDATE() + INTERVAL 1 DAY, "10:00", "12:00", 5),
+(CURDATE() + INTERVAL 1 DAY, "14:00", "17:00", 5),
+(CURDATE() + INTERVAL 2 DAY, "10:00", "12:00", 5),
+(CURDATE() + INTERVAL 2 DAY, "14:00", "17:00", 5),
+(CURDATE() + INTERVAL 3 DAY, "10:00", "12:00", 5),
+(CURDATE() + INTERVAL 3 DAY, "14:00", "17:00", 5);
+
+/* Initial owner account. The password is "changeme"; change it after the first login. */
+INSERT INTO users(username, password_hash, role) VALUES
+("admin", "scrypt$2fa23c60847711fc9e8e906f5122c235$93c9161c6552f3023f0331f4697c5d82ddcf38f0ad75663d12396008013491a80be5b51719038727cf24f7cceec5db83e9aaa5ec09561e1d3ad727a5a6549a6d",
+ "owner");